@@ -1,8 +1,36 @@
 // Main Application Logic
-import { sceneConfigs, getSceneById, getTotalScenes } from './js/sceneConfig.js';
+import {
+    sceneConfigs, getSceneById, getTotalScenes, loadSceneManifest,
+    addUserScene, updateUserScene, removeUserScene
+} from './js/sceneConfig.js';
 import { SceneManager } from './js/sceneManager.js';
 import { Transitions } from './js/transitions.js';
 import { Storage } from './js/storage.js';
+import { PrefetchQueue, PRIORITY } from './js/prefetchQueue.js';
+import { validateScene } from './js/sceneSchema.js';
+import { SceneForm } from './js/sceneForm.js';
+import { SceneSettingsPanel } from './js/sceneSettingsPanel.js';
+import {
+    ENVIRONMENTS, MAX_VIEWPOINTS, settingsKey, resolveSceneSettings, resetSceneSettings, nextViewpointName
+} from './js/sceneSettings.js';
+import {
+    IMPORT_SCHEME, DEFAULT_SCENE_VALUES, filesFromDataTransfer, filesFromFileList,
+    createModelBundle, createSceneId, nameFromPath
+} from './js/sceneImport.js';
+
+// Scene text can come from the user, so escape it before building markup
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML.replace(/"/g, '&quot;');
+}
+
+// "Invalid scene" errors list one problem per line after the first; any
+// other error is shown whole
+function errorLines(error) {
+    const details = error.message.split('\n').slice(1);
+    return details.length > 0 ? details : [error.message];
+}
 
 class MindspaceNavigator {
     constructor() {
@@ -10,8 +38,23 @@ class MindspaceNavigator {
         this.transitions = new Transitions();
         this.storage = new Storage();
 
+        // Models load on demand: hovered cards first, then neighbours,
+        // favorites and finally everything else in the background
+        this.prefetchQueue = new PrefetchQueue(async (sceneId) => {
+            try {
+                await this.sceneManager.loadScene(getSceneById(sceneId));
+                this.onSceneLoaded(sceneId);
+            } catch (error) {
+                this.onSceneLoadFailed(sceneId);
+            }
+        });
+        this.sceneManager.onLoadProgress = (sceneId, fraction) => this.updateLoadProgress(sceneId, fraction);
+
         this.currentSceneIndex = 0;
         this.isImmersiveMode = false;
+        this.hoveredSceneId = null;
+        this.pendingImport = null; // Model bundle waiting for the editor form
+        this.editingSceneId = null;
 
         // DOM elements
         this.loadingScreen = document.getElementById('loading-screen');
@@ -22,6 +65,19 @@ class MindspaceNavigator {
         this.immersiveView = document.getElementById('immersive-view');
         this.sceneGrid = document.getElementById('scene-grid');
         this.immersiveCanvas = document.getElementById('immersive-canvas');
+        this.immersiveLoading = document.getElementById('immersive-loading');
+        this.immersiveLoadingText = document.getElementById('immersive-loading-text');
+        this.dropOverlay = document.getElementById('drop-overlay');
+        this.sceneEditorModal = document.getElementById('scene-editor-modal');
+        this.sceneForm = new SceneForm(document.getElementById('scene-editor-form'));
+        this.settingsPanel = new SceneSettingsPanel(document.getElementById('scene-settings-panel'), {
+            onInput: look => this.previewSceneLook(look),
+            onChange: look => this.saveSceneLook(look),
+            onFlyTo: viewpoint => this.flyToViewpoint(viewpoint),
+            onSaveViewpoint: name => this.saveViewpoint(name),
+            onDeleteViewpoint: index => this.deleteViewpoint(index),
+            onReset: () => this.resetSceneLook()
+        });
 
         // Initialize
         this.init();
@@ -32,10 +88,16 @@ class MindspaceNavigator {
             // Initialize Lucide icons
             lucide.createIcons();
 
-            // Load all scenes
-            await this.loadScenes();
+            // Scene list from scenes.json plus the user's own scenes
+            this.loadingText.textContent = 'Loading scene list...';
+            await loadSceneManifest(this.storage);
+
+            // One shared canvas draws every card preview. It lives in #app
+            // because gallery transitions transform their view, which would
+            // shift a fixed canvas inside it.
+            this.sceneManager.initPreviewRenderer(this.app);
 
-            // Build gallery UI
+            // Build gallery UI - cards show posters until their model loads
             this.buildGallery();
 
             // Initialize event listeners
@@ -47,40 +109,146 @@ class MindspaceNavigator {
             // Initialize icons again for dynamically created elements
             lucide.createIcons();
 
+            // Fetch models in the background
+            this.startPrefetch();
+
         } catch (error) {
             console.error('Initialization error:', error);
             this.loadingText.textContent = 'Error loading environments. Please refresh.';
         }
     }
 
-    async loadScenes() {
-        await this.sceneManager.loadAllScenes(
-            sceneConfigs,
-            (loaded, total, sceneName) => {
-                const percent = (loaded / total) * 100;
-                this.transitions.animateLoadingProgress(this.loadingProgress, percent);
-                this.loadingText.textContent = `Loading ${sceneName}... (${loaded}/${total})`;
-            }
-        );
-    }
-
     buildGallery() {
         this.sceneGrid.innerHTML = '';
 
         sceneConfigs.forEach((config, index) => {
             const card = this.createSceneCard(config, index);
+            if (this.sceneManager.isSceneLoaded(config.id)) card.classList.add('loaded');
             this.sceneGrid.appendChild(card);
+            this.loadPoster(config, card);
         });
+    }
 
-        // Create preview renderers for each card
-        setTimeout(() => {
-            sceneConfigs.forEach((config) => {
-                const previewContainer = document.querySelector(`[data-scene-id="${config.id}"] .scene-preview`);
-                if (previewContainer) {
-                    this.sceneManager.createPreviewRenderer(previewContainer, config.id);
-                }
-            });
-        }, 100);
+    // Rebuild the cards after scenes were added, edited or removed
+    refreshGallery() {
+        this.sceneManager.cleanupPreviews();
+        this.buildGallery();
+        lucide.createIcons();
+    }
+
+    // Poster from the config, or one captured from an earlier 3D preview
+    async loadPoster(config, card) {
+        let src = config.poster;
+        if (!src) {
+            const blob = await this.sceneManager.getPoster(config.id);
+            if (blob) src = URL.createObjectURL(blob);
+        }
+        if (!src) return;
+
+        const poster = card.querySelector('.scene-poster');
+        poster.innerHTML = `<img src="${escapeHtml(src)}" alt="${escapeHtml(config.name)}">`;
+        poster.classList.add('has-image');
+    }
+
+    // Favorites and the last visited scene are likely next, so they go first
+    startPrefetch() {
+        const likely = [this.storage.getLastVisited(), ...this.storage.getFavorites()];
+
+        sceneConfigs.forEach((config) => {
+            const priority = likely.includes(config.id) ? PRIORITY.FAVORITE : PRIORITY.IDLE;
+            this.prefetchQueue.add(config.id, priority);
+        });
+    }
+
+    getCard(sceneId) {
+        return this.sceneGrid.querySelector(`[data-scene-id="${sceneId}"]`);
+    }
+
+    // Card hovered: show the live 3D preview, loading the model first
+    previewScene(config) {
+        this.hoveredSceneId = config.id;
+
+        if (this.sceneManager.isSceneLoaded(config.id)) {
+            this.startPreview(config);
+        } else {
+            this.getCard(config.id)?.classList.add('is-loading');
+            this.prefetchQueue.add(config.id, PRIORITY.HOVER);
+        }
+    }
+
+    startPreview(config) {
+        const card = this.getCard(config.id);
+        if (!card || card.classList.contains('previewing')) return;
+
+        const previewContainer = card.querySelector('.scene-preview');
+        if (!this.sceneManager.createPreview(previewContainer, config.id)) return;
+        card.classList.add('previewing');
+
+        // First preview of a scene without a poster: keep a snapshot for next time
+        const poster = card.querySelector('.scene-poster');
+        if (!poster.classList.contains('has-image')) {
+            requestAnimationFrame(() => this.sceneManager.capturePoster(config.id));
+        }
+    }
+
+    onSceneLoaded(sceneId) {
+        // The user's lighting and fog show in the card preview too
+        const config = getSceneById(sceneId);
+        if (config) this.sceneManager.applySceneSettings(sceneId, this.getSceneSettings(config));
+
+        const card = this.getCard(sceneId);
+        card?.classList.remove('is-loading', 'load-failed');
+        card?.classList.add('loaded');
+
+        if (this.hoveredSceneId === sceneId) {
+            this.startPreview(getSceneById(sceneId));
+        }
+    }
+
+    onSceneLoadFailed(sceneId) {
+        const card = this.getCard(sceneId);
+        card?.classList.remove('is-loading');
+        card?.classList.add('load-failed');
+    }
+
+    updateLoadProgress(sceneId, fraction) {
+        const percent = Math.round(fraction * 100);
+        const bar = this.getCard(sceneId)?.querySelector('.scene-load-progress');
+        if (bar) bar.style.width = `${percent}%`;
+
+        if (this.loadingSceneId === sceneId) {
+            this.immersiveLoadingText.textContent = `Loading ${getSceneById(sceneId).name}... ${percent}%`;
+        }
+    }
+
+    // Load a scene right now, ahead of the background queue
+    async ensureSceneLoaded(config) {
+        if (this.sceneManager.isSceneLoaded(config.id)) return true;
+
+        this.prefetchQueue.remove(config.id);
+        this.prefetchQueue.pause();
+        this.getCard(config.id)?.classList.add('is-loading');
+        try {
+            await this.sceneManager.loadScene(config);
+            this.onSceneLoaded(config.id);
+            return true;
+        } catch (error) {
+            this.onSceneLoadFailed(config.id);
+            return false;
+        } finally {
+            this.prefetchQueue.resume();
+        }
+    }
+
+    // While immersed, the scenes either side are the likeliest next stop
+    prefetchNeighbors() {
+        const totalScenes = getTotalScenes();
+        [1, -1].forEach((offset) => {
+            const config = sceneConfigs[(this.currentSceneIndex + offset + totalScenes) % totalScenes];
+            if (!this.sceneManager.isSceneLoaded(config.id)) {
+                this.prefetchQueue.add(config.id, PRIORITY.NEIGHBOR);
+            }
+        });
     }
 
     createSceneCard(config, index) {
@@ -90,30 +258,59 @@ class MindspaceNavigator {
         card.setAttribute('data-scene-index', index);
 
         const isFavorite = this.storage.isFavorite(config.id);
+        const isUserScene = config.source === 'user';
 
         card.innerHTML = `
-            <div class="scene-preview"></div>
+            <div class="scene-preview">
+                <div class="scene-poster" data-mood="${config.mood}">
+                    <i data-lucide="box"></i>
+                </div>
+                <div class="scene-load-bar"><div class="scene-load-progress"></div></div>
+                <div class="scene-load-error">Couldn't load this environment - click to retry</div>
+            </div>
             <div class="scene-card-content">
                 <div class="scene-card-header">
-                    <h3>${config.name}</h3>
-                    <button class="favorite-icon ${isFavorite ? 'active' : ''}" data-scene-id="${config.id}">
-                        <i data-lucide="heart"></i>
-                    </button>
+                    <h3>${escapeHtml(config.name)}</h3>
+                    <div class="card-actions">
+                        ${isUserScene ? `
+                            <button class="card-action edit-scene" title="Edit scene">
+                                <i data-lucide="pencil"></i>
+                            </button>
+                            <button class="card-action delete-scene" title="Remove scene">
+                                <i data-lucide="trash-2"></i>
+                            </button>
+                        ` : ''}
+                        <button class="favorite-icon ${isFavorite ? 'active' : ''}" data-scene-id="${config.id}">
+                            <i data-lucide="heart"></i>
+                        </button>
+                    </div>
                 </div>
-                <p>${config.description}</p>
+                <p>${escapeHtml(config.description)}</p>
                 <div class="scene-tags">
-                    ${config.tags.map(tag => `<span class="tag">${tag}</span>`).join('')}
+                    ${config.tags.map(tag => `<span class="tag">${escapeHtml(tag)}</span>`).join('')}
                 </div>
             </div>
         `;
 
+        // Hover to load and preview in 3D
+        card.addEventListener('pointerenter', () => this.previewScene(config));
+        card.addEventListener('pointerleave', () => {
+            if (this.hoveredSceneId === config.id) this.hoveredSceneId = null;
+        });
+
         // Card click to enter immersive mode
         card.addEventListener('click', (e) => {
-            if (!e.target.closest('.favorite-icon')) {
+            if (!e.target.closest('.favorite-icon, .card-action')) {
                 this.enterImmersiveMode(index);
             }
         });
 
+        // Edit and remove buttons on the user's own scenes
+        if (isUserScene) {
+            card.querySelector('.edit-scene').addEventListener('click', () => this.openSceneEditor({ config }));
+            card.querySelector('.delete-scene').addEventListener('click', () => this.deleteUserScene(config));
+        }
+
         // Favorite button click
         const favoriteBtn = card.querySelector('.favorite-icon');
         favoriteBtn.addEventListener('click', (e) => {
@@ -146,9 +343,20 @@ class MindspaceNavigator {
     }
 
     async enterImmersiveMode(sceneIndex) {
-        this.currentSceneIndex = sceneIndex;
+        if (this.isImmersiveMode || this.enteringScene) return;
         const config = sceneConfigs[sceneIndex];
 
+        // Stay on the gallery (with the card's progress bar) until the model is ready
+        this.enteringScene = true;
+        const loaded = await this.ensureSceneLoaded(config);
+        this.enteringScene = false;
+        if (!loaded) return;
+
+        this.currentSceneIndex = sceneIndex;
+
+        // Card previews stay still while immersed
+        this.sceneManager.pausePreviews();
+
         // Initialize renderer if not already done
         if (!this.sceneManager.renderer) {
             this.sceneManager.initRenderer(this.immersiveCanvas);
@@ -167,16 +375,23 @@ class MindspaceNavigator {
 
         // Track visit
         this.storage.setLastVisited(config.id);
+
+        this.prefetchNeighbors();
     }
 
     async exitImmersiveMode() {
+        this.toggleSettingsPanel(false);
+
         // Stop render loop
         this.sceneManager.stopRenderLoop();
+        this.loadingSceneId = null;
+        this.immersiveLoading.classList.add('hidden');
 
         // Transition back to gallery
         await this.transitions.transitionToGallery(this.immersiveView, this.galleryView);
 
         this.isImmersiveMode = false;
+        this.sceneManager.resumePreviews();
     }
 
     updateSceneInfo(config) {
@@ -187,7 +402,10 @@ class MindspaceNavigator {
 
         title.textContent = config.name;
         description.textContent = config.description;
-        tags.innerHTML = config.tags.map(tag => `<span class="tag">${tag}</span>`).join('');
+        tags.innerHTML = config.tags.map(tag => `<span class="tag">${escapeHtml(tag)}</span>`).join('');
+
+        // Settings panel follows the scene on screen
+        this.settingsPanel.setSettings(this.getSceneSettings(config), config);
 
         // Update favorite button
         const isFavorite = this.storage.isFavorite(config.id);
@@ -201,7 +419,7 @@ class MindspaceNavigator {
         lucide.createIcons();
     }
 
-    navigateToScene(direction) {
+    async navigateToScene(direction) {
         const totalScenes = getTotalScenes();
 
         if (direction === 'next') {
@@ -210,13 +428,316 @@ class MindspaceNavigator {
             this.currentSceneIndex = (this.currentSceneIndex - 1 + totalScenes) % totalScenes;
         }
 
-        const config = sceneConfigs[this.currentSceneIndex];
+        const sceneIndex = this.currentSceneIndex;
+        const config = sceneConfigs[sceneIndex];
+
+        // Keep showing the previous scene under a loading overlay
+        if (!this.sceneManager.isSceneLoaded(config.id)) {
+            this.loadingSceneId = config.id;
+            this.immersiveLoadingText.textContent = `Loading ${config.name}...`;
+            this.immersiveLoading.classList.remove('hidden');
+
+            const loaded = await this.ensureSceneLoaded(config);
+
+            // Ignore loads that finish after the user moved on
+            if (this.loadingSceneId !== config.id) return;
+            this.loadingSceneId = null;
+            if (!loaded) {
+                this.immersiveLoadingText.textContent = `Couldn't load ${config.name}`;
+                return;
+            }
+            this.immersiveLoading.classList.add('hidden');
+        } else {
+            this.loadingSceneId = null;
+            this.immersiveLoading.classList.add('hidden');
+        }
+
+        if (!this.isImmersiveMode || this.currentSceneIndex !== sceneIndex) return;
+
         this.sceneManager.displayScene(config.id, this.immersiveCanvas);
         this.updateSceneInfo(config);
         this.storage.setLastVisited(config.id);
+        this.prefetchNeighbors();
+    }
+
+    // Turn dropped or picked files into a model bundle and ask for the details
+    async importFiles(filesPromise) {
+        try {
+            const bundle = await createModelBundle(await filesPromise);
+            this.openSceneEditor({ bundle });
+        } catch (error) {
+            console.error('Import failed:', error);
+            alert(error.message);
+        }
+    }
+
+    // The editor form, for a new import ({ bundle }) or a user scene ({ config })
+    openSceneEditor({ bundle = null, config = null }) {
+        this.pendingImport = bundle;
+        this.editingSceneId = config ? config.id : null;
+
+        const title = document.getElementById('scene-editor-title');
+        const file = document.getElementById('scene-editor-file');
+        const submit = document.getElementById('scene-editor-submit');
+
+        if (config) {
+            title.textContent = 'Edit Scene';
+            file.textContent = config.modelPath.split('/').pop();
+            submit.textContent = 'Save Changes';
+            this.sceneForm.setValues(config);
+        } else {
+            const fileName = bundle.mainPath.split('/').pop();
+            const extraFiles = bundle.files.length - 1;
+            title.textContent = 'Add Your Scene';
+            file.textContent = extraFiles > 0
+                ? `${fileName} + ${extraFiles} file${extraFiles === 1 ? '' : 's'}`
+                : fileName;
+            submit.textContent = 'Add Scene';
+            this.sceneForm.setValues({
+                ...DEFAULT_SCENE_VALUES,
+                name: nameFromPath(bundle.mainPath),
+                description: `My own space, imported from ${fileName}.`,
+                tags: ['Personal']
+            });
+        }
+
+        submit.disabled = false;
+        this.transitions.showModal(this.sceneEditorModal);
+    }
+
+    closeSceneEditor() {
+        this.pendingImport = null;
+        this.editingSceneId = null;
+        this.transitions.hideModal(this.sceneEditorModal);
+    }
+
+    // Save the editor form: store a new import, or update an existing scene
+    async saveSceneEditor() {
+        const values = this.sceneForm.getValues();
+        const submit = document.getElementById('scene-editor-submit');
+
+        if (this.editingSceneId) {
+            // `source` is added at load time and isn't part of the stored scene
+            const config = { ...getSceneById(this.editingSceneId), ...values };
+            delete config.source;
+            try {
+                updateUserScene(config, this.storage);
+            } catch (error) {
+                this.sceneForm.showErrors(errorLines(error));
+                return;
+            }
+
+            // Rebuilt with the new lighting next time it's shown
+            this.sceneManager.unloadScene(config.id);
+            this.closeSceneEditor();
+            this.refreshGallery();
+            this.prefetchQueue.add(config.id, PRIORITY.NEIGHBOR);
+            return;
+        }
+
+        const bundle = this.pendingImport;
+        const id = createSceneId(values.name, sceneConfigs.map(scene => scene.id));
+        const config = {
+            id,
+            ...values,
+            modelPath: `${IMPORT_SCHEME}${id}/${bundle.mainPath.split('/').pop()}`
+        };
+
+        // Check the form before writing the model to IndexedDB
+        const errors = validateScene(config);
+        if (errors.length > 0) {
+            this.sceneForm.showErrors(errors);
+            return;
+        }
+
+        submit.disabled = true;
+        try {
+            await this.sceneManager.saveImportedModel(id, bundle);
+        } catch (error) {
+            submit.disabled = false;
+            this.sceneForm.showErrors([error.message]);
+            return;
+        }
+
+        try {
+            addUserScene(config, this.storage);
+        } catch (error) {
+            submit.disabled = false;
+            await this.sceneManager.deleteImportedModel(id);
+            this.sceneForm.showErrors(errorLines(error));
+            return;
+        }
+
+        this.closeSceneEditor();
+        this.refreshGallery();
+        this.prefetchQueue.add(id, PRIORITY.NEIGHBOR);
+    }
+
+    async deleteUserScene(config) {
+        if (!confirm(`Remove "${config.name}"? Its model will be deleted from this browser.`)) return;
+
+        this.prefetchQueue.remove(config.id);
+        removeUserScene(config.id, this.storage);
+        this.storage.removePreference(settingsKey(config.id));
+        await this.sceneManager.deleteImportedModel(config.id);
+        this.refreshGallery();
+    }
+
+    // The user's settings for a scene, over the scene's own defaults
+    getSceneSettings(config) {
+        return resolveSceneSettings(config, this.storage.getPreference(settingsKey(config.id)));
+    }
+
+    saveSceneSettings(config, settings) {
+        this.storage.setPreference(settingsKey(config.id), settings);
+    }
+
+    toggleSettingsPanel(open = !this.settingsPanel.isOpen()) {
+        const toggle = document.getElementById('scene-settings-toggle');
+        if (open) {
+            this.settingsPanel.open();
+        } else {
+            this.settingsPanel.close();
+        }
+        toggle.classList.toggle('active', open);
+        this.immersiveView.classList.toggle('settings-open', open);
+    }
+
+    // Apply panel changes live while a slider moves...
+    previewSceneLook(look) {
+        const config = this.sceneManager.getCurrentSceneConfig();
+        if (!config) return;
+
+        const settings = resolveSceneSettings(config, { ...this.getSceneSettings(config), ...look });
+        this.sceneManager.applySceneSettings(config.id, settings);
+    }
+
+    // ...and store them once it settles
+    async saveSceneLook(look) {
+        const config = this.sceneManager.getCurrentSceneConfig();
+        if (!config) return;
+
+        // Store the look as resolved, so fog can't end before it starts
+        const settings = resolveSceneSettings(config, { ...this.getSceneSettings(config), ...look });
+        this.saveSceneSettings(config, settings);
+        this.settingsPanel.setSettings(settings, config);
+
+        const applied = await this.sceneManager.applySceneSettings(config.id, settings);
+        if (!applied) {
+            alert(`Couldn't load the "${ENVIRONMENTS[settings.environment.id].label}" environment. Check your connection and try again.`);
+        }
+    }
+
+    async resetSceneLook() {
+        const config = this.sceneManager.getCurrentSceneConfig();
+        if (!config) return;
+        if (!confirm(`Reset lighting, environment and fog for "${config.name}"? Saved viewpoints are kept.`)) return;
+
+        const settings = resetSceneSettings(config, this.getSceneSettings(config));
+        if (settings.viewpoints.length > 0) {
+            this.saveSceneSettings(config, settings);
+        } else {
+            this.storage.removePreference(settingsKey(config.id));
+        }
+
+        await this.sceneManager.applySceneSettings(config.id, settings);
+        this.settingsPanel.setSettings(settings, config);
+    }
+
+    flyToViewpoint(viewpoint) {
+        const { camera, controls } = this.sceneManager;
+        if (!camera || !controls) return;
+
+        this.transitions.animateCameraTransition(camera, viewpoint.position, viewpoint.target, 1.2, controls);
+    }
+
+    saveViewpoint(name) {
+        const config = this.sceneManager.getCurrentSceneConfig();
+        const view = this.sceneManager.getCameraView();
+        if (!config || !view) return;
+
+        const settings = this.getSceneSettings(config);
+        if (settings.viewpoints.length >= MAX_VIEWPOINTS) {
+            alert(`You can save up to ${MAX_VIEWPOINTS} viewpoints per scene. Delete one to save another.`);
+            return;
+        }
+
+        settings.viewpoints = [...settings.viewpoints, { name: name || nextViewpointName(settings.viewpoints), ...view }];
+        this.saveSceneSettings(config, settings);
+        this.settingsPanel.renderViewpoints(settings.viewpoints);
+    }
+
+    deleteViewpoint(index) {
+        const config = this.sceneManager.getCurrentSceneConfig();
+        if (!config) return;
+
+        const settings = this.getSceneSettings(config);
+        settings.viewpoints = settings.viewpoints.filter((viewpoint, i) => i !== index);
+        this.saveSceneSettings(config, settings);
+        this.settingsPanel.renderViewpoints(settings.viewpoints);
+    }
+
+    // Dropping files anywhere on the gallery imports them
+    initDropImport() {
+        let dragDepth = 0;
+        const acceptsDrop = (e) => [...(e.dataTransfer?.types || [])].includes('Files') &&
+            !this.isImmersiveMode && this.sceneEditorModal.classList.contains('hidden');
+
+        document.addEventListener('dragenter', (e) => {
+            if (!acceptsDrop(e)) return;
+            dragDepth++;
+            this.dropOverlay.classList.remove('hidden');
+        });
+
+        // dragleave also fires when moving between child elements
+        document.addEventListener('dragleave', (e) => {
+            if (!acceptsDrop(e) || dragDepth === 0) return;
+            dragDepth--;
+            if (dragDepth === 0) this.dropOverlay.classList.add('hidden');
+        });
+
+        document.addEventListener('dragover', (e) => {
+            if (!acceptsDrop(e)) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+        });
+
+        document.addEventListener('drop', (e) => {
+            if (!acceptsDrop(e)) return;
+            e.preventDefault();
+            dragDepth = 0;
+            this.dropOverlay.classList.add('hidden');
+
+            // Entries must be read during the event, before any await
+            this.importFiles(filesFromDataTransfer(e.dataTransfer));
+        });
+
+        // Header button: pick files instead of dropping them
+        const importBtn = document.getElementById('import-btn');
+        const importInput = document.getElementById('import-input');
+        importBtn.addEventListener('click', () => importInput.click());
+        importInput.addEventListener('change', () => {
+            const files = filesFromFileList(importInput.files);
+            importInput.value = '';
+            if (files.length > 0) this.importFiles(Promise.resolve(files));
+        });
+
+        // Editor form
+        document.getElementById('scene-editor-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveSceneEditor();
+        });
+        document.getElementById('close-scene-editor').addEventListener('click', () => this.closeSceneEditor());
+        document.getElementById('cancel-scene-editor').addEventListener('click', () => this.closeSceneEditor());
+        this.sceneEditorModal.addEventListener('click', (e) => {
+            if (e.target === this.sceneEditorModal) this.closeSceneEditor();
+        });
     }
 
     initEventListeners() {
+        // Drag-and-drop and file picker import
+        this.initDropImport();
+
         // Back button
         const backBtn = document.getElementById('back-btn');
         backBtn.addEventListener('click', () => {
@@ -238,6 +759,10 @@ class MindspaceNavigator {
             this.navigateToScene('next');
         });
 
+        // Camera & lighting panel
+        document.getElementById('scene-settings-toggle').addEventListener('click', () => this.toggleSettingsPanel());
+        document.getElementById('close-scene-settings').addEventListener('click', () => this.toggleSettingsPanel(false));
+
         // Favorite toggle in immersive view
         const favoriteToggle = document.getElementById('favorite-toggle');
         favoriteToggle.addEventListener('click', () => {
@@ -275,6 +800,9 @@ class MindspaceNavigator {
 
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => {
+            // Arrow keys move sliders and the cursor in the settings panel
+            if (e.target.closest('input, select, textarea')) return;
+
             if (this.isImmersiveMode) {
                 switch(e.key) {
                     case 'Escape':
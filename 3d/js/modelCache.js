@@ -0,0 +1,157 @@
+// Model Cache - IndexedDB storage for downloaded GLB files, card posters
+// and models the user imported
+
+const DB_NAME = 'mindspace-navigator';
+const DB_VERSION = 2;
+const MODEL_STORE = 'models';
+const POSTER_STORE = 'posters';
+const IMPORT_STORE = 'imports';
+
+export class ModelCache {
+    constructor() {
+        this.dbPromise = null;
+    }
+
+    // Open (and on first run create) the database. Resolves to null when
+    // IndexedDB is unavailable, e.g. in private browsing, so callers simply
+    // fall back to the network.
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve) => {
+                if (typeof indexedDB === 'undefined') {
+                    resolve(null);
+                    return;
+                }
+
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+                request.onupgradeneeded = (event) => {
+                    const db = request.result;
+                    if (event.oldVersion < 1) {
+                        // One entry per model version: [modelPath, hash]
+                        const models = db.createObjectStore(MODEL_STORE, { keyPath: ['modelPath', 'hash'] });
+                        models.createIndex('modelPath', 'modelPath');
+                        db.createObjectStore(POSTER_STORE, { keyPath: 'sceneId' });
+                    }
+                    if (event.oldVersion < 2) {
+                        db.createObjectStore(IMPORT_STORE, { keyPath: 'sceneId' });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    console.warn('Model cache unavailable:', request.error);
+                    resolve(null);
+                };
+            });
+        }
+        return this.dbPromise;
+    }
+
+    // Run a single request against a store, resolving to its result
+    async request(storeName, mode, makeRequest) {
+        const db = await this.open();
+        if (!db) return null;
+
+        return new Promise((resolve) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = makeRequest(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request.result ?? null);
+            transaction.onerror = () => {
+                console.warn(`Model cache ${mode} failed:`, transaction.error);
+                resolve(null);
+            };
+        });
+    }
+
+    // Short SHA-256 of the file contents, used as the model version
+    static async hash(buffer) {
+        const digest = await crypto.subtle.digest('SHA-256', buffer);
+        return Array.from(new Uint8Array(digest).slice(0, 8))
+            .map(byte => byte.toString(16).padStart(2, '0'))
+            .join('');
+    }
+
+    // Get a specific version of a model
+    get(modelPath, hash) {
+        return this.request(MODEL_STORE, 'readonly', store => store.get([modelPath, hash]));
+    }
+
+    // Get the most recently stored version of a model
+    async getLatest(modelPath) {
+        const entries = await this.request(MODEL_STORE, 'readonly',
+            store => store.index('modelPath').getAll(modelPath));
+        if (!entries || entries.length === 0) return null;
+        return entries.reduce((latest, entry) => entry.storedAt > latest.storedAt ? entry : latest);
+    }
+
+    // Store a model version and drop any older versions of the same path
+    async put(entry) {
+        const db = await this.open();
+        if (!db) return;
+
+        return new Promise((resolve) => {
+            const transaction = db.transaction(MODEL_STORE, 'readwrite');
+            const store = transaction.objectStore(MODEL_STORE);
+
+            store.index('modelPath').getAllKeys(entry.modelPath).onsuccess = (event) => {
+                event.target.result
+                    .filter(([, hash]) => hash !== entry.hash)
+                    .forEach(key => store.delete(key));
+                store.put({ ...entry, storedAt: Date.now() });
+            };
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => {
+                // Usually the storage quota - the model still works, it just
+                // isn't cached
+                console.warn('Could not cache model:', transaction.error);
+                resolve();
+            };
+        });
+    }
+
+    // Poster thumbnails captured from the 3D preview
+    async getPoster(sceneId) {
+        const entry = await this.request(POSTER_STORE, 'readonly', store => store.get(sceneId));
+        return entry ? entry.blob : null;
+    }
+
+    putPoster(sceneId, blob) {
+        return this.request(POSTER_STORE, 'readwrite', store => store.put({ sceneId, blob }));
+    }
+
+    deletePoster(sceneId) {
+        return this.request(POSTER_STORE, 'readwrite', store => store.delete(sceneId));
+    }
+
+    // Imported models: { sceneId, mainPath, files: [{ path, blob }] }. Unlike
+    // the download cache these are the only copy, so a failed write throws.
+    getImport(sceneId) {
+        return this.request(IMPORT_STORE, 'readonly', store => store.get(sceneId));
+    }
+
+    async putImport(entry) {
+        const db = await this.open();
+        if (!db) {
+            throw new Error('This browser has no IndexedDB storage (private browsing?), so imported scenes can\'t be saved.');
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(IMPORT_STORE, 'readwrite');
+            transaction.objectStore(IMPORT_STORE).put(entry);
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(new Error(`Could not save the model: ${transaction.error?.message}`));
+            transaction.onabort = () => reject(new Error(`Could not save the model: ${transaction.error?.message}`));
+        });
+    }
+
+    deleteImport(sceneId) {
+        return this.request(IMPORT_STORE, 'readwrite', store => store.delete(sceneId));
+    }
+
+    // Remove the download cache and posters (imported models are kept)
+    async clear() {
+        await this.request(MODEL_STORE, 'readwrite', store => store.clear());
+        await this.request(POSTER_STORE, 'readwrite', store => store.clear());
+    }
+}
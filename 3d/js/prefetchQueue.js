@@ -0,0 +1,92 @@
+// Prefetch Queue - Loads scenes in the background, most wanted first
+
+// Lower numbers load first
+export const PRIORITY = {
+    HOVER: 0,       // Card under the pointer
+    NEIGHBOR: 1,    // Previous / next scene while immersed
+    FAVORITE: 2,    // Favorites and the last visited scene
+    IDLE: 3         // Everything else
+};
+
+export class PrefetchQueue {
+    constructor(loadTask) {
+        this.loadTask = loadTask; // async (id) => void
+        this.pending = new Map(); // id -> priority
+        this.running = false;
+        this.paused = false;
+    }
+
+    // Queue an item, or raise the priority of one already queued
+    add(id, priority = PRIORITY.IDLE) {
+        const current = this.pending.get(id);
+        if (current === undefined || priority < current) {
+            this.pending.set(id, priority);
+        }
+        this.run();
+    }
+
+    // Forget an item, e.g. once it has been loaded directly
+    remove(id) {
+        this.pending.delete(id);
+    }
+
+    // Hold back background work (e.g. while a scene is being entered)
+    pause() {
+        this.paused = true;
+    }
+
+    resume() {
+        this.paused = false;
+        this.run();
+    }
+
+    clear() {
+        this.pending.clear();
+    }
+
+    // Highest priority item; ties keep insertion order
+    peek() {
+        let best = null;
+        this.pending.forEach((priority, id) => {
+            if (!best || priority < best.priority) {
+                best = { id, priority };
+            }
+        });
+        return best;
+    }
+
+    // One download at a time. Low priority items also wait for the browser
+    // to be idle, and the choice is made after the wait so anything queued
+    // meanwhile (e.g. a hover) can still go first.
+    async run() {
+        if (this.running) return;
+        this.running = true;
+
+        while (!this.paused && this.pending.size > 0) {
+            if (this.peek().priority >= PRIORITY.FAVORITE) {
+                await this.waitForIdle();
+                if (this.paused || this.pending.size === 0) break;
+            }
+
+            const { id } = this.peek();
+            this.pending.delete(id);
+            try {
+                await this.loadTask(id);
+            } catch (error) {
+                console.error(`Prefetch failed: ${id}`, error);
+            }
+        }
+
+        this.running = false;
+    }
+
+    waitForIdle() {
+        return new Promise((resolve) => {
+            if (typeof requestIdleCallback === 'function') {
+                requestIdleCallback(() => resolve(), { timeout: 2000 });
+            } else {
+                setTimeout(resolve, 200);
+            }
+        });
+    }
+}
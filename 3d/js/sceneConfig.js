@@ -1,103 +1,78 @@
-// Scene configuration with metadata for all 6 environments
-
-export const sceneConfigs = [
-    {
-        id: 'office-kitchen',
-        name: 'Office Kitchen Area',
-        description: 'A modern workspace perfect for collaborative thinking and creative breaks. Ideal for social work sessions or casual team discussions.',
-        modelPath: './3d-assets/office-kitchen-area.glb',
-        tags: ['Collaborative', 'Social', 'Modern', 'Break Time'],
-        mood: 'social',
-        camera: {
-            position: { x: 3, y: 2, z: 3 },
-            target: { x: 0, y: 1, z: 0 }
-        },
-        lighting: {
-            ambient: 0.6,
-            directional: 0.8
-        }
-    },
-    {
-        id: 'japanese-garden',
-        name: 'Japanese Garden',
-        description: 'A tranquil zen garden designed for mindfulness and peaceful contemplation. Perfect for meditation, creative thinking, or finding clarity.',
-        modelPath: './3d-assets/japaense-garden.glb',
-        tags: ['Calm', 'Meditation', 'Nature', 'Zen'],
-        mood: 'calm',
-        camera: {
-            position: { x: 2.5, y: 1.5, z: 2.5 },
-            target: { x: 0, y: 0.5, z: 0 }
-        },
-        lighting: {
-            ambient: 0.7,
-            directional: 0.6
-        }
-    },
-    {
-        id: 'laboratory',
-        name: 'Research Laboratory',
-        description: 'A focused scientific environment for deep analytical work. Ideal for complex problem-solving, research, and detail-oriented tasks.',
-        modelPath: './3d-assets/labrotory.glb',
-        tags: ['Focus', 'Analytical', 'Scientific', 'Deep Work'],
-        mood: 'focused',
-        camera: {
-            position: { x: 3.5, y: 2, z: 3.5 },
-            target: { x: 0, y: 1, z: 0 }
-        },
-        lighting: {
-            ambient: 0.5,
-            directional: 0.9
-        }
-    },
-    {
-        id: 'factory-belt',
-        name: 'Factory Production Line',
-        description: 'An energetic industrial space that promotes productivity and momentum. Perfect for task execution, building momentum, and getting things done.',
-        modelPath: './3d-assets/factory-belt.glb',
-        tags: ['Productive', 'Energetic', 'Action', 'Momentum'],
-        mood: 'energetic',
-        camera: {
-            position: { x: 4, y: 2.5, z: 4 },
-            target: { x: 0, y: 1.5, z: 0 }
-        },
-        lighting: {
-            ambient: 0.4,
-            directional: 1.0
-        }
-    },
-    {
-        id: 'carpenter-shop',
-        name: 'Carpenter Workshop',
-        description: 'A hands-on creative space for craftsmanship and building. Ideal for creative projects, design work, and bringing ideas to life.',
-        modelPath: './3d-assets/carpentor-shop.glb',
-        tags: ['Creative', 'Craftsmanship', 'Hands-on', 'Building'],
-        mood: 'creative',
-        camera: {
-            position: { x: 3, y: 2, z: 3 },
-            target: { x: 0, y: 1, z: 0 }
-        },
-        lighting: {
-            ambient: 0.5,
-            directional: 0.8
-        }
-    },
-    {
-        id: 'old-town',
-        name: 'Historic Old Town',
-        description: 'A charming historic urban environment for exploratory thinking and learning. Ideal for research, curiosity-driven work, and discovering new ideas.',
-        modelPath: './3d-assets/old-town.glb',
-        tags: ['Exploratory', 'Historic', 'Urban', 'Learning'],
-        mood: 'exploratory',
-        camera: {
-            position: { x: 4.5, y: 3, z: 4.5 },
-            target: { x: 0, y: 2, z: 0 }
-        },
-        lighting: {
-            ambient: 0.6,
-            directional: 0.7
-        }
+// Scene configuration - loaded from the scenes.json manifest plus any scenes
+// the user added, all validated against js/sceneSchema.js
+import { validateManifest, validateScene } from './sceneSchema.js';
+
+export const MANIFEST_URL = './scenes.json';
+
+// Filled in place by loadSceneManifest, so imports of it stay current
+export const sceneConfigs = [];
+
+// Load the manifest and the user's own scenes. Invalid entries are skipped
+// with a console error instead of failing later when their model loads.
+export async function loadSceneManifest(storage, url = MANIFEST_URL) {
+    const response = await fetch(url, { cache: 'no-cache' });
+    if (!response.ok) {
+        throw new Error(`Failed to load scene manifest ${url}: ${response.status}`);
     }
-];
+
+    const manifest = validateManifest(await response.json());
+    manifest.errors.forEach(error => console.error(`${url}: ${error}`));
+
+    // User scenes can't take the id of a built-in scene
+    const userScenes = validateManifest(
+        { version: 1, scenes: storage.getUserScenes() },
+        manifest.scenes.map(scene => scene.id)
+    );
+    userScenes.errors.forEach(error => console.error(`User scenes: ${error}`));
+
+    sceneConfigs.splice(0, sceneConfigs.length,
+        ...manifest.scenes,
+        ...userScenes.scenes.map(scene => ({ ...scene, source: 'user' })));
+    return sceneConfigs;
+}
+
+// Add a scene of the user's own; throws with every validation error
+export function addUserScene(config, storage) {
+    const errors = validateScene(config);
+    if (getSceneById(config.id)) {
+        errors.push(`scene.id: "${config.id}" is already used by another scene`);
+    }
+    if (errors.length > 0) {
+        throw new Error(`Invalid scene:\n${errors.join('\n')}`);
+    }
+
+    storage.addUserScene(config);
+    const scene = { ...config, source: 'user' };
+    sceneConfigs.push(scene);
+    return scene;
+}
+
+// Replace a user-added scene's settings (same id); throws like addUserScene
+export function updateUserScene(config, storage) {
+    const index = sceneConfigs.findIndex(scene => scene.id === config.id && scene.source === 'user');
+    if (index === -1) {
+        throw new Error(`No scene of yours has the id "${config.id}"`);
+    }
+
+    const errors = validateScene(config);
+    if (errors.length > 0) {
+        throw new Error(`Invalid scene:\n${errors.join('\n')}`);
+    }
+
+    storage.updateUserScene(config);
+    sceneConfigs[index] = { ...config, source: 'user' };
+    return sceneConfigs[index];
+}
+
+// Remove a user-added scene (built-in scenes can't be removed)
+export function removeUserScene(id, storage) {
+    const index = sceneConfigs.findIndex(scene => scene.id === id && scene.source === 'user');
+    if (index === -1) return false;
+
+    sceneConfigs.splice(index, 1);
+    storage.removeUserScene(id);
+    return true;
+}
 
 // Helper function to get scene by ID
 export function getSceneById(id) {
@@ -0,0 +1,82 @@
+// Scene Form - Reads and fills the form for the user's own scenes
+import { MOODS } from './sceneSchema.js';
+
+const VECTOR_FIELDS = ['camera.position', 'camera.target'];
+const AXES = ['x', 'y', 'z'];
+
+export class SceneForm {
+    constructor(form) {
+        this.form = form;
+        this.errorList = form.querySelector('.form-errors');
+
+        // Mood options come from the schema so the two can't drift apart
+        this.form.elements.mood.innerHTML = MOODS
+            .map(mood => `<option value="${mood}">${mood.charAt(0).toUpperCase()}${mood.slice(1)}</option>`)
+            .join('');
+
+        // Show the current value next to each lighting slider
+        this.form.querySelectorAll('input[type="range"]').forEach((input) => {
+            input.addEventListener('input', () => this.updateOutput(input));
+        });
+    }
+
+    // Fill the form from a scene config (or the defaults for a new one)
+    setValues(values) {
+        const { elements } = this.form;
+        elements.name.value = values.name || '';
+        elements.description.value = values.description || '';
+        elements.tags.value = (values.tags || []).join(', ');
+        elements.mood.value = values.mood;
+
+        VECTOR_FIELDS.forEach((field) => {
+            const [group, key] = field.split('.');
+            AXES.forEach((axis) => {
+                elements[`${field}.${axis}`].value = values[group][key][axis];
+            });
+        });
+
+        elements['lighting.ambient'].value = values.lighting.ambient;
+        elements['lighting.directional'].value = values.lighting.directional;
+        this.form.querySelectorAll('input[type="range"]').forEach(input => this.updateOutput(input));
+
+        this.showErrors([]);
+    }
+
+    // The scene fields as entered; validation is left to validateScene
+    getValues() {
+        const { elements } = this.form;
+        const number = (name) => parseFloat(elements[name].value);
+        const vector = (field) => Object.fromEntries(AXES.map(axis => [axis, number(`${field}.${axis}`)]));
+
+        return {
+            name: elements.name.value.trim(),
+            description: elements.description.value.trim(),
+            tags: elements.tags.value.split(',').map(tag => tag.trim()).filter(Boolean),
+            mood: elements.mood.value,
+            camera: {
+                position: vector('camera.position'),
+                target: vector('camera.target')
+            },
+            lighting: {
+                ambient: number('lighting.ambient'),
+                directional: number('lighting.directional')
+            }
+        };
+    }
+
+    // List validation errors ("scene.name: must not be empty") under the form
+    showErrors(errors) {
+        this.errorList.innerHTML = '';
+        errors.forEach((error) => {
+            const item = document.createElement('li');
+            item.textContent = error.replace(/^scene\./, '');
+            this.errorList.appendChild(item);
+        });
+        this.errorList.classList.toggle('hidden', errors.length === 0);
+    }
+
+    updateOutput(input) {
+        const output = this.form.querySelector(`output[for="${input.id}"]`);
+        if (output) output.textContent = Number(input.value).toFixed(2);
+    }
+}
@@ -0,0 +1,157 @@
+// Scene Import - Turns dropped or picked files into a model bundle for a
+// personal scene: one .glb, or a .gltf plus its buffers and textures
+
+// Imported models are stored in IndexedDB; their modelPath points there
+export const IMPORT_SCHEME = 'idb:';
+
+const MODEL_FILE = /\.(glb|gltf)$/i;
+
+// Defaults for a new personal scene, matching the bundled scenes
+export const DEFAULT_SCENE_VALUES = {
+    mood: 'calm',
+    camera: {
+        position: { x: 3, y: 2, z: 3 },
+        target: { x: 0, y: 1, z: 0 }
+    },
+    lighting: {
+        ambient: 0.6,
+        directional: 0.8
+    }
+};
+
+// Files from a drop, including the contents of dropped folders.
+// Returns [{ path, file }] with paths relative to what was dropped.
+export async function filesFromDataTransfer(dataTransfer) {
+    const entries = [...dataTransfer.items]
+        .filter(item => item.kind === 'file')
+        .map(item => item.webkitGetAsEntry?.())
+        .filter(Boolean);
+
+    // Browsers without the entries API only give us plain files
+    if (entries.length === 0) {
+        return filesFromFileList(dataTransfer.files);
+    }
+
+    const files = [];
+    for (const entry of entries) {
+        files.push(...await readEntry(entry, ''));
+    }
+    return files;
+}
+
+// Files from an <input type="file" multiple>
+export function filesFromFileList(fileList) {
+    return [...fileList].map(file => ({ path: file.webkitRelativePath || file.name, file }));
+}
+
+async function readEntry(entry, parentPath) {
+    const path = `${parentPath}${entry.name}`;
+
+    if (entry.isFile) {
+        const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+        return [{ path, file }];
+    }
+
+    // readEntries returns directory contents in batches until it returns none
+    const reader = entry.createReader();
+    const children = [];
+    let batch;
+    do {
+        batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+        children.push(...batch);
+    } while (batch.length > 0);
+
+    const files = [];
+    for (const child of children) {
+        files.push(...await readEntry(child, `${path}/`));
+    }
+    return files;
+}
+
+// Path of a file a .gltf references: "./textures/a%20b.png" next to
+// "scan/model.gltf" is "scan/textures/a b.png". Resolving against a file:
+// URL normalises "./" and "../" segments. Null for a malformed uri.
+export function resourcePath(baseDir, uri) {
+    const base = `file:///${baseDir.split('/').map(encodeURIComponent).join('/')}`;
+    try {
+        return decodeURIComponent(new URL(uri, base).pathname.slice(1));
+    } catch (error) {
+        return null;
+    }
+}
+
+// Pick the model file and check a .gltf has every file it references.
+// Returns { mainPath, files: [{ path, blob }] } ready for ModelCache.putImport.
+export async function createModelBundle(files) {
+    const models = files.filter(({ path }) => MODEL_FILE.test(path));
+    if (models.length === 0) {
+        throw new Error('Drop a .glb or .gltf file (plus its textures) to add a scene.');
+    }
+    if (models.length > 1) {
+        throw new Error(`Drop one model at a time - found ${models.map(({ path }) => path).join(', ')}.`);
+    }
+
+    const main = models[0];
+    const baseDir = main.path.includes('/') ? main.path.slice(0, main.path.lastIndexOf('/') + 1) : '';
+
+    // A .glb is self-contained
+    if (/\.glb$/i.test(main.path)) {
+        return { mainPath: main.path, files: [{ path: main.path, blob: main.file }] };
+    }
+
+    let json;
+    try {
+        json = JSON.parse(await main.file.text());
+    } catch (error) {
+        throw new Error(`${main.path} is not valid glTF JSON.`);
+    }
+
+    const uris = [...(json.buffers || []), ...(json.images || [])]
+        .map(resource => resource.uri)
+        .filter(uri => uri && !uri.startsWith('data:'));
+    if (uris.some(uri => /^[a-z]+:/i.test(uri))) {
+        throw new Error('Models that load files from other websites can\'t be imported.');
+    }
+
+    const malformed = uris.filter(uri => resourcePath(baseDir, uri) === null);
+    if (malformed.length > 0) {
+        throw new Error(`${main.path} refers to files by invalid names: ${malformed.join(', ')}.`);
+    }
+
+    const byPath = new Map(files.map(entry => [entry.path, entry]));
+    const needed = uris.map(uri => resourcePath(baseDir, uri));
+    const missing = needed.filter(path => !byPath.has(path));
+    if (missing.length > 0) {
+        const names = missing.map(path => path.startsWith(baseDir) ? path.slice(baseDir.length) : path);
+        throw new Error(`Missing files: ${names.join(', ')}. Drop them together with the .gltf, or drop the whole folder.`);
+    }
+
+    // Only keep what the model uses
+    return {
+        mainPath: main.path,
+        files: [main.path, ...new Set(needed)].map(path => ({ path, blob: byPath.get(path).file }))
+    };
+}
+
+// "My Office Scan.glb" -> "my-office-scan", made unique against taken ids
+export function createSceneId(name, takenIds) {
+    const base = name
+        .toLowerCase()
+        .replace(/\.(glb|gltf)$/, '')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 48) || 'scene';
+
+    let id = base;
+    for (let n = 2; takenIds.includes(id); n++) {
+        id = `${base}-${n}`;
+    }
+    return id;
+}
+
+// Human-readable scene name from a file path
+export function nameFromPath(path) {
+    const file = path.split('/').pop().replace(/\.(glb|gltf)$/i, '');
+    const words = file.replace(/[-_]+/g, ' ').trim();
+    return (words.charAt(0).toUpperCase() + words.slice(1)).slice(0, 60) || 'My Scene';
+}
@@ -2,11 +2,26 @@
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { RGBELoader } from 'three/addons/loaders/RGBELoader.js';
+import { ModelCache } from './modelCache.js';
+import { IMPORT_SCHEME, resourcePath } from './sceneImport.js';
+import { ENVIRONMENTS } from './sceneSettings.js';
+
+const BACKGROUND_COLOR = 0x0a0a0f;
 
 export class SceneManager {
     constructor() {
         this.scenes = new Map(); // Store loaded scenes
+        this.loading = new Map(); // In-flight loads, so each scene loads once
+        this.revalidated = new Set(); // Models checked against the server this session
+        this.modelCache = new ModelCache();
+        this.onLoadProgress = null; // (sceneId, fraction) => void
         this.previewScenes = new Map(); // Store preview scenes for cards
+        this.previewRenderer = null; // One renderer draws every card preview
+        this.previewObserver = null;
+        this.previewFrameId = null;
+        this.previewsPaused = false;
+        this.environmentMaps = new Map(); // Environment id -> Promise<Texture>
         this.currentScene = null;
         this.currentSceneConfig = null;
         this.renderer = null;
@@ -39,8 +54,8 @@ export class SceneManager {
     // Create a scene with lighting
     createScene(config) {
         const scene = new THREE.Scene();
-        scene.background = new THREE.Color(0x0a0a0f);
-        scene.fog = new THREE.Fog(0x0a0a0f, 10, 50);
+        scene.background = new THREE.Color(BACKGROUND_COLOR);
+        scene.fog = new THREE.Fog(BACKGROUND_COLOR, 10, 50);
 
         // Ambient light
         const ambientLight = new THREE.AmbientLight(0xffffff, config.lighting.ambient);
@@ -65,9 +80,69 @@ export class SceneManager {
         rimLight.position.set(-5, 3, -5);
         scene.add(rimLight);
 
+        // Adjusted later by applySceneSettings
+        scene.userData.lights = { ambient: ambientLight, directional: directionalLight };
+
         return scene;
     }
 
+    // Load an environment map once and share it between scenes. The HDRI
+    // stays equirectangular; each renderer prefilters it for its own context.
+    loadEnvironment(environmentId) {
+        if (!this.environmentMaps.has(environmentId)) {
+            const promise = new RGBELoader().loadAsync(ENVIRONMENTS[environmentId].url).then((texture) => {
+                texture.mapping = THREE.EquirectangularReflectionMapping;
+                return texture;
+            });
+            // Let a failed download be retried
+            promise.catch(() => this.environmentMaps.delete(environmentId));
+            this.environmentMaps.set(environmentId, promise);
+        }
+        return this.environmentMaps.get(environmentId);
+    }
+
+    // Apply the user's lighting, environment and fog (js/sceneSettings.js)
+    // to a loaded scene. Resolves to false if the environment map failed.
+    async applySceneSettings(sceneId, settings) {
+        const sceneData = this.scenes.get(sceneId);
+        if (!sceneData) return false;
+        const { scene } = sceneData;
+
+        scene.userData.lights.ambient.intensity = settings.lighting.ambient;
+        scene.userData.lights.directional.intensity = settings.lighting.directional;
+
+        const { fog } = settings;
+        if (!fog.enabled) {
+            scene.fog = null;
+        } else {
+            // Materials recompile when fog is switched on, so reuse it while it stays on
+            scene.fog = scene.fog || new THREE.Fog();
+            scene.fog.color.set(fog.color);
+            scene.fog.near = fog.near;
+            scene.fog.far = fog.far;
+        }
+
+        const { environment } = settings;
+        scene.userData.environmentId = environment.id;
+        let texture = null;
+        let loaded = true;
+        if (environment.id !== 'none') {
+            try {
+                texture = await this.loadEnvironment(environment.id);
+            } catch (error) {
+                console.warn(`Could not load environment ${environment.id}:`, error);
+                loaded = false;
+            }
+            // The environment was changed again while this one downloaded
+            if (scene.userData.environmentId !== environment.id) return loaded;
+        }
+
+        scene.environment = texture;
+        scene.environmentIntensity = environment.intensity;
+        scene.background = texture && environment.background ? texture : new THREE.Color(BACKGROUND_COLOR);
+        return loaded;
+    }
+
     // Create camera for immersive view
     createCamera(config, aspect) {
         const camera = new THREE.PerspectiveCamera(50, aspect, 0.1, 100);
@@ -101,14 +176,157 @@ export class SceneManager {
         return controls;
     }
 
-    // Load GLB model
-    async loadModel(modelPath) {
+    // Fetch the GLB bytes, from the IndexedDB cache when possible.
+    // With a `modelHash` in the config a cached copy is used without touching
+    // the network, and a download that doesn't match it is an error. Without
+    // one the cached copy is used straight away and the server's validators
+    // are checked in the background for the next load.
+    async fetchModel(config, onProgress) {
+        const { modelPath, modelHash } = config;
+
+        let validator = null;
+        if (modelHash) {
+            const cached = await this.modelCache.get(modelPath, modelHash);
+            if (cached) return cached.buffer;
+        } else {
+            const cached = await this.modelCache.getLatest(modelPath);
+            if (cached) {
+                this.revalidateModel(modelPath, cached.validator);
+                return cached.buffer;
+            }
+            validator = await this.fetchValidator(modelPath);
+        }
+
+        const buffer = await this.downloadModel(modelPath, onProgress);
+        const hash = await ModelCache.hash(buffer);
+        // Stored under the wrong hash it would miss the cache on every load
+        if (modelHash && hash !== modelHash) {
+            throw new Error(`${modelPath} has hash ${hash}, config expects ${modelHash}`);
+        }
+        await this.modelCache.put({ modelPath, hash, validator, buffer });
+        return buffer;
+    }
+
+    // Download a cached model again if the server has a newer version. Runs
+    // once per model and session; the new copy is used from the next load.
+    async revalidateModel(modelPath, cachedValidator) {
+        if (this.revalidated.has(modelPath)) return;
+        this.revalidated.add(modelPath);
+
+        const validator = await this.fetchValidator(modelPath);
+        if (!validator || validator === cachedValidator) return;
+
+        try {
+            const buffer = await this.downloadModel(modelPath);
+            await this.modelCache.put({ modelPath, hash: await ModelCache.hash(buffer), validator, buffer });
+        } catch (error) {
+            console.warn(`Could not refresh ${modelPath}:`, error);
+        }
+    }
+
+    // ETag or Last-Modified from a HEAD request; null when offline or the
+    // server sends neither
+    async fetchValidator(modelPath) {
+        try {
+            const response = await fetch(modelPath, { method: 'HEAD', cache: 'no-cache' });
+            if (!response.ok) return null;
+            return response.headers.get('ETag') || response.headers.get('Last-Modified');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Download with progress reporting
+    async downloadModel(modelPath, onProgress) {
+        const response = await fetch(modelPath);
+        if (!response.ok) {
+            throw new Error(`Failed to download ${modelPath}: ${response.status}`);
+        }
+
+        const total = parseInt(response.headers.get('Content-Length'), 10) || 0;
+        if (!response.body || !total) {
+            return response.arrayBuffer();
+        }
+
+        // Content-Length is the compressed size when the server gzips, so
+        // collect chunks rather than filling a fixed buffer
+        const reader = response.body.getReader();
+        const chunks = [];
+        let loaded = 0;
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            chunks.push(value);
+            loaded += value.length;
+            if (onProgress) onProgress(Math.min(loaded / total, 1));
+        }
+
+        const bytes = new Uint8Array(loaded);
+        let offset = 0;
+        chunks.forEach((chunk) => {
+            bytes.set(chunk, offset);
+            offset += chunk.length;
+        });
+        return bytes.buffer;
+    }
+
+    // Read an imported model back from IndexedDB. Returns the main file's
+    // bytes, its buffers/textures keyed by their stored path and the
+    // folder the .gltf's uris are relative to.
+    async loadImportedModel(config) {
+        const sceneId = config.modelPath.slice(IMPORT_SCHEME.length).split('/')[0];
+        const entry = await this.modelCache.getImport(sceneId);
+        if (!entry) {
+            throw new Error(`Imported model for ${config.name} is missing from this browser`);
+        }
+
+        const baseDir = entry.mainPath.slice(0, entry.mainPath.lastIndexOf('/') + 1);
+        const resources = new Map();
+        let buffer = null;
+        for (const { path, blob } of entry.files) {
+            if (path === entry.mainPath) {
+                buffer = await blob.arrayBuffer();
+            } else {
+                resources.set(path, blob);
+            }
+        }
+        return { buffer, resources, baseDir };
+    }
+
+    // Keep an imported model bundle ({ mainPath, files }) for a user scene
+    saveImportedModel(sceneId, bundle) {
+        return this.modelCache.putImport({ sceneId, ...bundle });
+    }
+
+    // Forget a user scene's model, poster and loaded scene
+    async deleteImportedModel(sceneId) {
+        this.unloadScene(sceneId);
+        await this.modelCache.deleteImport(sceneId);
+        await this.modelCache.deletePoster(sceneId);
+    }
+
+    // Parse GLB/glTF bytes into a centred, shadow-casting model. For models
+    // without a URL, `resources` maps stored paths to blobs and the .gltf's
+    // uris are resolved against `baseDir` the same way sceneImport does.
+    parseModel(buffer, modelPath, resources = null, baseDir = '') {
         return new Promise((resolve, reject) => {
-            const loader = new GLTFLoader();
+            const manager = new THREE.LoadingManager();
+            const objectUrls = new Map();
+            if (resources) {
+                resources.forEach((blob, path) => objectUrls.set(path, URL.createObjectURL(blob)));
+                manager.setURLModifier(url => objectUrls.get(resourcePath(baseDir, url)) || url);
+            }
+            const revokeUrls = () => objectUrls.forEach(url => URL.revokeObjectURL(url));
 
-            loader.load(
-                modelPath,
+            const loader = new GLTFLoader(manager);
+
+            loader.parse(
+                buffer,
+                resources ? '' : THREE.LoaderUtils.extractUrlBase(modelPath),
                 (gltf) => {
+                    revokeUrls();
+
                     const model = gltf.scene;
 
                     // Enable shadows
@@ -134,70 +352,147 @@ export class SceneManager {
 
                     resolve(model);
                 },
-                (progress) => {
-                    // Progress callback
-                    const percentComplete = (progress.loaded / progress.total) * 100;
-                    console.log(`Loading ${modelPath}: ${percentComplete.toFixed(2)}%`);
-                },
                 (error) => {
-                    console.error('Error loading model:', error);
+                    revokeUrls();
+                    console.error('Error parsing model:', error);
                     reject(error);
                 }
             );
         });
     }
 
-    // Load all scenes for gallery previews
-    async loadAllScenes(sceneConfigs, onProgress) {
-        const totalScenes = sceneConfigs.length;
-        let loadedCount = 0;
+    // Load a scene on demand. Concurrent calls share one load, and a failed
+    // load can be retried later.
+    loadScene(config) {
+        if (this.scenes.has(config.id)) {
+            return Promise.resolve(this.scenes.get(config.id));
+        }
+        if (this.loading.has(config.id)) {
+            return this.loading.get(config.id);
+        }
 
-        for (const config of sceneConfigs) {
-            try {
-                const model = await this.loadModel(config.modelPath);
-                const scene = this.createScene(config);
-                scene.add(model);
-
-                this.scenes.set(config.id, {
-                    scene,
-                    model,
-                    config
-                });
+        const reportProgress = (fraction) => {
+            if (this.onLoadProgress) this.onLoadProgress(config.id, fraction);
+        };
 
-                loadedCount++;
-                if (onProgress) {
-                    onProgress(loadedCount, totalScenes, config.name);
-                }
-            } catch (error) {
-                console.error(`Failed to load scene: ${config.name}`, error);
-                loadedCount++;
-                if (onProgress) {
-                    onProgress(loadedCount, totalScenes, config.name);
-                }
+        const promise = (async () => {
+            let model;
+            if (config.modelPath.startsWith(IMPORT_SCHEME)) {
+                const { buffer, resources, baseDir } = await this.loadImportedModel(config);
+                model = await this.parseModel(buffer, config.modelPath, resources, baseDir);
+            } else {
+                const buffer = await this.fetchModel(config, reportProgress);
+                model = await this.parseModel(buffer, config.modelPath);
             }
-        }
+            const scene = this.createScene(config);
+            scene.add(model);
+
+            const sceneData = { scene, model, config };
+            this.scenes.set(config.id, sceneData);
+            reportProgress(1);
+            return sceneData;
+        })();
+
+        this.loading.set(config.id, promise);
+        promise
+            .catch((error) => console.error(`Failed to load scene: ${config.name}`, error))
+            .finally(() => this.loading.delete(config.id));
+        return promise;
+    }
+
+    isSceneLoaded(sceneId) {
+        return this.scenes.has(sceneId);
     }
 
-    // Create preview renderer for scene cards
-    createPreviewRenderer(container, sceneId) {
+    // Drop a loaded scene (e.g. after its settings changed) and free its GPU
+    // resources. The next loadScene builds it again from its config.
+    unloadScene(sceneId) {
         const sceneData = this.scenes.get(sceneId);
-        if (!sceneData) return null;
+        if (!sceneData) return;
+
+        this.removePreview(sceneId);
+        this.scenes.delete(sceneId);
+        sceneData.scene.traverse((object) => {
+            if (object.geometry) object.geometry.dispose();
+            if (object.material) {
+                [].concat(object.material).forEach((material) => {
+                    Object.values(material)
+                        .filter(value => value && value.isTexture)
+                        .forEach(texture => texture.dispose());
+                    material.dispose();
+                });
+            }
+        });
+    }
 
-        const width = container.clientWidth;
-        const height = container.clientHeight;
+    // Snapshot of a card preview, stored as the card's poster
+    async capturePoster(sceneId) {
+        const previewData = this.previewScenes.get(sceneId);
+        if (!previewData || !this.previewRenderer) return null;
+
+        this.resizePreviewRenderer();
+        this.previewRenderer.setScissorTest(true);
+        const rect = this.renderPreview(previewData);
+        if (!rect) return null;
+
+        // Copy the card's region out of the shared canvas in the same task as
+        // the render, before the drawing buffer is cleared
+        const pixelRatio = this.previewRenderer.getPixelRatio();
+        const snapshot = document.createElement('canvas');
+        snapshot.width = Math.round(rect.width * pixelRatio);
+        snapshot.height = Math.round(rect.height * pixelRatio);
+        snapshot.getContext('2d').drawImage(
+            this.previewRenderer.domElement,
+            rect.left * pixelRatio, rect.top * pixelRatio, snapshot.width, snapshot.height,
+            0, 0, snapshot.width, snapshot.height
+        );
+
+        const blob = await new Promise(resolve => snapshot.toBlob(resolve, 'image/webp', 0.8));
+        if (blob) {
+            await this.modelCache.putPoster(sceneId, blob);
+        }
+        return blob;
+    }
 
-        const previewRenderer = new THREE.WebGLRenderer({
+    getPoster(sceneId) {
+        return this.modelCache.getPoster(sceneId);
+    }
+
+    // Shared renderer for card previews: a transparent canvas fixed over the
+    // viewport, drawing each card into its own scissor region. Browsers
+    // allow only a handful of WebGL contexts, so one per card doesn't scale.
+    initPreviewRenderer(container) {
+        this.previewRenderer = new THREE.WebGLRenderer({
             antialias: true,
-            alpha: false
+            alpha: true
         });
-        previewRenderer.setSize(width, height);
-        previewRenderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
-        previewRenderer.setClearColor(0x13131a);
-        previewRenderer.shadowMap.enabled = true;
-        previewRenderer.outputEncoding = THREE.sRGBEncoding;
-
-        const camera = this.createPreviewCamera(width / height);
-        const controls = new OrbitControls(camera, previewRenderer.domElement);
+        this.previewRenderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+        this.previewRenderer.setClearColor(0x000000, 0);
+        this.previewRenderer.shadowMap.enabled = true;
+        this.previewRenderer.outputEncoding = THREE.sRGBEncoding;
+        this.previewRenderer.domElement.classList.add('preview-canvas');
+        container.appendChild(this.previewRenderer.domElement);
+
+        // Only cards on screen animate
+        this.previewObserver = new IntersectionObserver((entries) => {
+            entries.forEach((entry) => {
+                const previewData = this.previewScenes.get(entry.target.dataset.previewId);
+                if (previewData) previewData.visible = entry.isIntersecting;
+            });
+            this.startPreviewLoop();
+        });
+    }
+
+    // Create preview for a scene card
+    createPreview(container, sceneId) {
+        const sceneData = this.scenes.get(sceneId);
+        if (!sceneData || !this.previewRenderer) return false;
+        if (this.previewScenes.has(sceneId)) return true;
+
+        const camera = this.createPreviewCamera(container.clientWidth / container.clientHeight);
+
+        // Controls listen on the card itself; the shared canvas ignores the pointer
+        const controls = new OrbitControls(camera, container);
         controls.enableDamping = true;
         controls.dampingFactor = 0.05;
         controls.enableZoom = false;
@@ -210,28 +505,103 @@ export class SceneManager {
         controls.target.set(0, 1, 0);
         controls.update();
 
-        container.appendChild(previewRenderer.domElement);
-
         // Store preview data
+        container.dataset.previewId = sceneId;
         this.previewScenes.set(sceneId, {
-            renderer: previewRenderer,
+            container,
             camera,
             controls,
-            scene: sceneData.scene
+            scene: sceneData.scene,
+            visible: false
         });
+        this.previewObserver.observe(container);
+
+        return true;
+    }
+
+    // Draw one preview into its card's region. Returns the region, or null
+    // when the card is off screen.
+    renderPreview(previewData) {
+        const rect = previewData.container.getBoundingClientRect();
+        const canvas = this.previewRenderer.domElement;
+
+        if (rect.bottom < 0 || rect.top > canvas.clientHeight ||
+            rect.right < 0 || rect.left > canvas.clientWidth ||
+            rect.width === 0 || rect.height === 0) {
+            return null;
+        }
+
+        // Viewport origin is bottom-left
+        const bottom = canvas.clientHeight - rect.bottom;
+        this.previewRenderer.setViewport(rect.left, bottom, rect.width, rect.height);
+        this.previewRenderer.setScissor(rect.left, bottom, rect.width, rect.height);
+
+        previewData.camera.aspect = rect.width / rect.height;
+        previewData.camera.updateProjectionMatrix();
+        this.previewRenderer.render(previewData.scene, previewData.camera);
+        return rect;
+    }
+
+    // One animation loop for all previews, running only while a preview is
+    // visible and the immersive view is closed
+    startPreviewLoop() {
+        if (this.previewFrameId || this.previewsPaused) return;
 
-        // Start animation loop for this preview
         const animate = () => {
-            const previewData = this.previewScenes.get(sceneId);
-            if (previewData) {
-                previewData.controls.update();
-                previewData.renderer.render(previewData.scene, previewData.camera);
-                requestAnimationFrame(animate);
+            const visible = [...this.previewScenes.values()].filter(previewData => previewData.visible);
+            if (this.previewsPaused || visible.length === 0) {
+                this.previewFrameId = null;
+                this.clearPreviews();
+                return;
             }
+            this.previewFrameId = requestAnimationFrame(animate);
+
+            this.resizePreviewRenderer();
+            this.previewRenderer.setScissorTest(false);
+            this.previewRenderer.clear();
+            this.previewRenderer.setScissorTest(true);
+
+            visible.forEach((previewData) => {
+                previewData.controls.update();
+                this.renderPreview(previewData);
+            });
         };
         animate();
+    }
 
-        return previewRenderer;
+    // Match the drawing buffer to the viewport. Resizing clears the canvas,
+    // so only do it when the size actually changed.
+    resizePreviewRenderer() {
+        const canvas = this.previewRenderer.domElement;
+        const size = this.previewRenderer.getSize(new THREE.Vector2());
+        if (size.x !== canvas.clientWidth || size.y !== canvas.clientHeight) {
+            this.previewRenderer.setSize(canvas.clientWidth, canvas.clientHeight, false);
+        }
+    }
+
+    stopPreviewLoop() {
+        if (this.previewFrameId) {
+            cancelAnimationFrame(this.previewFrameId);
+            this.previewFrameId = null;
+        }
+    }
+
+    clearPreviews() {
+        if (!this.previewRenderer) return;
+        this.previewRenderer.setScissorTest(false);
+        this.previewRenderer.clear();
+    }
+
+    // Stop drawing previews (e.g. while the immersive view is open)
+    pausePreviews() {
+        this.previewsPaused = true;
+        this.stopPreviewLoop();
+        this.clearPreviews();
+    }
+
+    resumePreviews() {
+        this.previewsPaused = false;
+        this.startPreviewLoop();
     }
 
     // Display scene in immersive view
@@ -312,17 +682,35 @@ export class SceneManager {
         }
     }
 
+    // Clean up one card's preview
+    removePreview(sceneId) {
+        const previewData = this.previewScenes.get(sceneId);
+        if (!previewData) return;
+
+        this.previewObserver.unobserve(previewData.container);
+        delete previewData.container.dataset.previewId;
+        previewData.controls.dispose();
+        this.previewScenes.delete(sceneId);
+    }
+
     // Clean up preview scenes
     cleanupPreviews() {
-        this.previewScenes.forEach((previewData, sceneId) => {
-            if (previewData.controls) {
-                previewData.controls.dispose();
-            }
-            if (previewData.renderer) {
-                previewData.renderer.dispose();
-            }
+        this.stopPreviewLoop();
+        this.clearPreviews();
+
+        [...this.previewScenes.keys()].forEach(sceneId => this.removePreview(sceneId));
+    }
+
+    // Where the immersive camera is and what it looks at, for saving viewpoints
+    getCameraView() {
+        if (!this.camera || !this.controls) return null;
+
+        const round = vector => ({
+            x: Math.round(vector.x * 100) / 100,
+            y: Math.round(vector.y * 100) / 100,
+            z: Math.round(vector.z * 100) / 100
         });
-        this.previewScenes.clear();
+        return { position: round(this.camera.position), target: round(this.controls.target) };
     }
 
     // Get current scene config
@@ -343,6 +731,13 @@ export class SceneManager {
             this.renderer.dispose();
         }
 
+        if (this.previewRenderer) {
+            this.previewObserver.disconnect();
+            this.previewRenderer.dispose();
+            this.previewRenderer.domElement.remove();
+            this.previewRenderer = null;
+        }
+
         this.scenes.clear();
     }
 }
@@ -0,0 +1,158 @@
+// Scene Schema - Validation rules for the scene manifest and user-added scenes
+// Used by the app at runtime and by scripts/validate-scenes.mjs in Node, so
+// this module must not touch the DOM.
+
+export const MANIFEST_VERSION = 1;
+
+export const MOODS = ['social', 'calm', 'focused', 'energetic', 'creative', 'exploratory'];
+
+// Camera distance limits match the immersive orbit controls
+export const CAMERA_DISTANCE = { min: 2, max: 20 };
+
+const vector = (min, max) => ({
+    type: 'object',
+    required: true,
+    properties: {
+        x: { type: 'number', min, max, required: true },
+        y: { type: 'number', min, max, required: true },
+        z: { type: 'number', min, max, required: true }
+    }
+});
+
+export const SCENE_SCHEMA = {
+    type: 'object',
+    properties: {
+        id: { type: 'string', pattern: /^[a-z0-9]+(-[a-z0-9]+)*$/, maxLength: 64, required: true },
+        name: { type: 'string', minLength: 1, maxLength: 60, required: true },
+        description: { type: 'string', minLength: 1, maxLength: 400, required: true },
+        modelPath: { type: 'string', pattern: /\.(glb|gltf)(\?.*)?$/i, required: true },
+        // First 16 hex characters of the file's SHA-256. When present, a
+        // cached copy of the model is used without any network request.
+        modelHash: { type: 'string', pattern: /^[0-9a-f]{16}$/ },
+        // Thumbnail shown before the model loads
+        poster: { type: 'string', minLength: 1 },
+        tags: {
+            type: 'array',
+            items: { type: 'string', minLength: 1, maxLength: 24 },
+            minItems: 1,
+            maxItems: 8,
+            unique: true,
+            required: true
+        },
+        mood: { type: 'string', enum: MOODS, required: true },
+        camera: {
+            type: 'object',
+            required: true,
+            properties: {
+                position: vector(-50, 50),
+                target: vector(-50, 50)
+            }
+        },
+        lighting: {
+            type: 'object',
+            required: true,
+            properties: {
+                ambient: { type: 'number', min: 0, max: 2, required: true },
+                directional: { type: 'number', min: 0, max: 3, required: true }
+            }
+        }
+    }
+};
+
+// Check a value against a schema node, pushing "path: message" strings
+function check(value, schema, path, errors) {
+    const fail = (message) => errors.push(`${path}: ${message}`);
+
+    switch (schema.type) {
+        case 'string':
+            if (typeof value !== 'string') return fail('must be a string');
+            if (schema.minLength && value.trim().length < schema.minLength) return fail('must not be empty');
+            if (schema.maxLength && value.length > schema.maxLength) return fail(`must be at most ${schema.maxLength} characters`);
+            if (schema.pattern && !schema.pattern.test(value)) return fail(`"${value}" does not match ${schema.pattern}`);
+            if (schema.enum && !schema.enum.includes(value)) return fail(`must be one of ${schema.enum.join(', ')}`);
+            break;
+
+        case 'number':
+            if (typeof value !== 'number' || !Number.isFinite(value)) return fail('must be a number');
+            if (value < schema.min || value > schema.max) return fail(`must be between ${schema.min} and ${schema.max}`);
+            break;
+
+        case 'array':
+            if (!Array.isArray(value)) return fail('must be an array');
+            if (value.length < schema.minItems) return fail(`needs at least ${schema.minItems} item(s)`);
+            if (value.length > schema.maxItems) return fail(`allows at most ${schema.maxItems} items`);
+            value.forEach((item, index) => check(item, schema.items, `${path}[${index}]`, errors));
+            if (schema.unique && new Set(value).size !== value.length) fail('must not contain duplicates');
+            break;
+
+        case 'object': {
+            if (!value || typeof value !== 'object' || Array.isArray(value)) return fail('must be an object');
+
+            Object.entries(schema.properties).forEach(([key, property]) => {
+                if (value[key] === undefined) {
+                    if (property.required) errors.push(`${path}.${key}: is required`);
+                } else {
+                    check(value[key], property, `${path}.${key}`, errors);
+                }
+            });
+
+            // Unknown keys are usually typos (e.g. "modelpath")
+            Object.keys(value)
+                .filter(key => !(key in schema.properties))
+                .forEach(key => errors.push(`${path}.${key}: is not a known property`));
+            break;
+        }
+    }
+}
+
+// Validate one scene; returns a list of errors (empty when valid)
+export function validateScene(scene, path = 'scene') {
+    const errors = [];
+    check(scene, SCENE_SCHEMA, path, errors);
+
+    if (errors.length === 0) {
+        const { position, target } = scene.camera;
+        const distance = Math.hypot(position.x - target.x, position.y - target.y, position.z - target.z);
+        if (distance < CAMERA_DISTANCE.min || distance > CAMERA_DISTANCE.max) {
+            errors.push(`${path}.camera: position must be ${CAMERA_DISTANCE.min}-${CAMERA_DISTANCE.max} units from the target (is ${distance.toFixed(2)})`);
+        }
+    }
+    return errors;
+}
+
+// Validate a manifest ({ version, scenes }). Returns the scenes that passed
+// and the errors for the rest, so one bad entry doesn't hide the others.
+// Ids already in `takenIds` (e.g. built-in scenes) count as duplicates.
+export function validateManifest(manifest, takenIds = []) {
+    const errors = [];
+    const scenes = [];
+
+    if (!manifest || typeof manifest !== 'object') {
+        return { scenes, errors: ['manifest: must be an object'] };
+    }
+    if (manifest.version !== MANIFEST_VERSION) {
+        errors.push(`version: must be ${MANIFEST_VERSION}`);
+    }
+    if (!Array.isArray(manifest.scenes)) {
+        errors.push('scenes: must be an array');
+        return { scenes, errors };
+    }
+
+    const ids = new Set(takenIds);
+    manifest.scenes.forEach((scene, index) => {
+        const path = `scenes[${index}]`;
+        const sceneErrors = validateScene(scene, path);
+
+        if (scene && ids.has(scene.id)) {
+            sceneErrors.push(`${path}.id: "${scene.id}" is already used by another scene`);
+        }
+
+        if (sceneErrors.length === 0) {
+            ids.add(scene.id);
+            scenes.push(scene);
+        }
+        errors.push(...sceneErrors);
+    });
+
+    return { scenes, errors };
+}
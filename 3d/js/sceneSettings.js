@@ -0,0 +1,103 @@
+// Scene Settings - The user's per-scene adjustments on top of a scene's
+// config: lighting, environment map, fog and saved viewpoints. Stored
+// through Storage.setPreference; nothing here touches the DOM.
+
+const HDRI_BASE = 'https://cdn.jsdelivr.net/gh/mrdoob/three.js@r169/examples/textures/equirectangular/';
+
+// Environment maps offered in the editor (equirectangular HDRIs)
+export const ENVIRONMENTS = {
+    none: { label: 'None' },
+    sunset: { label: 'Venice sunset', url: `${HDRI_BASE}venice_sunset_1k.hdr` },
+    esplanade: { label: 'Royal esplanade', url: `${HDRI_BASE}royal_esplanade_1k.hdr` },
+    overpass: { label: 'Pedestrian overpass', url: `${HDRI_BASE}pedestrian_overpass_1k.hdr` },
+    quarry: { label: 'Quarry', url: `${HDRI_BASE}quarry_01_1k.hdr` },
+    night: { label: 'Moonless night', url: `${HDRI_BASE}moonless_golf_1k.hdr` }
+};
+
+// Slider ranges; lighting matches the scene schema
+export const SETTING_LIMITS = {
+    ambient: { min: 0, max: 2 },
+    directional: { min: 0, max: 3 },
+    environmentIntensity: { min: 0, max: 3 },
+    fogNear: { min: 0, max: 50 },
+    fogFar: { min: 5, max: 100 }
+};
+
+export const MAX_VIEWPOINTS = 12;
+
+// Fog has to end at least this far beyond where it starts
+const MIN_FOG_DEPTH = 1;
+
+// Matches the fog SceneManager.createScene gives every scene
+const DEFAULT_FOG = { enabled: true, color: '#0a0a0f', near: 10, far: 50 };
+
+const DEFAULT_ENVIRONMENT = { id: 'none', intensity: 1, background: false };
+
+export function settingsKey(sceneId) {
+    return `scene:${sceneId}`;
+}
+
+// The settings a scene has before the user changes anything
+export function defaultSceneSettings(config) {
+    return {
+        lighting: { ...config.lighting },
+        environment: { ...DEFAULT_ENVIRONMENT },
+        fog: { ...DEFAULT_FOG },
+        viewpoints: []
+    };
+}
+
+const clamp = (value, { min, max }, fallback) =>
+    typeof value === 'number' && Number.isFinite(value) ? Math.min(Math.max(value, min), max) : fallback;
+
+const isVector = (value) => value && ['x', 'y', 'z'].every(axis => Number.isFinite(value[axis]));
+
+// Merge saved settings over the defaults. Saved values come from
+// LocalStorage (and importData), so anything malformed falls back.
+export function resolveSceneSettings(config, saved) {
+    const defaults = defaultSceneSettings(config);
+    if (!saved || typeof saved !== 'object') return defaults;
+
+    const lighting = saved.lighting || {};
+    const environment = saved.environment || {};
+    const fog = saved.fog || {};
+    const fogNear = clamp(fog.near, SETTING_LIMITS.fogNear, defaults.fog.near);
+
+    return {
+        lighting: {
+            ambient: clamp(lighting.ambient, SETTING_LIMITS.ambient, defaults.lighting.ambient),
+            directional: clamp(lighting.directional, SETTING_LIMITS.directional, defaults.lighting.directional)
+        },
+        environment: {
+            id: Object.hasOwn(ENVIRONMENTS, environment.id) ? environment.id : defaults.environment.id,
+            intensity: clamp(environment.intensity, SETTING_LIMITS.environmentIntensity, defaults.environment.intensity),
+            background: typeof environment.background === 'boolean' ? environment.background : defaults.environment.background
+        },
+        fog: {
+            enabled: typeof fog.enabled === 'boolean' ? fog.enabled : defaults.fog.enabled,
+            color: /^#[0-9a-f]{6}$/i.test(fog.color) ? fog.color : defaults.fog.color,
+            near: fogNear,
+            far: Math.max(clamp(fog.far, SETTING_LIMITS.fogFar, defaults.fog.far), fogNear + MIN_FOG_DEPTH)
+        },
+        viewpoints: Array.isArray(saved.viewpoints)
+            ? saved.viewpoints
+                .filter(viewpoint => viewpoint && typeof viewpoint.name === 'string' &&
+                    isVector(viewpoint.position) && isVector(viewpoint.target))
+                .slice(0, MAX_VIEWPOINTS)
+            : []
+    };
+}
+
+// Settings with the lighting, environment and fog back at the defaults.
+// Viewpoints are bookmarks rather than part of the look, so they stay.
+export function resetSceneSettings(config, settings) {
+    return { ...defaultSceneSettings(config), viewpoints: settings.viewpoints };
+}
+
+// Name for a new viewpoint that doesn't clash with the saved ones
+export function nextViewpointName(viewpoints) {
+    const names = viewpoints.map(viewpoint => viewpoint.name);
+    let n = viewpoints.length + 1;
+    while (names.includes(`View ${n}`)) n++;
+    return `View ${n}`;
+}
@@ -0,0 +1,168 @@
+// Scene Settings Panel - The immersive-view editor for lighting, environment,
+// fog and saved viewpoints. Only handles the DOM; the app stores and applies
+// the settings through the handlers.
+import { ENVIRONMENTS, SETTING_LIMITS } from './sceneSettings.js';
+
+const RANGES = {
+    'lighting.ambient': SETTING_LIMITS.ambient,
+    'lighting.directional': SETTING_LIMITS.directional,
+    'environment.intensity': SETTING_LIMITS.environmentIntensity,
+    'fog.near': SETTING_LIMITS.fogNear,
+    'fog.far': SETTING_LIMITS.fogFar
+};
+
+export class SceneSettingsPanel {
+    // handlers: onInput(look) while a control moves, onChange(look) when it
+    // settles, onFlyTo(viewpoint), onSaveViewpoint(name),
+    // onDeleteViewpoint(index), onReset()
+    constructor(panel, handlers) {
+        this.panel = panel;
+        this.handlers = handlers;
+        this.form = panel.querySelector('form');
+        this.viewpointList = panel.querySelector('.viewpoint-list');
+
+        // Options and limits come from sceneSettings.js so they can't drift
+        this.form.elements['environment.id'].innerHTML = Object.entries(ENVIRONMENTS)
+            .map(([id, environment]) => `<option value="${id}">${environment.label}</option>`)
+            .join('');
+        Object.entries(RANGES).forEach(([name, { min, max }]) => {
+            this.form.elements[name].min = min;
+            this.form.elements[name].max = max;
+        });
+
+        this.form.addEventListener('input', (e) => {
+            if (e.target.name === 'viewpointName') return;
+            if (e.target.type === 'range') this.updateOutput(e.target);
+            this.updateFogFields();
+            this.handlers.onInput(this.getLook());
+        });
+        this.form.addEventListener('change', (e) => {
+            if (e.target.name === 'viewpointName') return;
+            this.handlers.onChange(this.getLook());
+        });
+
+        // Enter in the name field saves the current view
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveViewpoint();
+        });
+        panel.querySelector('.save-viewpoint').addEventListener('click', () => this.saveViewpoint());
+        panel.querySelector('.reset-settings').addEventListener('click', () => this.handlers.onReset());
+
+        this.viewpointList.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-index]');
+            if (!item) return;
+            const index = Number(item.dataset.index);
+
+            if (e.target.closest('.delete-viewpoint')) {
+                this.handlers.onDeleteViewpoint(index);
+            } else {
+                this.handlers.onFlyTo(index === -1 ? this.defaultViewpoint : this.viewpoints[index]);
+            }
+        });
+    }
+
+    isOpen() {
+        return !this.panel.classList.contains('hidden');
+    }
+
+    open() {
+        this.panel.classList.remove('hidden');
+    }
+
+    close() {
+        this.panel.classList.add('hidden');
+    }
+
+    // Show a scene's settings; its config camera is the first viewpoint
+    setSettings(settings, config) {
+        const { elements } = this.form;
+        elements['lighting.ambient'].value = settings.lighting.ambient;
+        elements['lighting.directional'].value = settings.lighting.directional;
+        elements['environment.id'].value = settings.environment.id;
+        elements['environment.intensity'].value = settings.environment.intensity;
+        elements['environment.background'].checked = settings.environment.background;
+        elements['fog.enabled'].checked = settings.fog.enabled;
+        elements['fog.color'].value = settings.fog.color;
+        elements['fog.near'].value = settings.fog.near;
+        elements['fog.far'].value = settings.fog.far;
+
+        this.form.querySelectorAll('input[type="range"]').forEach(input => this.updateOutput(input));
+        this.updateFogFields();
+
+        this.defaultViewpoint = { name: 'Default view', ...config.camera };
+        this.renderViewpoints(settings.viewpoints);
+    }
+
+    // Lighting, environment and fog as set in the panel
+    getLook() {
+        const { elements } = this.form;
+        const number = name => parseFloat(elements[name].value);
+
+        return {
+            lighting: {
+                ambient: number('lighting.ambient'),
+                directional: number('lighting.directional')
+            },
+            environment: {
+                id: elements['environment.id'].value,
+                intensity: number('environment.intensity'),
+                background: elements['environment.background'].checked
+            },
+            fog: {
+                enabled: elements['fog.enabled'].checked,
+                color: elements['fog.color'].value,
+                near: number('fog.near'),
+                far: number('fog.far')
+            }
+        };
+    }
+
+    renderViewpoints(viewpoints) {
+        this.viewpoints = viewpoints;
+        this.viewpointList.innerHTML = '';
+
+        [this.defaultViewpoint, ...viewpoints].forEach((viewpoint, i) => {
+            const item = document.createElement('li');
+            item.dataset.index = i - 1;
+
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'viewpoint-btn';
+            button.textContent = viewpoint.name;
+            button.title = `Fly to ${viewpoint.name}`;
+            item.appendChild(button);
+
+            if (i > 0) {
+                const remove = document.createElement('button');
+                remove.type = 'button';
+                remove.className = 'delete-viewpoint';
+                remove.title = `Delete ${viewpoint.name}`;
+                remove.innerHTML = '<i data-lucide="x"></i>';
+                item.appendChild(remove);
+            }
+            this.viewpointList.appendChild(item);
+        });
+
+        lucide.createIcons();
+    }
+
+    saveViewpoint() {
+        const input = this.form.elements.viewpointName;
+        this.handlers.onSaveViewpoint(input.value.trim());
+        input.value = '';
+    }
+
+    // Fog controls only matter while fog is on
+    updateFogFields() {
+        const enabled = this.form.elements['fog.enabled'].checked;
+        ['fog.color', 'fog.near', 'fog.far'].forEach((name) => {
+            this.form.elements[name].disabled = !enabled;
+        });
+    }
+
+    updateOutput(input) {
+        const output = this.form.querySelector(`output[for="${input.id}"]`);
+        if (output) output.textContent = Number(input.value).toFixed(2);
+    }
+}
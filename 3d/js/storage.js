@@ -26,7 +26,8 @@ export class Storage {
                 autoRotate: false,
                 showHints: true
             },
-            visitCount: {}
+            visitCount: {},
+            userScenes: []
         };
     }
 
@@ -119,6 +120,27 @@ export class Storage {
             .map(([sceneId]) => sceneId);
     }
 
+    // Scenes added by the user (validated by sceneConfig.addUserScene)
+    getUserScenes() {
+        return [...(this.data.userScenes || [])];
+    }
+
+    addUserScene(config) {
+        this.data.userScenes = [...this.getUserScenes(), config];
+        this.save();
+    }
+
+    updateUserScene(config) {
+        this.data.userScenes = this.getUserScenes().map(scene => scene.id === config.id ? config : scene);
+        this.save();
+    }
+
+    removeUserScene(sceneId) {
+        this.data.userScenes = this.getUserScenes().filter(scene => scene.id !== sceneId);
+        this.removeFavorite(sceneId);
+        this.save();
+    }
+
     // Set preference
     setPreference(key, value) {
         this.data.preferences[key] = value;
@@ -130,6 +152,12 @@ export class Storage {
         return this.data.preferences[key];
     }
 
+    // Remove a preference
+    removePreference(key) {
+        delete this.data.preferences[key];
+        this.save();
+    }
+
     // Clear all favorites
     clearFavorites() {
         this.data.favorites = [];
@@ -145,7 +173,8 @@ export class Storage {
                 autoRotate: false,
                 showHints: true
             },
-            visitCount: {}
+            visitCount: {},
+            userScenes: []
         };
         this.save();
     }
@@ -4,6 +4,7 @@ export class Transitions {
     constructor() {
         this.defaultDuration = 0.6;
         this.defaultEase = 'power3.out';
+        this.cameraTimeline = null;
     }
 
     // Fade in element
@@ -206,14 +207,24 @@ export class Transitions {
             }
         );
 
+        // fromTo, not from: hideModal leaves the content faded out, so a
+        // reopened modal would otherwise animate to invisible
         const modalContent = modal.querySelector('.modal-content');
-        tl.from(modalContent, {
-            scale: 0.9,
-            y: 30,
-            opacity: 0,
-            duration: 0.4,
-            ease: 'back.out(1.5)'
-        }, '-=0.2');
+        tl.fromTo(modalContent,
+            {
+                scale: 0.9,
+                y: 30,
+                opacity: 0
+            },
+            {
+                scale: 1,
+                y: 0,
+                opacity: 1,
+                duration: 0.4,
+                ease: 'back.out(1.5)'
+            },
+            '-=0.2'
+        );
 
         return tl;
     }
@@ -310,18 +321,42 @@ export class Transitions {
         );
     }
 
-    // Smooth camera transition (for scene switching)
-    animateCameraTransition(camera, targetPosition, targetLookAt, duration = 1.5) {
-        const tl = gsap.timeline();
+    // Smooth camera transition (for scene switching and saved viewpoints).
+    // With orbit controls, their target moves too - they re-aim the camera
+    // every frame - and user input is ignored until the camera arrives.
+    animateCameraTransition(camera, targetPosition, targetLookAt, duration = 1.5, controls = null) {
+        // A new flight replaces one still in progress
+        if (this.cameraTimeline) this.cameraTimeline.kill();
+
+        const tl = gsap.timeline({
+            onComplete: () => {
+                if (controls) controls.enabled = true;
+            }
+        });
+        if (controls) controls.enabled = false;
 
         tl.to(camera.position, {
             x: targetPosition.x,
             y: targetPosition.y,
             z: targetPosition.z,
             duration,
-            ease: 'power2.inOut'
+            ease: 'power2.inOut',
+            onUpdate: () => {
+                if (!controls) camera.lookAt(targetLookAt.x, targetLookAt.y, targetLookAt.z);
+            }
         });
 
+        if (controls) {
+            tl.to(controls.target, {
+                x: targetLookAt.x,
+                y: targetLookAt.y,
+                z: targetLookAt.z,
+                duration,
+                ease: 'power2.inOut'
+            }, 0);
+        }
+
+        this.cameraTimeline = tl;
         return tl;
     }
 
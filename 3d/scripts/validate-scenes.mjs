@@ -0,0 +1,238 @@
+// ============================================================================
+// MINDSPACE NAVIGATOR - Scene Manifest Validator
+// ============================================================================
+//
+// Checks scenes.json against the scene schema (js/sceneSchema.js), then
+// checks every scene's files: the model must exist and parse as glTF 2.0
+// (.glb or .gltf with its external buffers and images), a local model needs
+// a `modelHash` that matches the file (the error shows the value to use) and
+// the poster, if any, must exist.
+//
+//   node scripts/validate-scenes.mjs [path/to/scenes.json]
+//
+// Exits with status 1 when anything is wrong. Dependency-free.
+
+import { createHash } from 'node:crypto';
+import { readFile, stat } from 'node:fs/promises';
+import { dirname, join, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { validateManifest } from '../js/sceneSchema.js';
+
+const ROOT = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+const manifestPath = resolve(process.argv[2] || join(ROOT, 'scenes.json'));
+const manifestDir = dirname(manifestPath);
+
+const GLB_MAGIC = 0x46546c67; // "glTF"
+const CHUNK_JSON = 0x4e4f534a;
+const CHUNK_BIN = 0x004e4942;
+
+const isRemote = (path) => /^[a-z]+:/i.test(path);
+
+async function exists(path) {
+    try {
+        return (await stat(path)).isFile();
+    } catch (error) {
+        return false;
+    }
+}
+
+// ============================================================================
+// glTF parsing
+// ============================================================================
+
+// Split a .glb into its JSON and binary chunks
+function parseGlb(buffer) {
+    if (buffer.length < 20) {
+        throw new Error('file is too small to be a GLB');
+    }
+    const view = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+    if (view.getUint32(0, true) !== GLB_MAGIC) {
+        throw new Error('missing "glTF" magic - not a GLB file');
+    }
+    const version = view.getUint32(4, true);
+    if (version !== 2) {
+        throw new Error(`GLB version ${version}, expected 2`);
+    }
+    if (view.getUint32(8, true) !== buffer.length) {
+        throw new Error(`header says ${view.getUint32(8, true)} bytes, file has ${buffer.length} (truncated?)`);
+    }
+
+    let json = null;
+    let bin = null;
+    let offset = 12;
+    while (offset < buffer.length) {
+        if (offset + 8 > buffer.length) {
+            throw new Error('chunk header runs past the end of the file');
+        }
+        const length = view.getUint32(offset, true);
+        const type = view.getUint32(offset + 4, true);
+        const data = buffer.subarray(offset + 8, offset + 8 + length);
+        if (data.length !== length) {
+            throw new Error('chunk runs past the end of the file');
+        }
+
+        if (offset === 12 && type !== CHUNK_JSON) {
+            throw new Error('first chunk must be JSON');
+        }
+        if (type === CHUNK_JSON) json = JSON.parse(new TextDecoder().decode(data));
+        if (type === CHUNK_BIN && !bin) bin = data;
+        offset += 8 + length;
+    }
+    return { json, bin };
+}
+
+// Check the glTF JSON: version, and that every index points at something
+// that exists and every buffer view fits inside its buffer
+async function checkGltf(json, bin, baseDir) {
+    const errors = [];
+
+    if (!/^2\./.test(json.asset?.version || '')) {
+        errors.push(`asset.version is "${json.asset?.version}", expected 2.x`);
+    }
+
+    const ref = (collection, index, path) => {
+        if (index !== undefined && !(Number.isInteger(index) && json[collection]?.[index])) {
+            errors.push(`${path} refers to missing ${collection}[${index}]`);
+        }
+    };
+
+    const bufferSizes = [];
+    for (const [index, buffer] of (json.buffers || []).entries()) {
+        let size = 0;
+        if (buffer.uri === undefined) {
+            if (index !== 0 || !bin) errors.push(`buffers[${index}] has no uri and there is no GLB binary chunk`);
+            size = bin ? bin.length : 0;
+        } else if (buffer.uri.startsWith('data:')) {
+            size = Buffer.from(buffer.uri.slice(buffer.uri.indexOf(',') + 1), 'base64').length;
+        } else if (!isRemote(buffer.uri)) {
+            const file = join(baseDir, decodeURIComponent(buffer.uri));
+            if (await exists(file)) {
+                size = (await stat(file)).size;
+            } else {
+                errors.push(`buffers[${index}] file not found: ${buffer.uri}`);
+                size = Infinity;
+            }
+        } else {
+            size = Infinity;
+        }
+        if (size < buffer.byteLength) {
+            errors.push(`buffers[${index}] declares ${buffer.byteLength} bytes but has ${size}`);
+        }
+        bufferSizes.push(buffer.byteLength);
+    }
+
+    (json.bufferViews || []).forEach((view, index) => {
+        ref('buffers', view.buffer, `bufferViews[${index}]`);
+        if ((view.byteOffset || 0) + view.byteLength > (bufferSizes[view.buffer] ?? 0)) {
+            errors.push(`bufferViews[${index}] extends past the end of buffers[${view.buffer}]`);
+        }
+    });
+    (json.accessors || []).forEach((accessor, index) => {
+        ref('bufferViews', accessor.bufferView, `accessors[${index}]`);
+    });
+    for (const [index, image] of (json.images || []).entries()) {
+        ref('bufferViews', image.bufferView, `images[${index}]`);
+        if (image.uri && !image.uri.startsWith('data:') && !isRemote(image.uri) &&
+            !(await exists(join(baseDir, decodeURIComponent(image.uri))))) {
+            errors.push(`images[${index}] file not found: ${image.uri}`);
+        }
+    }
+    (json.textures || []).forEach((texture, index) => {
+        ref('images', texture.source, `textures[${index}]`);
+    });
+    (json.meshes || []).forEach((mesh, index) => {
+        (mesh.primitives || []).forEach((primitive, p) => {
+            const path = `meshes[${index}].primitives[${p}]`;
+            Object.entries(primitive.attributes || {}).forEach(([name, accessor]) =>
+                ref('accessors', accessor, `${path}.attributes.${name}`));
+            ref('accessors', primitive.indices, `${path}.indices`);
+            ref('materials', primitive.material, `${path}.material`);
+        });
+    });
+    (json.nodes || []).forEach((node, index) => {
+        ref('meshes', node.mesh, `nodes[${index}].mesh`);
+        (node.children || []).forEach(child => ref('nodes', child, `nodes[${index}].children`));
+    });
+    (json.scenes || []).forEach((scene, index) => {
+        (scene.nodes || []).forEach(node => ref('nodes', node, `scenes[${index}].nodes`));
+    });
+    ref('scenes', json.scene, 'scene');
+
+    if (!json.meshes?.length) {
+        errors.push('contains no meshes');
+    }
+    return errors;
+}
+
+// ============================================================================
+// Scene checks
+// ============================================================================
+
+async function checkSceneFiles(scene) {
+    const errors = [];
+    const notes = [];
+
+    if (isRemote(scene.modelPath)) {
+        notes.push('remote model, not checked');
+    } else {
+        const file = resolve(manifestDir, scene.modelPath.replace(/\?.*$/, ''));
+        if (!(await exists(file))) {
+            errors.push(`model not found: ${file}`);
+        } else {
+            const buffer = await readFile(file);
+            try {
+                const { json, bin } = /\.glb$/i.test(file)
+                    ? parseGlb(buffer)
+                    : { json: JSON.parse(buffer.toString('utf8')), bin: null };
+                if (!json) throw new Error('no JSON chunk');
+                errors.push(...await checkGltf(json, bin, dirname(file)));
+                notes.push(`${(buffer.length / 1024 / 1024).toFixed(1)} MB, ${json.meshes?.length || 0} meshes`);
+            } catch (error) {
+                errors.push(`not a parseable glTF: ${error.message}`);
+            }
+
+            const hash = createHash('sha256').update(buffer).digest('hex').slice(0, 16);
+            if (!scene.modelHash) {
+                errors.push(`modelHash is missing, add "modelHash": "${hash}"`);
+            } else if (scene.modelHash !== hash) {
+                errors.push(`modelHash is ${scene.modelHash} but the file hashes to ${hash}`);
+            }
+        }
+    }
+
+    if (scene.poster && !isRemote(scene.poster) && !(await exists(resolve(manifestDir, scene.poster)))) {
+        errors.push(`poster not found: ${scene.poster}`);
+    }
+    return { errors, notes };
+}
+
+async function main() {
+    let manifest;
+    try {
+        manifest = JSON.parse(await readFile(manifestPath, 'utf8'));
+    } catch (error) {
+        console.error(`Cannot read ${manifestPath}: ${error.message}`);
+        process.exit(1);
+    }
+
+    console.log(manifestPath);
+    const { scenes, errors } = validateManifest(manifest);
+    errors.forEach(error => console.log(`  ✗ ${error}`));
+
+    let problems = errors.length;
+    for (const scene of scenes) {
+        const result = await checkSceneFiles(scene);
+        const mark = result.errors.length ? '✗' : '✓';
+        const notes = result.notes.length ? ` (${result.notes.join(', ')})` : '';
+        console.log(`  ${mark} ${scene.id}  ${scene.modelPath}${notes}`);
+        result.errors.forEach(error => console.log(`      ${error}`));
+        problems += result.errors.length;
+    }
+
+    const total = Array.isArray(manifest.scenes) ? manifest.scenes.length : 0;
+    console.log(`\n${total} scene(s) checked, ${problems} problem(s)`);
+    process.exit(problems ? 1 : 0);
+}
+
+main();
@@ -1,653 +1,1616 @@
 // ============================================================================
-// PASSWORD MANAGER - Security & Encryption Layer
+// LOCKMASTER PRO - UI
 // ============================================================================
 
-// Encryption utilities using Web Crypto API
-const CryptoManager = {
-    // Derive key from master password
-    async deriveKey(password, salt) {
-        const encoder = new TextEncoder();
-        const keyMaterial = await window.crypto.subtle.importKey(
-            'raw',
-            encoder.encode(password),
-            'PBKDF2',
-            false,
-            ['deriveBits', 'deriveKey']
-        );
-
-        return window.crypto.subtle.deriveKey(
-            {
-                name: 'PBKDF2',
-                salt: salt,
-                iterations: 100000,
-                hash: 'SHA-256'
-            },
-            keyMaterial,
-            { name: 'AES-GCM', length: 256 },
-            false,
-            ['encrypt', 'decrypt']
-        );
-    },
-
-    // Encrypt data
-    async encrypt(data, password) {
-        const encoder = new TextEncoder();
-        const salt = window.crypto.getRandomValues(new Uint8Array(16));
-        const iv = window.crypto.getRandomValues(new Uint8Array(12));
-        const key = await this.deriveKey(password, salt);
-
-        const encrypted = await window.crypto.subtle.encrypt(
-            { name: 'AES-GCM', iv: iv },
-            key,
-            encoder.encode(JSON.stringify(data))
-        );
-
-        // Combine salt + iv + encrypted data
-        const combined = new Uint8Array(salt.length + iv.length + encrypted.byteLength);
-        combined.set(salt, 0);
-        combined.set(iv, salt.length);
-        combined.set(new Uint8Array(encrypted), salt.length + iv.length);
-
-        return btoa(String.fromCharCode(...combined));
-    },
+// Everything that touches the DOM: rendering, modals and event wiring. The
+// vault logic lives in the modules under js/.
+
+import { TotpManager } from './js/totp.js';
+import { ITEM_TYPES } from './js/itemTypes.js';
+import { SiteMatcher } from './js/sites.js';
+import { normalizeTags } from './js/search.js';
+import { escapeHtml } from './js/html.js';
+import { CsvImporter } from './js/csvImport.js';
+import { BreachChecker } from './js/breach.js';
+import { Settings } from './js/settings.js';
+import { VaultRegistry } from './js/vaults.js';
+import { UnlockThrottle } from './js/throttle.js';
+import { PasswordManager } from './js/passwordManager.js';
+import { PasswordGenerator } from './js/generator.js';
+import { StrengthEstimator } from './js/strength.js';
+import { Shamir, RecoveryShares } from './js/shamir.js';
 
-    // Decrypt data
-    async decrypt(encryptedData, password) {
-        const combined = Uint8Array.from(atob(encryptedData), c => c.charCodeAt(0));
-        const salt = combined.slice(0, 16);
-        const iv = combined.slice(16, 28);
-        const encrypted = combined.slice(28);
+// ============================================================================
+// PASSWORD GENERATOR
+// ============================================================================
 
-        const key = await this.deriveKey(password, salt);
+// Generate a password or passphrase from the generator panel settings
+const generatePassword = () => {
+    const type = document.getElementById('generator-type').value;
+    let password;
+
+    try {
+        if (type === 'passphrase') {
+            password = PasswordGenerator.generatePassphrase({
+                words: parseInt(document.getElementById('passphrase-words').value),
+                separator: document.getElementById('passphrase-separator').value,
+                capitalize: document.getElementById('passphrase-capitalize').checked,
+                appendDigit: document.getElementById('passphrase-digit').checked
+            });
+        } else {
+            password = PasswordGenerator.generate({
+                length: parseInt(document.getElementById('password-length').value),
+                uppercase: document.getElementById('uppercase').checked,
+                lowercase: document.getElementById('lowercase').checked,
+                numbers: document.getElementById('numbers').checked,
+                symbols: document.getElementById('symbols').checked,
+                excludeAmbiguous: document.getElementById('exclude-ambiguous').checked,
+                symbolSet: document.getElementById('symbol-set').value || PasswordGenerator.CHARSETS.symbols
+            });
+        }
+    } catch (error) {
+        showToast(error.message, 'error');
+        return '';
+    }
 
-        try {
-            const decrypted = await window.crypto.subtle.decrypt(
-                { name: 'AES-GCM', iv: iv },
-                key,
-                encrypted
-            );
+    const passwordField = document.getElementById('generated-password');
+    passwordField.value = password;
+    passwordField.classList.add('animate-pulse-once');
+    setTimeout(() => passwordField.classList.remove('animate-pulse-once'), 500);
 
-            const decoder = new TextDecoder();
-            return JSON.parse(decoder.decode(decrypted));
-        } catch (e) {
-            throw new Error('Decryption failed - incorrect password');
-        }
-    },
+    // Update strength indicator
+    updatePasswordStrength(password);
 
-    // Hash password for verification
-    async hashPassword(password) {
-        const encoder = new TextEncoder();
-        const data = encoder.encode(password);
-        const hash = await window.crypto.subtle.digest('SHA-256', data);
-        return btoa(String.fromCharCode(...new Uint8Array(hash)));
-    }
+    return password;
 };
 
 // ============================================================================
-// PASSWORD MANAGER - Data Management
+// PASSWORD STRENGTH
 // ============================================================================
 
-class PasswordManager {
-    constructor() {
-        this.masterPassword = null;
-        this.passwords = [];
-        this.categories = ['Personal', 'Work', 'Banking', 'Social Media', 'Shopping', 'Other'];
-        this.sessionTimeout = null;
-        this.isLocked = true;
-    }
+// Password strength indicator in the generator panel
+const updatePasswordStrength = (password) => {
+    const indicator = document.getElementById('strength-indicator');
+    const text = document.getElementById('strength-text');
+    const details = document.getElementById('strength-details');
+    const feedback = document.getElementById('strength-feedback');
 
-    // Initialize the app
-    async init() {
-        const hasMasterPassword = localStorage.getItem('masterPasswordHash');
-        if (hasMasterPassword) {
-            this.showLoginScreen();
-        } else {
-            this.showSetupScreen();
-        }
+    if (!password) {
+        indicator.className = 'h-2 rounded-full bg-gray-700';
+        text.textContent = '';
+        details.textContent = '';
+        feedback.innerHTML = '';
+        return;
     }
 
-    // Setup master password (first time)
-    async setupMasterPassword(password) {
-        if (password.length < 8) {
-            throw new Error('Master password must be at least 8 characters');
-        }
+    const result = StrengthEstimator.estimate(password);
+    const level = StrengthEstimator.LEVELS[result.level];
+    indicator.className = `h-2 rounded-full ${level.class} ${level.width} transition-all`;
+    text.textContent = level.text;
+    text.className = `text-sm font-medium ${level.class.replace('bg-', 'text-')}`;
+    details.textContent = `~${Math.round(result.bits)} bits of entropy, ${result.crackTime} to crack`;
+    feedback.innerHTML = result.warnings.map(w => `<li>${escapeHtml(w)}</li>`).join('');
+};
 
-        const hash = await CryptoManager.hashPassword(password);
-        localStorage.setItem('masterPasswordHash', hash);
-        this.masterPassword = password;
-        this.isLocked = false;
+// Compact strength readout under the password field of the entry modal
+const updateModalStrength = (password) => {
+    const container = document.getElementById('pwd-strength');
 
-        // Initialize with empty password list
-        await this.saveData();
-        this.showMainApp();
-        this.startSessionTimeout();
+    if (!password) {
+        container.textContent = '';
+        return;
     }
 
-    // Login with master password
-    async login(password) {
-        const storedHash = localStorage.getItem('masterPasswordHash');
-        const inputHash = await CryptoManager.hashPassword(password);
+    const result = StrengthEstimator.estimate(password);
+    const level = StrengthEstimator.LEVELS[result.level];
+    container.className = `text-xs mt-2 ${level.class.replace('bg-', 'text-')}`;
+    container.textContent = `${level.text} - ~${Math.round(result.bits)} bits, ${result.crackTime} to crack` +
+        (result.warnings.length ? `. ${result.warnings[0]}` : '');
+};
 
-        if (storedHash !== inputHash) {
-            throw new Error('Incorrect master password');
-        }
+// ============================================================================
+// UI UTILITIES
+// ============================================================================
+
+// Toast notification
+function showToast(message, type = 'success') {
+    const toast = document.createElement('div');
+    toast.className = `fixed top-4 right-4 px-6 py-3 rounded-lg shadow-lg text-white z-50 ${
+        type === 'success' ? 'bg-green-600' : 'bg-red-600'
+    }`;
+    toast.textContent = message;
+    document.body.appendChild(toast);
+
+    setTimeout(() => {
+        toast.style.opacity = '0';
+        toast.style.transition = 'opacity 0.3s';
+        setTimeout(() => toast.remove(), 300);
+    }, 3000);
+}
 
-        this.masterPassword = password;
-        this.isLocked = false;
-        await this.loadData();
-        this.showMainApp();
-        this.startSessionTimeout();
+// Show the modal fields for an item type. Logins use the static inputs
+// (strength meter, TOTP, history); other types are rendered from ITEM_TYPES.
+function renderTypeFields(type, item = null) {
+    const schema = ITEM_TYPES[type];
+    const isLogin = type === 'login';
+    const container = document.getElementById('type-fields');
+
+    document.getElementById('login-fields').classList.toggle('hidden', !isLogin);
+    document.getElementById('pwd-password').required = isLogin;
+    document.getElementById('pwd-notes-group').classList.toggle('hidden', schema.hasNotes === false);
+
+    if (isLogin) {
+        container.innerHTML = '';
+        return;
     }
 
-    // Lock the app
-    lock() {
-        this.isLocked = true;
-        this.masterPassword = null;
-        this.passwords = [];
-        this.clearSessionTimeout();
-        this.showLoginScreen();
+    const inputClass = 'w-full px-4 py-3 bg-gray-700 border border-gray-600 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent';
+    container.innerHTML = schema.fields.map(field => `
+        <div>
+            <label for="pwd-${field.key}" class="block text-sm font-medium mb-2">
+                ${field.label} ${field.required ? '<span class="text-red-400">*</span>' : ''}
+            </label>
+            ${field.multiline ? `
+                <textarea id="pwd-${field.key}" rows="${field.rows || 3}" ${field.required ? 'required' : ''}
+                    class="${inputClass} resize-none ${field.secret ? 'font-mono text-sm' : ''}"></textarea>
+            ` : `
+                <input type="text" id="pwd-${field.key}" ${field.required ? 'required' : ''} autocomplete="off"
+                    placeholder="${escapeHtml(field.placeholder || '')}"
+                    class="${inputClass} ${field.secret ? 'font-mono' : ''}">
+            `}
+        </div>
+    `).join('');
+
+    schema.fields.forEach(field => {
+        document.getElementById(`pwd-${field.key}`).value = (item && item[field.key]) || '';
+    });
+}
+
+// Read the entry modal into an item object
+function readItemForm() {
+    const type = document.getElementById('pwd-type').value;
+    const item = {
+        type,
+        name: document.getElementById('pwd-name').value,
+        category: document.getElementById('pwd-category').value,
+        tags: normalizeTags(document.getElementById('pwd-tags').value),
+        favorite: document.getElementById('pwd-favorite').checked,
+        notes: ITEM_TYPES[type].hasNotes === false ? '' : document.getElementById('pwd-notes').value
+    };
+
+    ITEM_TYPES[type].fields.forEach(field => {
+        item[field.key] = document.getElementById(`pwd-${field.key}`).value;
+    });
+    if (type === 'login') {
+        item.totp = item.totp.trim();
     }
 
-    // Session timeout management
-    startSessionTimeout() {
-        this.clearSessionTimeout();
+    return item;
+}
+
+// Re-render the entry list with the current category, search and sort
+function refreshPasswordList() {
+    const query = document.getElementById('search-passwords').value;
+    const category = document.querySelector('.category-btn.active')?.dataset.category || 'All';
+    renderPasswords(category, query);
+}
+
+// Idle timeout plus optional lock when the tab is hidden or the window loses
+// focus. Listeners are tracked so that stop() can remove them again.
+const AutoLock = {
+    timer: null,
+    listeners: [],
+
+    start(onLock) {
+        this.stop();
+        const settings = Settings.getAll();
+
         const resetTimeout = () => {
-            this.clearSessionTimeout();
-            this.sessionTimeout = setTimeout(() => this.lock(), 15 * 60 * 1000); // 15 minutes
+            clearTimeout(this.timer);
+            this.timer = null;
+            if (settings.lockTimeoutMinutes > 0) {
+                this.timer = setTimeout(onLock, settings.lockTimeoutMinutes * 60 * 1000);
+            }
+        };
+        const listen = (target, event, handler) => {
+            target.addEventListener(event, handler);
+            this.listeners.push({ target, event, handler });
         };
 
         resetTimeout();
         ['mousedown', 'keydown', 'scroll', 'touchstart'].forEach(event => {
-            document.addEventListener(event, resetTimeout);
+            listen(document, event, resetTimeout);
         });
-    }
 
-    clearSessionTimeout() {
-        if (this.sessionTimeout) {
-            clearTimeout(this.sessionTimeout);
-            this.sessionTimeout = null;
+        if (settings.lockOnHide) {
+            listen(document, 'visibilitychange', () => {
+                if (document.hidden) onLock();
+            });
         }
+
+        if (settings.lockOnBlur) {
+            // confirm()/prompt() dialogs blur the window too; only lock if
+            // focus hasn't come back once they close
+            listen(window, 'blur', () => {
+                setTimeout(() => {
+                    if (!document.hasFocus() && this.listeners.length) onLock();
+                }, 500);
+            });
+        }
+    },
+
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.listeners.forEach(({ target, event, handler }) => {
+            target.removeEventListener(event, handler);
+        });
+        this.listeners = [];
     }
+};
 
-    // Save encrypted data
-    async saveData() {
-        const data = {
-            passwords: this.passwords,
-            categories: this.categories
-        };
-        const encrypted = await CryptoManager.encrypt(data, this.masterPassword);
-        localStorage.setItem('encryptedData', encrypted);
-    }
-
-    // Load encrypted data
-    async loadData() {
-        const encrypted = localStorage.getItem('encryptedData');
-        if (encrypted) {
-            const data = await CryptoManager.decrypt(encrypted, this.masterPassword);
-            this.passwords = data.passwords || [];
-            this.categories = data.categories || this.categories;
-        }
-    }
-
-    // Add password
-    async addPassword(passwordData) {
-        const password = {
-            id: Date.now().toString(),
-            name: passwordData.name,
-            website: passwordData.website || '',
-            username: passwordData.username || '',
-            password: passwordData.password,
-            category: passwordData.category || 'Other',
-            notes: passwordData.notes || '',
-            createdDate: new Date().toISOString(),
-            lastModified: new Date().toISOString()
-        };
+// Clipboard access. Copied secrets are cleared again after the configured
+// delay, but only if the clipboard still holds what we put there.
+const ClipboardManager = {
+    clearTimer: null,
+    pendingSecret: null,
 
-        this.passwords.unshift(password);
-        await this.saveData();
-        return password;
+    async copy(value, sensitive = true) {
+        await navigator.clipboard.writeText(value);
+        this.cancelClear();
+
+        const seconds = Settings.get('clipboardClearSeconds');
+        if (sensitive && seconds > 0) {
+            this.pendingSecret = value;
+            this.clearTimer = setTimeout(() => this.clear(), seconds * 1000);
+        }
+    },
+
+    // Called when something else is copied, so the pending clear is moot
+    cancelClear() {
+        clearTimeout(this.clearTimer);
+        this.clearTimer = null;
+        this.pendingSecret = null;
+    },
+
+    async clear() {
+        const secret = this.pendingSecret;
+        this.cancelClear();
+        if (secret === null) {
+            return;
+        }
+
+        try {
+            if (await navigator.clipboard.readText() !== secret) {
+                return;
+            }
+        } catch (e) {
+            // Reading the clipboard needs permission and a focused page (and
+            // isn't available in every browser). Without it we can't tell
+            // whether the user copied something else since, so leave it.
+            return;
+        }
+
+        try {
+            await navigator.clipboard.writeText('');
+        } catch (e) {
+            // Writing fails while the page isn't focused - nothing more to do
+        }
     }
+};
+
+// Failed-attempt warning and backoff countdown on the login screen
+let loginCountdown = null;
+
+function renderLoginWarning(vaultId = manager.vaultId) {
+    const warning = document.getElementById('login-warning');
+    const submit = document.getElementById('login-submit');
+    if (!warning || !submit) return;
+
+    clearInterval(loginCountdown);
+    loginCountdown = null;
+
+    const update = () => {
+        const { failures } = UnlockThrottle.getState(vaultId);
+        const remaining = UnlockThrottle.attemptsRemaining(vaultId);
+        const wait = UnlockThrottle.remainingMs(vaultId);
+        const lines = [];
 
-    // Update password
-    async updatePassword(id, updates) {
-        const index = this.passwords.findIndex(p => p.id === id);
-        if (index !== -1) {
-            this.passwords[index] = {
-                ...this.passwords[index],
-                ...updates,
-                lastModified: new Date().toISOString()
-            };
-            await this.saveData();
+        if (failures > 0) {
+            lines.push(`${failures} failed ${failures === 1 ? 'attempt' : 'attempts'}.`);
         }
+        if (remaining !== null) {
+            lines.push(`The vault will be erased after ${remaining} more failed ${remaining === 1 ? 'attempt' : 'attempts'}.`);
+        }
+        if (wait > 0) {
+            lines.push(`Try again in ${UnlockThrottle.formatWait(wait)}.`);
+        }
+
+        warning.textContent = lines.join(' ');
+        warning.classList.toggle('hidden', lines.length === 0);
+        warning.classList.toggle('text-red-400', remaining !== null && remaining <= 3);
+        warning.classList.toggle('text-yellow-400', remaining === null || remaining > 3);
+        submit.disabled = wait > 0;
+        submit.classList.toggle('opacity-50', wait > 0);
+
+        if (wait === 0 && loginCountdown) {
+            clearInterval(loginCountdown);
+            loginCountdown = null;
+        }
+    };
+
+    update();
+    if (UnlockThrottle.remainingMs(vaultId) > 0) {
+        loginCountdown = setInterval(update, 1000);
     }
+}
 
-    // Delete password
-    async deletePassword(id) {
-        this.passwords = this.passwords.filter(p => p.id !== id);
-        await this.saveData();
+// Vault picker on the login screen
+function renderVaultPicker(activeId) {
+    const select = document.getElementById('login-vault');
+    if (!select) return;
+
+    select.innerHTML = VaultRegistry.list().map(vault => {
+        const unlocked = vaultManagers.get(vault.id)?.isLocked === false;
+        const label = unlocked ? `${vault.name} (unlocked)` : vault.name;
+        return `<option value="${escapeHtml(vault.id)}">${escapeHtml(label)}</option>`;
+    }).join('');
+    select.value = activeId;
+}
+
+// Setup screen for an empty vault, or for a brand new one when vaultId is null
+function renderSetupScreen(vaultId) {
+    const form = document.getElementById('setup-form');
+    if (!form) return;
+
+    const isNew = vaultId === null;
+    if (isNew) {
+        form.dataset.newVault = 'true';
+    } else {
+        delete form.dataset.newVault;
+    }
+    document.getElementById('setup-vault-name').value = isNew ? '' : VaultRegistry.get(vaultId).name;
+
+    // Only offer a way back when there is another vault to go back to
+    const canGoBack = isNew || VaultRegistry.list().some(v =>
+        v.id !== vaultId && getVaultManager(v.id).hasVault()
+    );
+    document.getElementById('setup-back').classList.toggle('hidden', !canGoBack);
+}
+
+function showNewVaultSetup() {
+    showSetupScreen();
+    renderSetupScreen(null);
+}
+
+// Vault switcher in the header menu
+function renderVaultMenu() {
+    const list = document.getElementById('vault-switch-list');
+    if (!list) return;
+
+    document.getElementById('current-vault-name').textContent = VaultRegistry.get(manager.vaultId).name;
+    list.innerHTML = VaultRegistry.list().map(vault => {
+        const unlocked = vaultManagers.get(vault.id)?.isLocked === false;
+        const current = vault.id === manager.vaultId;
+        return `
+            <button class="vault-menu-item vault-switch-btn w-full text-left px-3 py-2 text-sm ${current ? 'font-semibold' : ''}" data-vault-id="${escapeHtml(vault.id)}">
+                <i data-feather="${unlocked ? 'unlock' : 'lock'}" class="w-4 h-4 inline mr-2"></i>${escapeHtml(vault.name)}
+            </button>
+        `;
+    }).join('');
+    feather.replace();
+
+    list.querySelectorAll('.vault-switch-btn').forEach(btn => {
+        btn.addEventListener('click', () => switchVault(btn.dataset.vaultId));
+    });
+}
+
+// Move / copy controls in the edit modal, listing the other unlocked vaults
+function renderVaultTransfer(entry) {
+    const panel = document.getElementById('pwd-transfer');
+    const targets = unlockedVaults().filter(m => m !== manager);
+
+    panel.classList.toggle('hidden', !entry || targets.length === 0);
+    document.getElementById('pwd-transfer-vault').innerHTML = targets.map(m =>
+        `<option value="${escapeHtml(m.vaultId)}">${escapeHtml(VaultRegistry.get(m.vaultId).name)}</option>`
+    ).join('');
+}
+
+// Sync indicator in the header and the status line of the sync modal
+function renderSyncStatus(target = manager) {
+    const indicator = document.getElementById('sync-indicator');
+    if (!indicator || target !== manager) return;
+
+    const config = target.getSyncConfig();
+    const { state, error, lastSync } = target.syncStatus;
+    let status = 'Not synced yet';
+    if (state === 'syncing') {
+        status = 'Syncing...';
+    } else if (state === 'error') {
+        status = `Sync failed: ${error}`;
+    } else if (lastSync) {
+        status = `Last synced ${new Date(lastSync).toLocaleTimeString()}`;
     }
 
-    // Add category
-    async addCategory(name) {
-        if (!this.categories.includes(name)) {
-            this.categories.push(name);
-            await this.saveData();
+    indicator.classList.toggle('hidden', !config);
+    indicator.classList.toggle('text-red-400', state === 'error');
+    indicator.classList.toggle('text-primary', state === 'syncing');
+    indicator.title = status;
+    document.getElementById('sync-status-text').textContent = config ? status : 'Sync is off for this vault';
+}
+
+// Sync modal
+function openSyncModal() {
+    const config = manager.getSyncConfig();
+    document.getElementById('sync-url').value = config ? config.url : 'http://localhost:8787';
+    document.getElementById('sync-token').value = config ? config.token : '';
+    document.getElementById('sync-id').value = config ? config.id : '';
+    document.getElementById('sync-url').disabled = !!config;
+    document.getElementById('sync-token').disabled = !!config;
+    document.getElementById('sync-id-group').classList.toggle('hidden', !config);
+    document.getElementById('sync-enable').classList.toggle('hidden', !!config);
+    document.getElementById('sync-now').classList.toggle('hidden', !config);
+    document.getElementById('sync-disconnect').classList.toggle('hidden', !config);
+    renderSyncStatus();
+    document.getElementById('sync-modal').classList.remove('hidden');
+}
+
+function closeSyncModal() {
+    document.getElementById('sync-modal').classList.add('hidden');
+}
+
+// Settings modal
+function openSettingsModal() {
+    const settings = Settings.getAll();
+    document.getElementById('settings-lock-timeout').value = settings.lockTimeoutMinutes;
+    document.getElementById('settings-lock-hide').checked = settings.lockOnHide;
+    document.getElementById('settings-lock-blur').checked = settings.lockOnBlur;
+    document.getElementById('settings-clipboard-clear').value = settings.clipboardClearSeconds;
+    document.getElementById('settings-wipe-after').value = settings.wipeAfterFailures;
+    document.getElementById('settings-favicons').checked = settings.showFavicons;
+    document.getElementById('settings-breach-provider').innerHTML = Object.entries(BreachChecker.PROVIDERS)
+        .map(([id, provider]) => `<option value="${id}">${provider.label}</option>`)
+        .join('');
+    document.getElementById('settings-breach-provider').value = settings.breachProvider;
+    document.getElementById('settings-breach-range-url').value = settings.breachRangeUrl;
+    toggleBreachRangeUrl();
+    document.getElementById('settings-modal').classList.remove('hidden');
+}
+
+// The range directory only applies to the local provider
+function toggleBreachRangeUrl() {
+    const local = document.getElementById('settings-breach-provider').value === 'local';
+    document.getElementById('settings-breach-range-group').classList.toggle('hidden', !local);
+}
+
+function closeSettingsModal() {
+    document.getElementById('settings-modal').classList.add('hidden');
+}
+
+// Open password modal
+function openPasswordModal(existingPassword = null, type = 'login') {
+    const modal = document.getElementById('password-modal');
+    const form = document.getElementById('password-form');
+    const typeSelect = document.getElementById('pwd-type');
+
+    // Populate form
+    if (existingPassword) {
+        type = existingPassword.type;
+        form.reset();
+        document.getElementById('modal-title').textContent = `Edit ${ITEM_TYPES[type].label}`;
+        document.getElementById('pwd-name').value = existingPassword.name;
+        document.getElementById('pwd-notes').value = existingPassword.notes;
+        document.getElementById('pwd-tags').value = (existingPassword.tags || []).join(', ');
+        document.getElementById('pwd-favorite').checked = !!existingPassword.favorite;
+        if (type === 'login') {
+            document.getElementById('pwd-website').value = existingPassword.website;
+            document.getElementById('pwd-username').value = existingPassword.username;
+            document.getElementById('pwd-password').value = existingPassword.password;
+            document.getElementById('pwd-totp').value = existingPassword.totp || '';
+        }
+        form.dataset.editId = existingPassword.id;
+        renderPasswordHistory(type === 'login' ? existingPassword : null);
+        renderVaultTransfer(existingPassword);
+        renderModalBreach(manager.getBreachResult(existingPassword));
+    } else {
+        document.getElementById('modal-title').textContent = `Save ${ITEM_TYPES[type].label}`;
+        form.reset();
+        const generatedPwd = document.getElementById('generated-password').value;
+        if (generatedPwd) {
+            document.getElementById('pwd-password').value = generatedPwd;
         }
+        delete form.dataset.editId;
+        renderPasswordHistory(null);
+        renderVaultTransfer(null);
+        renderModalBreach(null);
     }
 
-    // Delete category
-    async deleteCategory(name) {
-        // Move passwords to 'Other'
-        this.passwords.forEach(p => {
-            if (p.category === name) {
-                p.category = 'Other';
+    // The type of an existing item can't be changed
+    typeSelect.value = type;
+    typeSelect.disabled = !!existingPassword;
+    renderTypeFields(type, existingPassword);
+
+    // Populate category dropdown
+    const categorySelect = document.getElementById('pwd-category');
+    categorySelect.innerHTML = manager.categories.map(cat =>
+        `<option value="${escapeHtml(cat)}">${escapeHtml(cat)}</option>`
+    ).join('');
+
+    if (existingPassword) {
+        categorySelect.value = existingPassword.category;
+    }
+
+    updateModalStrength(document.getElementById('pwd-password').value);
+    modal.classList.remove('hidden');
+}
+
+function closePasswordModal() {
+    document.getElementById('password-modal').classList.add('hidden');
+    document.getElementById('password-form').reset();
+    updateModalStrength('');
+}
+
+// Breach status under the password field of the entry modal
+function renderModalBreach(result) {
+    const el = document.getElementById('pwd-breach');
+    if (!result) {
+        el.textContent = '';
+        return;
+    }
+
+    el.className = `text-xs ${result.count > 0 ? 'text-red-400' : 'text-gray-400'}`;
+    el.textContent = result.count > 0
+        ? `Found in ${result.count.toLocaleString()} known breaches - don't use this password`
+        : `Not found in known breaches${result.checkedAt ? ` (checked ${new Date(result.checkedAt).toLocaleDateString()})` : ''}`;
+}
+
+// Previous passwords panel in the edit modal
+function renderPasswordHistory(entry) {
+    const panel = document.getElementById('pwd-history');
+    const list = document.getElementById('pwd-history-list');
+    const history = (entry && entry.history) || [];
+
+    document.getElementById('pwd-history-limit').value = manager.getHistoryLimit();
+    document.getElementById('pwd-history-count').textContent = `(${history.length})`;
+    panel.classList.toggle('hidden', !entry);
+
+    if (history.length === 0) {
+        list.innerHTML = '<p class="text-xs text-gray-500 py-2">No previous passwords</p>';
+        return;
+    }
+
+    list.innerHTML = history.map((version, index) => `
+        <li class="history-item flex items-center gap-2 py-2 border-t border-gray-700" data-index="${index}">
+            <span class="text-xs text-gray-400 w-28 flex-shrink-0">${new Date(version.changedAt).toLocaleDateString()}</span>
+            <span class="history-hidden flex-1 font-mono text-sm">••••••••••••</span>
+            <span class="history-visible hidden flex-1 font-mono text-sm break-all">${escapeHtml(version.password)}</span>
+            <button type="button" class="history-reveal p-1 text-gray-400 hover:text-primary transition-colors" title="Show">
+                <i data-feather="eye" class="w-4 h-4"></i>
+            </button>
+            <button type="button" class="history-copy p-1 text-gray-400 hover:text-primary transition-colors" title="Copy">
+                <i data-feather="copy" class="w-4 h-4"></i>
+            </button>
+            <button type="button" class="history-restore p-1 text-gray-400 hover:text-secondary transition-colors" title="Restore">
+                <i data-feather="rotate-ccw" class="w-4 h-4"></i>
+            </button>
+        </li>
+    `).join('');
+
+    feather.replace();
+
+    list.querySelectorAll('.history-item').forEach(row => {
+        const index = parseInt(row.dataset.index);
+
+        row.querySelector('.history-reveal').addEventListener('click', () => {
+            row.querySelector('.history-hidden').classList.toggle('hidden');
+            row.querySelector('.history-visible').classList.toggle('hidden');
+        });
+
+        row.querySelector('.history-copy').addEventListener('click', async () => {
+            await ClipboardManager.copy(history[index].password);
+            await manager.recordUsage(entry.id);
+            showToast('Previous password copied to clipboard');
+        });
+
+        row.querySelector('.history-restore').addEventListener('click', async () => {
+            if (!confirm('Restore this password? The current password will be kept in the history.')) {
+                return;
             }
+            const restored = await manager.restorePasswordVersion(entry.id, index);
+            document.getElementById('pwd-password').value = restored;
+            updateModalStrength(restored);
+            renderPasswordHistory(manager.passwords.find(p => p.id === entry.id));
+            renderPasswords();
+            showToast('Password restored');
         });
-        this.categories = this.categories.filter(c => c !== name);
-        await this.saveData();
-    }
+    });
+}
 
-    // Search passwords
-    searchPasswords(query, category = null) {
-        let results = this.passwords;
+// Change master password modal
+function openChangePasswordModal() {
+    document.getElementById('change-password-form').reset();
+    document.getElementById('change-password-recovery-group').classList.toggle('hidden', !manager.getRecoveryInfo());
+    document.getElementById('change-password-modal').classList.remove('hidden');
+}
 
-        if (category && category !== 'All') {
-            results = results.filter(p => p.category === category);
-        }
+function closeChangePasswordModal() {
+    document.getElementById('change-password-modal').classList.add('hidden');
+    document.getElementById('change-password-form').reset();
+}
 
-        if (query) {
-            const lowerQuery = query.toLowerCase();
-            results = results.filter(p =>
-                p.name.toLowerCase().includes(lowerQuery) ||
-                p.website.toLowerCase().includes(lowerQuery) ||
-                p.username.toLowerCase().includes(lowerQuery) ||
-                p.category.toLowerCase().includes(lowerQuery)
-            );
-        }
+// Recovery kit modal
+function openRecoveryModal() {
+    document.getElementById('recovery-create-form').reset();
+    document.getElementById('recovery-create-form').classList.remove('hidden');
+    document.getElementById('recovery-split-options').classList.add('hidden');
+    document.getElementById('recovery-kit').classList.add('hidden');
+    document.getElementById('recovery-kit-sheet').innerHTML = '';
+    renderRecoveryStatus();
+    document.getElementById('recovery-modal').classList.remove('hidden');
+}
+
+// The kit holds the only copy of the key on screen, so it is cleared on close
+function closeRecoveryModal() {
+    document.getElementById('recovery-modal').classList.add('hidden');
+    document.getElementById('recovery-kit-sheet').innerHTML = '';
+    document.getElementById('recovery-create-form').reset();
+}
 
-        return results;
+function renderRecoveryStatus() {
+    const info = manager.getRecoveryInfo();
+    document.getElementById('recovery-status').textContent = info
+        ? `This vault has a recovery key, created ${new Date(info.createdAt).toLocaleDateString()}. Creating a new one stops the old key from working.`
+        : 'This vault has no recovery key. If you forget the master password, its contents are lost.';
+    document.querySelector('#recovery-create-submit span').textContent = info ? 'Replace Recovery Key' : 'Create Recovery Key';
+    document.getElementById('recovery-remove').classList.toggle('hidden', !info);
+}
+
+function recoveryQrCode(text, alt) {
+    if (typeof qrcode === 'undefined') {
+        return '<p class="text-xs text-gray-500">QR code unavailable offline - use the text next to it.</p>';
     }
+    const qr = qrcode(0, 'M');
+    qr.addData(text);
+    qr.make();
+    return qr.createSvgTag({ cellSize: 4, margin: 2, scalable: true, alt });
+}
+
+// Where and how the vault is stored - printed on every kit and share
+function recoveryKitDetails() {
+    const vaultName = VaultRegistry.get(manager.vaultId)?.name || '';
+    const { kdf } = manager.vaultHeader;
+    const syncConfig = manager.getSyncConfig();
+    const origin = window.location.origin === 'null' ? window.location.href : window.location.origin;
+
+    const row = (label, value) => `
+        <tr>
+            <td class="pr-4 py-1 text-gray-500 align-top">${label}</td>
+            <td class="py-1 break-all">${escapeHtml(value)}</td>
+        </tr>
+    `;
+
+    return `
+        <table class="text-sm mb-4">
+            ${row('Vault', vaultName)}
+            ${row('Vault ID', manager.vaultId)}
+            ${row('Stored at', origin)}
+            ${row('Key derivation', `${kdf.name}-${kdf.hash}, ${kdf.iterations.toLocaleString()} iterations`)}
+            ${syncConfig ? row('Sync server', syncConfig.url) : ''}
+            ${syncConfig ? row('Sync ID', syncConfig.id) : ''}
+        </table>
+    `;
+}
+
+// Printable emergency sheet: vault details, the key as QR code and text,
+// and how to use it
+function renderRecoveryKit(recoveryKey) {
+    document.getElementById('recovery-kit-note').textContent =
+        'The recovery key is only shown now. Print the kit or write the key down before closing this window.';
+    document.getElementById('recovery-kit-sheet').innerHTML = `
+        <h3 class="text-xl font-bold mb-1">LockMaster Pro Recovery Kit</h3>
+        <p class="text-sm text-gray-600 mb-4">Created ${new Date().toLocaleString()}</p>
+
+        ${recoveryKitDetails()}
+
+        <div class="flex items-center gap-6 mb-4">
+            <div class="flex-shrink-0">${recoveryQrCode(recoveryKey, 'Recovery key QR code')}</div>
+            <div>
+                <div class="text-xs text-gray-500 mb-1">Recovery key</div>
+                <div class="font-mono text-lg font-bold break-all">${escapeHtml(recoveryKey)}</div>
+            </div>
+        </div>
+
+        <div class="text-sm mb-4">
+            <div class="text-xs text-gray-500 mb-1">Master password (optional - write it here only if this sheet is stored securely)</div>
+            <div class="border-b border-gray-400 h-8"></div>
+        </div>
+
+        <ol class="list-decimal list-inside text-sm space-y-1 text-gray-700">
+            <li>Open LockMaster Pro at the address above, in the browser where this vault is stored.</li>
+            <li>Select the vault and choose "Forgot your master password?" on the unlock screen.</li>
+            <li>Enter the recovery key and choose a new master password.</li>
+            <li>The key keeps working after a recovery, and after a master password change as long as the key is entered during the change.</li>
+            <li>Anyone with this key can open the vault. Keep this sheet offline and somewhere safe.</li>
+        </ol>
+    `;
+}
+
+// One page per share holder; the full key itself is never shown
+function renderRecoveryShares(shares, threshold) {
+    document.getElementById('recovery-kit-note').textContent =
+        'The shares are only shown now. Print the kit - each share gets its own page - or copy each share to its holder before closing this window.';
+    document.getElementById('recovery-kit-sheet').innerHTML = shares.map((share, index) => `
+        <section class="recovery-share ${index > 0 ? 'border-t border-gray-300 pt-6 mt-6' : ''}">
+            <h3 class="text-xl font-bold mb-1">LockMaster Pro Recovery Share ${index + 1} of ${shares.length}</h3>
+            <p class="text-sm text-gray-600 mb-4">Created ${new Date().toLocaleString()} - any ${threshold} shares together unlock the vault</p>
+
+            ${recoveryKitDetails()}
+
+            <div class="flex items-center gap-6 mb-4">
+                <div class="flex-shrink-0">${recoveryQrCode(share, `Recovery share ${index + 1} QR code`)}</div>
+                <div>
+                    <div class="text-xs text-gray-500 mb-1">Share ${index + 1}</div>
+                    <div class="font-mono font-bold break-all">${escapeHtml(share)}</div>
+                    <button type="button" class="recovery-share-copy mt-2 text-sm text-primary hover:underline" data-index="${index}">Copy share</button>
+                </div>
+            </div>
+
+            <ol class="list-decimal list-inside text-sm space-y-1 text-gray-700">
+                <li>Open LockMaster Pro at the address above, in the browser where this vault is stored.</li>
+                <li>Select the vault, choose "Forgot your master password?" and switch to Key Shares.</li>
+                <li>Enter this share and ${threshold - 1} more from the other holders, one per line, then choose a new master password.</li>
+                <li>The shares keep working after a master password change as long as enough of them are entered during the change.</li>
+                <li>This share alone cannot open the vault. Keep it offline and never collect the shares in one place.</li>
+            </ol>
+        </section>
+    `).join('');
+
+    document.querySelectorAll('#recovery-kit-sheet .recovery-share-copy').forEach(btn => {
+        btn.addEventListener('click', () => ClipboardManager.copy(shares[btn.dataset.index]));
+    });
+}
+
+// Recovery screen: a single key, or enough shares of a split one
+function setRecoveryMode(mode) {
+    const shares = mode === 'shares';
+    document.getElementById('recovery-mode-key').classList.toggle('active', !shares);
+    document.getElementById('recovery-mode-shares').classList.toggle('active', shares);
+    document.getElementById('recovery-key-group').classList.toggle('hidden', shares);
+    document.getElementById('recovery-shares-group').classList.toggle('hidden', !shares);
+    document.getElementById('recovery-key').required = !shares;
+    renderRecoverySharesStatus();
+}
+
+function enteredRecoveryShares() {
+    return document.getElementById('recovery-shares').value.split('\n').filter(line => line.trim());
+}
 
-    // UI Display methods
-    showSetupScreen() {
-        document.getElementById('setup-screen').classList.remove('hidden');
-        document.getElementById('login-screen').classList.add('hidden');
-        document.getElementById('main-app').classList.add('hidden');
+function renderRecoverySharesStatus() {
+    const status = document.getElementById('recovery-shares-status');
+    const lines = enteredRecoveryShares();
+    let text = 'Paste or type one share per line';
+    let color = 'text-gray-400';
+
+    try {
+        const shares = lines.map((line, i) => {
+            try {
+                return RecoveryShares.parse(line);
+            } catch (error) {
+                throw new Error(`Share ${i + 1}: ${error.message}`);
+            }
+        });
+        if (shares.length > 0) {
+            const { threshold } = shares[0];
+            text = `${shares.length} of ${threshold} shares entered`;
+            color = shares.length >= threshold ? 'text-green-400' : 'text-gray-400';
+        }
+    } catch (error) {
+        text = error.message;
+        color = 'text-yellow-400';
     }
 
-    showLoginScreen() {
-        document.getElementById('setup-screen').classList.add('hidden');
-        document.getElementById('login-screen').classList.remove('hidden');
-        document.getElementById('main-app').classList.add('hidden');
+    status.textContent = text;
+    status.className = `text-xs mt-1 ${color}`;
+}
+
+function printRecoveryKit() {
+    document.body.classList.add('print-recovery-kit');
+    window.print();
+    document.body.classList.remove('print-recovery-kit');
+}
+
+// Backup modals
+function openBackupModal(mode) {
+    const modal = document.getElementById(`${mode}-backup-modal`);
+    modal.querySelector('form').reset();
+    modal.classList.remove('hidden');
+}
+
+function closeBackupModal(mode) {
+    const modal = document.getElementById(`${mode}-backup-modal`);
+    modal.classList.add('hidden');
+    modal.querySelector('form').reset();
+}
+
+// Offer text content as a file download
+function downloadFile(filename, content, type = 'application/json') {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+// CSV import modal
+let csvPreview = null;
+
+function openCsvImportModal() {
+    csvPreview = null;
+    document.getElementById('csv-import-form').reset();
+    renderCsvPreview();
+    document.getElementById('csv-import-modal').classList.remove('hidden');
+}
+
+function closeCsvImportModal() {
+    csvPreview = null;
+    document.getElementById('csv-import-modal').classList.add('hidden');
+    document.getElementById('csv-import-form').reset();
+}
+
+// Re-parse the chosen file with the chosen format
+async function updateCsvPreview() {
+    const file = document.getElementById('csv-import-file').files[0];
+    const format = document.getElementById('csv-import-format').value;
+
+    csvPreview = null;
+    if (file) {
+        try {
+            csvPreview = CsvImporter.preview(await file.text(), format);
+        } catch (error) {
+            showToast(error.message, 'error');
+        }
     }
+    renderCsvPreview();
+}
+
+function renderCsvPreview() {
+    const container = document.getElementById('csv-preview');
+    const summary = document.getElementById('csv-preview-summary');
+    const submitBtn = document.getElementById('csv-import-submit');
 
-    showMainApp() {
-        document.getElementById('setup-screen').classList.add('hidden');
-        document.getElementById('login-screen').classList.add('hidden');
-        document.getElementById('main-app').classList.remove('hidden');
-        this.renderCategories();
-        this.renderPasswords();
+    if (!csvPreview) {
+        container.innerHTML = '';
+        summary.textContent = '';
+        submitBtn.disabled = true;
+        return;
     }
 
-    // Render categories (for dropdown)
-    renderCategories() {
-        const container = document.getElementById('category-list');
-        container.innerHTML = `
-            <button class="category-btn active w-full text-left px-3 py-2 hover:bg-gray-700 transition-colors text-sm" data-category="All">
-                <i data-feather="grid" class="w-4 h-4 inline mr-2"></i>All Passwords <span class="text-gray-400">(${this.passwords.length})</span>
+    const valid = csvPreview.rows.filter(r => r.errors.length === 0).length;
+    const invalid = csvPreview.rows.length - valid;
+    summary.textContent = `${CsvImporter.FORMATS[csvPreview.format].label} export: ${valid} ready to import` +
+        (invalid ? `, ${invalid} with errors will be skipped` : '');
+    submitBtn.disabled = valid === 0;
+    submitBtn.querySelector('span').textContent = `Import ${valid} ${valid === 1 ? 'Entry' : 'Entries'}`;
+
+    container.innerHTML = `
+        <table class="w-full text-sm">
+            <thead class="text-xs text-gray-400 text-left">
+                <tr>
+                    <th class="py-2 pr-2">Line</th>
+                    <th class="py-2 pr-2">Name</th>
+                    <th class="py-2 pr-2">Website</th>
+                    <th class="py-2 pr-2">Username</th>
+                    <th class="py-2 pr-2">Category</th>
+                    <th class="py-2">Status</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${csvPreview.rows.map(({ line, entry, errors }) => `
+                    <tr class="border-t border-gray-700 ${errors.length ? 'text-gray-500' : ''}">
+                        <td class="py-2 pr-2">${line}</td>
+                        <td class="py-2 pr-2">${escapeHtml(entry.name)}</td>
+                        <td class="py-2 pr-2 truncate max-w-[10rem]">${escapeHtml(entry.website)}</td>
+                        <td class="py-2 pr-2">${escapeHtml(entry.username)}</td>
+                        <td class="py-2 pr-2">${escapeHtml(entry.category || 'Other')}</td>
+                        <td class="py-2 ${errors.length ? 'text-red-400' : 'text-green-400'}">
+                            ${errors.length ? escapeHtml(errors.join(', ')) : 'OK'}
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+// Security audit modal
+function openAuditModal() {
+    const maxAge = Settings.get('auditMaxAgeDays');
+    document.getElementById('audit-max-age').value = maxAge;
+    renderAudit();
+    document.getElementById('audit-modal').classList.remove('hidden');
+}
+
+function closeAuditModal() {
+    document.getElementById('audit-modal').classList.add('hidden');
+}
+
+function renderAudit() {
+    const maxAge = parseInt(document.getElementById('audit-max-age').value) || 180;
+    const report = manager.auditVault(maxAge);
+    const scoreEl = document.getElementById('audit-score');
+    const scoreColor = report.score >= 80 ? 'text-green-400' : report.score >= 50 ? 'text-yellow-400' : 'text-red-400';
+
+    scoreEl.className = `text-5xl font-bold ${scoreColor}`;
+    scoreEl.textContent = report.score;
+    document.getElementById('audit-summary').textContent = report.total === 0
+        ? 'Your vault is empty'
+        : `${report.reused.length} reused, ${report.weak.length} weak, ${report.stale.length} older than ${maxAge} days, ${report.duplicates.length} duplicate accounts`;
+
+    const item = (entry, detail) => `
+        <li class="flex items-center justify-between py-2 border-t border-gray-700">
+            <div>
+                <div class="text-sm text-white">${escapeHtml(entry.name)}</div>
+                <div class="text-xs text-gray-400">${escapeHtml(detail)}</div>
+            </div>
+            <button class="audit-edit text-blue-400 hover:text-blue-300 text-xs" data-id="${escapeHtml(entry.id)}">
+                <i data-feather="edit-2" class="w-4 h-4 inline"></i> Edit
             </button>
+        </li>
+    `;
+    const section = (title, icon, items) => `
+        <div>
+            <h3 class="text-sm font-semibold text-gray-300 mb-1 flex items-center">
+                <i data-feather="${icon}" class="w-4 h-4 mr-2"></i>${title}
+            </h3>
+            ${items.length ? `<ul>${items.join('')}</ul>` : '<p class="text-xs text-gray-500 py-2">Nothing found</p>'}
+        </div>
+    `;
+
+    document.getElementById('audit-findings').innerHTML = [
+        section('Reused Passwords', 'copy', report.reused.flatMap(group =>
+            group.map(entry => item(entry, `Same password as ${group.length - 1} other ${group.length === 2 ? 'entry' : 'entries'}`))
+        )),
+        section('Weak Passwords', 'alert-triangle', report.weak.map(({ entry, strength }) =>
+            item(entry, `${strength.label}${strength.warnings.length ? ` - ${strength.warnings[0]}` : ''}`)
+        )),
+        section('Old Passwords', 'clock', report.stale.map(({ entry, ageDays }) =>
+            item(entry, `Last changed ${ageDays} days ago`)
+        )),
+        section('Duplicate Accounts', 'users', report.duplicates.flatMap(({ site, username, entries }) =>
+            entries.map(entry => item(entry, `${username} on ${site} is saved ${entries.length} times`))
+        ))
+    ].join('');
+
+    feather.replace();
+
+    document.querySelectorAll('.audit-edit').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const password = manager.passwords.find(p => p.id === btn.dataset.id);
+            closeAuditModal();
+            openPasswordModal(password);
+        });
+    });
+}
+
+// ============================================================================
+// VAULT VIEW
+// ============================================================================
+
+const SCREENS = ['setup-screen', 'login-screen', 'recovery-screen', 'main-app'];
+
+function showScreen(id) {
+    SCREENS.forEach(screen => {
+        document.getElementById(screen).classList.toggle('hidden', screen !== id);
+    });
+}
+
+function showSetupScreen() {
+    showScreen('setup-screen');
+    renderSetupScreen(manager.vaultId);
+}
+
+function showLoginScreen() {
+    showScreen('login-screen');
+    renderVaultPicker(manager.vaultId);
+    renderLoginWarning(manager.vaultId);
+    document.getElementById('login-recover').classList.toggle('hidden', !manager.getRecoveryInfo());
+}
+
+function showRecoveryScreen() {
+    showScreen('recovery-screen');
+    document.getElementById('recovery-form').reset();
+    document.getElementById('recovery-vault-name').textContent = VaultRegistry.get(manager.vaultId)?.name || '';
+    setRecoveryMode('key');
+}
+
+function showMainApp() {
+    showScreen('main-app');
+    renderVaultMenu();
+    renderSyncStatus();
+    renderCategories();
+    renderPasswords();
+}
+
+// Render categories (for dropdown)
+function renderCategories() {
+    const container = document.getElementById('category-list');
+    container.innerHTML = `
+        <button class="category-btn active w-full text-left px-3 py-2 hover:bg-gray-700 transition-colors text-sm" data-category="All">
+            <i data-feather="grid" class="w-4 h-4 inline mr-2"></i>All Passwords <span class="text-gray-400">(${manager.passwords.length})</span>
+        </button>
+    `;
+
+    manager.categories.forEach(cat => {
+        const count = manager.passwords.filter(p => p.category === cat).length;
+        const btn = document.createElement('button');
+        btn.className = 'category-btn w-full text-left px-3 py-2 hover:bg-gray-700 transition-colors text-sm';
+        btn.dataset.category = cat;
+        btn.innerHTML = `
+            <i data-feather="folder" class="w-4 h-4 inline mr-2"></i>${escapeHtml(cat)} <span class="text-gray-400">(${count})</span>
         `;
+        container.appendChild(btn);
+    });
+
+    feather.replace();
 
-        this.categories.forEach(cat => {
-            const count = this.passwords.filter(p => p.category === cat).length;
-            const btn = document.createElement('button');
-            btn.className = 'category-btn w-full text-left px-3 py-2 hover:bg-gray-700 transition-colors text-sm';
-            btn.dataset.category = cat;
-            btn.innerHTML = `
-                <i data-feather="folder" class="w-4 h-4 inline mr-2"></i>${cat} <span class="text-gray-400">(${count})</span>
-            `;
-            container.appendChild(btn);
+    // Add click handlers
+    document.querySelectorAll('.category-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            document.querySelectorAll('.category-btn').forEach(b => b.classList.remove('active'));
+            btn.classList.add('active');
+
+            // Update selected category name
+            document.getElementById('selected-category-name').textContent = btn.dataset.category;
+
+            // Close dropdown
+            document.getElementById('category-dropdown').classList.add('hidden');
+
+            renderPasswords(btn.dataset.category);
         });
+    });
+}
+
+// Render passwords
+function renderPasswords(category = 'All', searchQuery = '') {
+    const passwords = manager.searchPasswords(searchQuery, category);
+    const container = document.getElementById('passwords-container');
 
+    // Update password count
+    const countEl = document.getElementById('password-count');
+    if (countEl) {
+        countEl.textContent = `(${passwords.length})`;
+    }
+
+    if (passwords.length === 0) {
+        container.innerHTML = `
+            <div class="text-center py-12 text-gray-500">
+                <i data-feather="lock" class="w-16 h-16 mx-auto mb-4"></i>
+                <p class="text-lg">No passwords found</p>
+                <p class="text-sm">Generate and save your first password to get started</p>
+            </div>
+        `;
         feather.replace();
+        return;
+    }
 
-        // Add click handlers
-        document.querySelectorAll('.category-btn').forEach(btn => {
-            btn.addEventListener('click', () => {
-                document.querySelectorAll('.category-btn').forEach(b => b.classList.remove('active'));
-                btn.classList.add('active');
+    container.innerHTML = Settings.get('sortOrder') === 'site'
+        ? manager.groupBySite(passwords).map(group => createSiteGroup(group)).join('')
+        : passwords.map(pwd => createPasswordCard(pwd)).join('');
+    feather.replace();
+    attachPasswordCardEvents();
+    startTotpTimer();
+}
+
+let totpTimer = null;
 
-                // Update selected category name
-                document.getElementById('selected-category-name').textContent = btn.dataset.category;
+// Refresh the 2FA codes and countdowns on visible cards once a second
+function startTotpTimer() {
+    stopTotpTimer();
+    if (!document.querySelector('.totp-code')) {
+        return;
+    }
 
-                // Close dropdown
-                document.getElementById('category-dropdown').classList.add('hidden');
+    const refresh = () => {
+        document.querySelectorAll('.password-card').forEach(async card => {
+            const codeEl = card.querySelector('.totp-code');
+            if (!codeEl) return;
 
-                this.renderPasswords(btn.dataset.category);
-            });
+            const entry = manager.passwords.find(p => p.id === card.dataset.id);
+            if (!entry || !entry.totp) return;
+
+            try {
+                const code = await TotpManager.generate(entry.totp);
+                codeEl.textContent = `${code.slice(0, Math.ceil(code.length / 2))} ${code.slice(Math.ceil(code.length / 2))}`;
+                card.querySelector('.totp-countdown').textContent = `${TotpManager.secondsRemaining(entry.totp)}s`;
+            } catch (e) {
+                codeEl.textContent = 'Invalid secret';
+            }
         });
+    };
+
+    refresh();
+    totpTimer = setInterval(refresh, 1000);
+}
+
+function stopTotpTimer() {
+    if (totpTimer) {
+        clearInterval(totpTimer);
+        totpTimer = null;
     }
+}
 
-    // Render passwords
-    renderPasswords(category = 'All', searchQuery = '') {
-        const passwords = this.searchPasswords(searchQuery, category);
-        const container = document.getElementById('passwords-container');
+// Website of a login. Only http(s) addresses become links: the field can
+// come from imports and sync, and a javascript: URL must never be clickable.
+function createWebsiteLink(website) {
+    const url = SiteMatcher.parse(website);
+    if (!url) {
+        return `<span class="text-sm text-gray-400 flex items-center">${escapeHtml(website)}</span>`;
+    }
+    return `
+        <a href="${escapeHtml(url.href)}" target="_blank" rel="noopener noreferrer" class="text-sm text-blue-400 hover:text-blue-300 flex items-center">
+            ${createFavicon(SiteMatcher.siteOf(website), 'external-link', 'w-3 h-3 mr-1')}
+            ${escapeHtml(website)}
+        </a>
+    `;
+}
 
-        // Update password count
-        const countEl = document.getElementById('password-count');
-        if (countEl) {
-            countEl.textContent = `(${passwords.length})`;
-        }
+// Create password card HTML
+function createPasswordCard(pwd) {
+    if (pwd.type !== 'login') {
+        return createItemCard(pwd);
+    }
 
-        if (passwords.length === 0) {
-            container.innerHTML = `
-                <div class="text-center py-12 text-gray-500">
-                    <i data-feather="lock" class="w-16 h-16 mx-auto mb-4"></i>
-                    <p class="text-lg">No passwords found</p>
-                    <p class="text-sm">Generate and save your first password to get started</p>
+    return `
+        <div class="password-card bg-gray-800 rounded-lg p-4 mb-3 border border-gray-700 hover:border-gray-600 transition-all" data-id="${escapeHtml(pwd.id)}">
+            <div class="flex justify-between items-start mb-3">
+                <div class="flex-1">
+                    <h3 class="text-lg font-semibold text-white mb-1">${escapeHtml(pwd.name)}</h3>
+                    ${pwd.website ? createWebsiteLink(pwd.website) : ''}
                 </div>
-            `;
-            feather.replace();
-            return;
-        }
+                <div class="flex items-center space-x-2">
+                    ${createFavoriteButton(pwd)}
+                    ${createCategoryBadge(pwd.category)}
+                </div>
+            </div>
 
-        container.innerHTML = passwords.map(pwd => this.createPasswordCard(pwd)).join('');
-        feather.replace();
-        this.attachPasswordCardEvents();
-    }
-
-    // Create password card HTML
-    createPasswordCard(pwd) {
-        const categoryColors = {
-            'Personal': 'bg-blue-600',
-            'Work': 'bg-purple-600',
-            'Banking': 'bg-green-600',
-            'Social Media': 'bg-pink-600',
-            'Shopping': 'bg-yellow-600',
-            'Other': 'bg-gray-600'
-        };
+            ${createTagList(pwd)}
 
-        return `
-            <div class="password-card bg-gray-800 rounded-lg p-4 mb-3 border border-gray-700 hover:border-gray-600 transition-all" data-id="${pwd.id}">
-                <div class="flex justify-between items-start mb-3">
-                    <div class="flex-1">
-                        <h3 class="text-lg font-semibold text-white mb-1">${this.escapeHtml(pwd.name)}</h3>
-                        ${pwd.website ? `
-                            <a href="${this.escapeHtml(pwd.website)}" target="_blank" class="text-sm text-blue-400 hover:text-blue-300 flex items-center">
-                                <i data-feather="external-link" class="w-3 h-3 mr-1"></i>
-                                ${this.escapeHtml(pwd.website)}
-                            </a>
-                        ` : ''}
-                    </div>
-                    <span class="text-xs px-2 py-1 rounded ${categoryColors[pwd.category] || categoryColors['Other']} text-white">
-                        ${pwd.category}
-                    </span>
+            ${pwd.username ? `
+                <div class="mb-2 flex items-center">
+                    <span class="text-xs text-gray-400 mr-2">Username:</span>
+                    <span class="text-sm text-gray-300 flex-1">${escapeHtml(pwd.username)}</span>
+                    <button class="copy-username p-1 text-gray-400 hover:text-primary transition-colors" data-value="${escapeHtml(pwd.username)}">
+                        <i data-feather="copy" class="w-4 h-4"></i>
+                    </button>
                 </div>
+            ` : ''}
 
-                ${pwd.username ? `
-                    <div class="mb-2 flex items-center">
-                        <span class="text-xs text-gray-400 mr-2">Username:</span>
-                        <span class="text-sm text-gray-300 flex-1">${this.escapeHtml(pwd.username)}</span>
-                        <button class="copy-username p-1 text-gray-400 hover:text-primary transition-colors" data-value="${this.escapeHtml(pwd.username)}">
-                            <i data-feather="copy" class="w-4 h-4"></i>
-                        </button>
-                    </div>
-                ` : ''}
+            <div class="mb-3 flex items-center">
+                <span class="text-xs text-gray-400 mr-2">Password:</span>
+                <div class="flex-1 font-mono text-sm bg-gray-900 px-3 py-2 rounded">
+                    <span class="password-hidden">••••••••••••</span>
+                    <span class="password-visible hidden">${escapeHtml(pwd.password)}</span>
+                </div>
+                <button class="toggle-password p-1 ml-2 text-gray-400 hover:text-primary transition-colors">
+                    <i data-feather="eye" class="w-4 h-4"></i>
+                </button>
+                <button class="copy-password p-1 text-gray-400 hover:text-primary transition-colors" data-value="${escapeHtml(pwd.password)}">
+                    <i data-feather="copy" class="w-4 h-4"></i>
+                </button>
+            </div>
+
+            ${manager.getBreachResult(pwd)?.count ? `
+                <div class="mb-3 flex items-center text-xs text-red-400">
+                    <i data-feather="alert-octagon" class="w-3 h-3 mr-1"></i>
+                    Found in ${manager.getBreachResult(pwd).count.toLocaleString()} breaches - change this password
+                </div>
+            ` : ''}
 
+            ${pwd.totp ? `
                 <div class="mb-3 flex items-center">
-                    <span class="text-xs text-gray-400 mr-2">Password:</span>
-                    <div class="flex-1 font-mono text-sm bg-gray-900 px-3 py-2 rounded">
-                        <span class="password-hidden">••••••••••••</span>
-                        <span class="password-visible hidden">${this.escapeHtml(pwd.password)}</span>
+                    <span class="text-xs text-gray-400 mr-2">2FA Code:</span>
+                    <div class="flex-1 flex items-center justify-between font-mono text-sm bg-gray-900 px-3 py-2 rounded">
+                        <span class="totp-code text-secondary tracking-wider">--- ---</span>
+                        <span class="totp-countdown text-xs text-gray-500"></span>
                     </div>
-                    <button class="toggle-password p-1 ml-2 text-gray-400 hover:text-primary transition-colors">
-                        <i data-feather="eye" class="w-4 h-4"></i>
-                    </button>
-                    <button class="copy-password p-1 text-gray-400 hover:text-primary transition-colors" data-value="${this.escapeHtml(pwd.password)}">
+                    <button class="copy-totp p-1 ml-2 text-gray-400 hover:text-primary transition-colors" title="Copy 2FA code">
                         <i data-feather="copy" class="w-4 h-4"></i>
                     </button>
                 </div>
+            ` : ''}
 
-                ${pwd.notes ? `
-                    <div class="mb-3 text-sm text-gray-400 bg-gray-900 p-2 rounded">
-                        <i data-feather="file-text" class="w-3 h-3 inline mr-1"></i>
-                        ${this.escapeHtml(pwd.notes)}
-                    </div>
-                ` : ''}
-
-                <div class="flex justify-between items-center text-xs text-gray-500 border-t border-gray-700 pt-3">
-                    <span>Created: ${new Date(pwd.createdDate).toLocaleDateString()}</span>
-                    <div class="space-x-2">
-                        <button class="edit-password text-blue-400 hover:text-blue-300">
-                            <i data-feather="edit-2" class="w-4 h-4 inline"></i> Edit
-                        </button>
-                        <button class="delete-password text-red-400 hover:text-red-300">
-                            <i data-feather="trash-2" class="w-4 h-4 inline"></i> Delete
-                        </button>
-                    </div>
+            ${pwd.notes ? `
+                <div class="mb-3 text-sm text-gray-400 bg-gray-900 p-2 rounded">
+                    <i data-feather="file-text" class="w-3 h-3 inline mr-1"></i>
+                    ${escapeHtml(pwd.notes)}
+                </div>
+            ` : ''}
+
+            ${createCardFooter(pwd)}
+        </div>
+    `;
+}
+
+// Card for non-login items, rendered from the item type's fields
+function createItemCard(item) {
+    const schema = ITEM_TYPES[item.type];
+
+    return `
+        <div class="password-card bg-gray-800 rounded-lg p-4 mb-3 border border-gray-700 hover:border-gray-600 transition-all" data-id="${escapeHtml(item.id)}">
+            <div class="flex justify-between items-start mb-3">
+                <div class="flex-1">
+                    <h3 class="text-lg font-semibold text-white mb-1">${escapeHtml(item.name)}</h3>
+                    <span class="text-sm text-gray-400 flex items-center">
+                        <i data-feather="${schema.icon}" class="w-3 h-3 mr-1"></i>
+                        ${schema.label}
+                    </span>
+                </div>
+                <div class="flex items-center space-x-2">
+                    ${createFavoriteButton(item)}
+                    ${createCategoryBadge(item.category)}
                 </div>
             </div>
-        `;
+
+            ${createTagList(item)}
+
+            ${schema.fields.filter(f => item[f.key]).map(f => createFieldRow(item, f)).join('')}
+
+            ${item.notes ? `
+                <div class="mb-3 text-sm text-gray-400 bg-gray-900 p-2 rounded">
+                    <i data-feather="file-text" class="w-3 h-3 inline mr-1"></i>
+                    ${escapeHtml(item.notes)}
+                </div>
+            ` : ''}
+
+            ${createCardFooter(item)}
+        </div>
+    `;
+}
+
+// One field of a typed item; secret values are masked until revealed
+function createFieldRow(item, field) {
+    const value = item[field.key];
+    const display = field.format ? field.format(value) : value;
+    const layout = field.multiline ? 'whitespace-pre-wrap break-all' : '';
+
+    return `
+        <div class="item-field mb-2 flex items-${field.multiline ? 'start' : 'center'}">
+            <span class="text-xs text-gray-400 mr-2 w-24 flex-shrink-0">${field.label}:</span>
+            ${field.secret ? `
+                <div class="flex-1 font-mono text-sm bg-gray-900 px-3 py-2 rounded ${layout}">
+                    <span class="field-hidden">${field.preview ? escapeHtml(field.preview(value)) : '••••••••••••'}</span>
+                    <span class="field-visible hidden">${escapeHtml(display)}</span>
+                </div>
+                <button class="toggle-field p-1 ml-2 text-gray-400 hover:text-primary transition-colors">
+                    <i data-feather="eye" class="w-4 h-4"></i>
+                </button>
+            ` : `
+                <span class="text-sm text-gray-300 flex-1 ${layout}">${escapeHtml(display)}</span>
+            `}
+            <button class="copy-field p-1 text-gray-400 hover:text-primary transition-colors" data-field="${field.key}">
+                <i data-feather="copy" class="w-4 h-4"></i>
+            </button>
+        </div>
+    `;
+}
+
+function createCategoryBadge(category) {
+    const categoryColors = {
+        'Personal': 'bg-blue-600',
+        'Work': 'bg-purple-600',
+        'Banking': 'bg-green-600',
+        'Social Media': 'bg-pink-600',
+        'Shopping': 'bg-yellow-600',
+        'Other': 'bg-gray-600'
+    };
+
+    return `
+        <span class="text-xs px-2 py-1 rounded ${categoryColors[category] || categoryColors['Other']} text-white">
+            ${escapeHtml(category)}
+        </span>
+    `;
+}
+
+// Site icon from the favicon service, or a feather icon when favicons are
+// turned off or the entry has no website
+function createFavicon(site, fallbackIcon, sizeClass) {
+    if (site && Settings.get('showFavicons')) {
+        return `<img class="site-favicon ${sizeClass} rounded-sm" src="${escapeHtml(SiteMatcher.faviconUrl(site))}" alt="" loading="lazy" referrerpolicy="no-referrer">`;
     }
+    return `<i data-feather="${fallbackIcon}" class="${sizeClass}"></i>`;
+}
 
-    // Attach events to password cards
-    attachPasswordCardEvents() {
-        // Toggle password visibility
-        document.querySelectorAll('.toggle-password').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                const card = e.target.closest('.password-card');
-                const hidden = card.querySelector('.password-hidden');
-                const visible = card.querySelector('.password-visible');
-                const icon = btn.querySelector('i');
+function createSiteGroup({ site, entries }) {
+    return `
+        <div class="site-group mb-4">
+            <div class="flex items-center text-sm font-semibold text-gray-300 mb-2">
+                ${createFavicon(site, 'globe', 'w-4 h-4 mr-2')}
+                <span>${site ? escapeHtml(site) : 'No website'}</span>
+                <span class="ml-2 text-xs font-normal text-gray-500">${entries.length}</span>
+            </div>
+            ${entries.map(entry => createPasswordCard(entry)).join('')}
+        </div>
+    `;
+}
 
-                hidden.classList.toggle('hidden');
-                visible.classList.toggle('hidden');
+function createFavoriteButton(item) {
+    return `
+        <button class="toggle-favorite p-1 transition-colors ${item.favorite ? 'active text-yellow-400' : 'text-gray-500 hover:text-yellow-400'}" title="${item.favorite ? 'Unpin favorite' : 'Pin as favorite'}">
+            <i data-feather="star" class="w-4 h-4"></i>
+        </button>
+    `;
+}
 
-                if (hidden.classList.contains('hidden')) {
-                    icon.outerHTML = '<i data-feather="eye-off" class="w-4 h-4"></i>';
-                } else {
-                    icon.outerHTML = '<i data-feather="eye" class="w-4 h-4"></i>';
-                }
-                feather.replace();
-            });
-        });
+function createTagList(item) {
+    if (!item.tags || item.tags.length === 0) {
+        return '';
+    }
+    return `
+        <div class="mb-3 flex flex-wrap gap-1">
+            ${item.tags.map(tag => `
+                <button class="tag-chip text-xs px-2 py-0.5 rounded-full bg-gray-700 text-gray-300 hover:bg-gray-600" data-tag="${escapeHtml(tag)}">#${escapeHtml(tag)}</button>
+            `).join('')}
+        </div>
+    `;
+}
+
+function createCardFooter(item) {
+    return `
+        <div class="flex justify-between items-center text-xs text-gray-500 border-t border-gray-700 pt-3">
+            <span>Created: ${new Date(item.createdDate).toLocaleDateString()}</span>
+            <div class="space-x-2">
+                <button class="edit-password text-blue-400 hover:text-blue-300">
+                    <i data-feather="edit-2" class="w-4 h-4 inline"></i> Edit
+                </button>
+                <button class="delete-password text-red-400 hover:text-red-300">
+                    <i data-feather="trash-2" class="w-4 h-4 inline"></i> Delete
+                </button>
+            </div>
+        </div>
+    `;
+}
 
-        // Copy password
-        document.querySelectorAll('.copy-password').forEach(btn => {
-            btn.addEventListener('click', async (e) => {
-                const value = btn.dataset.value;
-                await navigator.clipboard.writeText(value);
-                showToast('Password copied to clipboard');
+// Attach events to password cards
+function attachPasswordCardEvents() {
+    // Drop favicons the icon service doesn't have
+    document.querySelectorAll('.site-favicon').forEach(img => {
+        img.addEventListener('error', () => img.classList.add('hidden'), { once: true });
+    });
 
-                // Auto-clear clipboard after 30 seconds
-                setTimeout(() => {
-                    navigator.clipboard.writeText('');
-                }, 30000);
-            });
+    // Toggle password visibility
+    document.querySelectorAll('.toggle-password').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            const card = e.target.closest('.password-card');
+            const hidden = card.querySelector('.password-hidden');
+            const visible = card.querySelector('.password-visible');
+            const icon = btn.querySelector('i');
+
+            hidden.classList.toggle('hidden');
+            visible.classList.toggle('hidden');
+
+            if (hidden.classList.contains('hidden')) {
+                icon.outerHTML = '<i data-feather="eye-off" class="w-4 h-4"></i>';
+            } else {
+                icon.outerHTML = '<i data-feather="eye" class="w-4 h-4"></i>';
+            }
+            feather.replace();
         });
+    });
 
-        // Copy username
-        document.querySelectorAll('.copy-username').forEach(btn => {
-            btn.addEventListener('click', async (e) => {
-                const value = btn.dataset.value;
-                await navigator.clipboard.writeText(value);
-                showToast('Username copied to clipboard');
-            });
+    // Reveal / hide secret fields of typed items
+    document.querySelectorAll('.toggle-field').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const row = btn.closest('.item-field');
+            const hidden = row.querySelector('.field-hidden');
+            row.querySelector('.field-visible').classList.toggle('hidden');
+            hidden.classList.toggle('hidden');
+
+            const icon = btn.querySelector('i, svg');
+            icon.outerHTML = `<i data-feather="${hidden.classList.contains('hidden') ? 'eye-off' : 'eye'}" class="w-4 h-4"></i>`;
+            feather.replace();
         });
+    });
 
-        // Edit password
-        document.querySelectorAll('.edit-password').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                const id = e.target.closest('.password-card').dataset.id;
-                const password = this.passwords.find(p => p.id === id);
-                openPasswordModal(password);
-            });
+    // Copy a typed item field
+    document.querySelectorAll('.copy-field').forEach(btn => {
+        btn.addEventListener('click', async (e) => {
+            const id = e.target.closest('.password-card').dataset.id;
+            const item = manager.passwords.find(p => p.id === id);
+            const field = ITEM_TYPES[item.type].fields.find(f => f.key === btn.dataset.field);
+            await ClipboardManager.copy(item[field.key], !!field.secret);
+            await manager.recordUsage(id);
+            showToast(`${field.label} copied to clipboard`);
         });
+    });
 
-        // Delete password
-        document.querySelectorAll('.delete-password').forEach(btn => {
-            btn.addEventListener('click', async (e) => {
-                const id = e.target.closest('.password-card').dataset.id;
-                const password = this.passwords.find(p => p.id === id);
-
-                if (confirm(`Are you sure you want to delete "${password.name}"?`)) {
-                    await this.deletePassword(id);
-                    this.renderCategories();
-                    this.renderPasswords();
-                    showToast('Password deleted');
-                }
-            });
+    // Copy password
+    document.querySelectorAll('.copy-password').forEach(btn => {
+        btn.addEventListener('click', async (e) => {
+            const value = btn.dataset.value;
+            await ClipboardManager.copy(value);
+            await manager.recordUsage(e.target.closest('.password-card').dataset.id);
+            showToast('Password copied to clipboard');
         });
-    }
+    });
 
-    escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
-    }
-}
+    // Pin / unpin favorites
+    document.querySelectorAll('.toggle-favorite').forEach(btn => {
+        btn.addEventListener('click', async (e) => {
+            await manager.toggleFavorite(e.target.closest('.password-card').dataset.id);
+            refreshPasswordList();
+        });
+    });
 
-// ============================================================================
-// PASSWORD GENERATOR
-// ============================================================================
+    // Filter by a tag
+    document.querySelectorAll('.tag-chip').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const tag = btn.dataset.tag;
+            document.getElementById('search-passwords').value = /\s/.test(tag) ? `tag:"${tag}"` : `tag:${tag}`;
+            refreshPasswordList();
+        });
+    });
 
-const generatePassword = () => {
-    const length = parseInt(document.getElementById('password-length').value);
-    const uppercase = document.getElementById('uppercase').checked;
-    const lowercase = document.getElementById('lowercase').checked;
-    const numbers = document.getElementById('numbers').checked;
-    const symbols = document.getElementById('symbols').checked;
-
-    let charset = '';
-    if (uppercase) charset += 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
-    if (lowercase) charset += 'abcdefghijklmnopqrstuvwxyz';
-    if (numbers) charset += '0123456789';
-    if (symbols) charset += '!@#$%^&*()_+-=[]{}|;:,.<>?';
-
-    if (!charset) {
-        showToast('Please select at least one character type', 'error');
-        return '';
-    }
+    // Copy username
+    document.querySelectorAll('.copy-username').forEach(btn => {
+        btn.addEventListener('click', async (e) => {
+            const value = btn.dataset.value;
+            await ClipboardManager.copy(value, false);
+            showToast('Username copied to clipboard');
+        });
+    });
 
-    let password = '';
-    for (let i = 0; i < length; i++) {
-        const randomIndex = Math.floor(Math.random() * charset.length);
-        password += charset[randomIndex];
-    }
+    // Copy current 2FA code
+    document.querySelectorAll('.copy-totp').forEach(btn => {
+        btn.addEventListener('click', async (e) => {
+            const id = e.target.closest('.password-card').dataset.id;
+            const entry = manager.passwords.find(p => p.id === id);
+            try {
+                await ClipboardManager.copy(await TotpManager.generate(entry.totp));
+                await manager.recordUsage(id);
+                showToast('2FA code copied to clipboard');
+            } catch (error) {
+                showToast(error.message, 'error');
+            }
+        });
+    });
 
-    const passwordField = document.getElementById('generated-password');
-    passwordField.value = password;
-    passwordField.classList.add('animate-pulse-once');
-    setTimeout(() => passwordField.classList.remove('animate-pulse-once'), 500);
+    // Edit password
+    document.querySelectorAll('.edit-password').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            const id = e.target.closest('.password-card').dataset.id;
+            const password = manager.passwords.find(p => p.id === id);
+            openPasswordModal(password);
+        });
+    });
 
-    // Update strength indicator
-    updatePasswordStrength(password);
+    // Delete password
+    document.querySelectorAll('.delete-password').forEach(btn => {
+        btn.addEventListener('click', async (e) => {
+            const id = e.target.closest('.password-card').dataset.id;
+            const password = manager.passwords.find(p => p.id === id);
+
+            if (confirm(`Are you sure you want to delete "${password.name}"?`)) {
+                await manager.deletePassword(id);
+                renderCategories();
+                renderPasswords();
+                showToast('Password deleted');
+            }
+        });
+    });
+}
 
-    return password;
-};
+// ============================================================================
+// INITIALIZATION
+// ============================================================================
 
-// Password strength calculator
-const updatePasswordStrength = (password) => {
-    const indicator = document.getElementById('strength-indicator');
-    const text = document.getElementById('strength-text');
+// One PasswordManager per vault; `manager` is the vault currently on screen
+const vaultManagers = new Map();
 
-    if (!password) {
-        indicator.className = 'h-2 rounded-full bg-gray-700';
-        text.textContent = '';
-        return;
+function getVaultManager(id) {
+    if (!vaultManagers.has(id)) {
+        const vault = new PasswordManager(id);
+        watchVault(vault);
+        vaultManagers.set(id, vault);
     }
+    return vaultManagers.get(id);
+}
 
-    let strength = 0;
-    if (password.length >= 8) strength++;
-    if (password.length >= 12) strength++;
-    if (password.length >= 16) strength++;
-    if (/[a-z]/.test(password) && /[A-Z]/.test(password)) strength++;
-    if (/[0-9]/.test(password)) strength++;
-    if (/[^a-zA-Z0-9]/.test(password)) strength++;
-
-    const levels = [
-        { class: 'bg-red-500', text: 'Very Weak', width: 'w-1/6' },
-        { class: 'bg-red-500', text: 'Weak', width: 'w-2/6' },
-        { class: 'bg-orange-500', text: 'Fair', width: 'w-3/6' },
-        { class: 'bg-yellow-500', text: 'Good', width: 'w-4/6' },
-        { class: 'bg-green-500', text: 'Strong', width: 'w-5/6' },
-        { class: 'bg-green-600', text: 'Very Strong', width: 'w-full' }
-    ];
-
-    const level = levels[Math.min(strength, 5)];
-    indicator.className = `h-2 rounded-full ${level.class} ${level.width} transition-all`;
-    text.textContent = level.text;
-    text.className = `text-sm font-medium ${level.class.replace('bg-', 'text-')}`;
-};
+// Follow a vault's state changes; only the vault on screen is rendered
+function watchVault(vault) {
+    vault.addEventListener('unlock', () => {
+        if (vault === manager) showMainApp();
+        startSessionTimeout();
+    });
+    vault.addEventListener('lock', () => {
+        AutoLock.stop();
+        stopTotpTimer();
+        ClipboardManager.clear();
+        if (vault === manager) showLoginScreen();
+    });
+    vault.addEventListener('wipe', () => {
+        if (vault === manager) showSetupScreen();
+    });
+    vault.addEventListener('syncstatus', () => renderSyncStatus(vault));
+    vault.addEventListener('remotechange', () => {
+        if (vault === manager) {
+            renderCategories();
+            renderPasswords();
+        }
+    });
+}
 
-// ============================================================================
-// UI UTILITIES
-// ============================================================================
+// Auto-lock is shared by every unlocked vault, so any trigger locks them all
+function startSessionTimeout() {
+    AutoLock.start(() => lockAllVaults());
+}
 
-// Toast notification
-function showToast(message, type = 'success') {
-    const toast = document.createElement('div');
-    toast.className = `fixed top-4 right-4 px-6 py-3 rounded-lg shadow-lg text-white z-50 ${
-        type === 'success' ? 'bg-green-600' : 'bg-red-600'
-    }`;
-    toast.textContent = message;
-    document.body.appendChild(toast);
+// Login screen for an existing vault, setup screen for an empty one
+function showVaultScreen() {
+    if (manager.hasVault()) {
+        showLoginScreen();
+    } else {
+        showSetupScreen();
+    }
+}
 
-    setTimeout(() => {
-        toast.style.opacity = '0';
-        toast.style.transition = 'opacity 0.3s';
-        setTimeout(() => toast.remove(), 300);
-    }, 3000);
+function unlockedVaults() {
+    return [...vaultManagers.values()].filter(m => !m.isLocked);
 }
 
-// Open password modal
-function openPasswordModal(existingPassword = null) {
-    const modal = document.getElementById('password-modal');
-    const form = document.getElementById('password-form');
+function setActiveVault(id) {
+    manager = getVaultManager(id);
+    VaultRegistry.setActiveId(id);
+}
 
-    // Populate form
-    if (existingPassword) {
-        document.getElementById('modal-title').textContent = 'Edit Password';
-        document.getElementById('pwd-name').value = existingPassword.name;
-        document.getElementById('pwd-website').value = existingPassword.website;
-        document.getElementById('pwd-username').value = existingPassword.username;
-        document.getElementById('pwd-password').value = existingPassword.password;
-        document.getElementById('pwd-category').value = existingPassword.category;
-        document.getElementById('pwd-notes').value = existingPassword.notes;
-        form.dataset.editId = existingPassword.id;
+// Show a vault: its entries when unlocked, otherwise its login or setup screen.
+// Other vaults stay unlocked in the background.
+function switchVault(id) {
+    setActiveVault(id);
+    if (!manager.isLocked) {
+        showMainApp();
     } else {
-        document.getElementById('modal-title').textContent = 'Save Password';
-        form.reset();
-        const generatedPwd = document.getElementById('generated-password').value;
-        if (generatedPwd) {
-            document.getElementById('pwd-password').value = generatedPwd;
-        }
-        delete form.dataset.editId;
+        showVaultScreen();
     }
+}
 
-    // Populate category dropdown
-    const categorySelect = document.getElementById('pwd-category');
-    categorySelect.innerHTML = manager.categories.map(cat =>
-        `<option value="${cat}">${cat}</option>`
-    ).join('');
+// Run a setup step for the vault on the setup screen. In new-vault mode the
+// vault is created first and removed again if the step fails, so the picker
+// never lists an empty vault.
+async function withSetupVault(task) {
+    const form = document.getElementById('setup-form');
+    const name = document.getElementById('setup-vault-name').value;
 
-    if (existingPassword) {
-        categorySelect.value = existingPassword.category;
+    if (!form.dataset.newVault) {
+        VaultRegistry.rename(manager.vaultId, name);
+        return task(manager);
     }
 
-    modal.classList.remove('hidden');
+    const previous = manager.vaultId;
+    const vault = VaultRegistry.create(name);
+    setActiveVault(vault.id);
+    try {
+        return await task(manager);
+    } catch (error) {
+        VaultRegistry.remove(vault.id);
+        vaultManagers.delete(vault.id);
+        setActiveVault(previous);
+        throw error;
+    }
 }
 
-function closePasswordModal() {
-    document.getElementById('password-modal').classList.add('hidden');
-    document.getElementById('password-form').reset();
+// Lock every unlocked vault, finishing with the one on screen so that its
+// login screen is what remains visible
+function lockAllVaults() {
+    unlockedVaults().forEach(m => {
+        if (m !== manager) m.lock();
+    });
+    manager.lock();
 }
 
-// ============================================================================
-// INITIALIZATION
-// ============================================================================
-
-const manager = new PasswordManager();
+let manager = getVaultManager(VaultRegistry.getActiveId());
 
 document.addEventListener('DOMContentLoaded', () => {
     // Initialize feather icons
@@ -666,22 +1629,52 @@ document.addEventListener('DOMContentLoaded', () => {
     // Setup screen
     document.getElementById('setup-form')?.addEventListener('submit', async (e) => {
         e.preventDefault();
+        const form = e.target;
         const password = document.getElementById('setup-password').value;
-        const confirm = document.getElementById('setup-confirm').value;
+        const confirmPassword = document.getElementById('setup-confirm').value;
 
-        if (password !== confirm) {
+        if (password !== confirmPassword) {
             showToast('Passwords do not match', 'error');
             return;
         }
 
         try {
-            await manager.setupMasterPassword(password);
+            await withSetupVault(target => target.setupMasterPassword(password));
+            form.reset();
             showToast('Master password created successfully');
         } catch (error) {
             showToast(error.message, 'error');
         }
     });
 
+    document.getElementById('setup-back')?.addEventListener('click', () => switchVault(manager.vaultId));
+
+    // Set up this device from a vault on a sync server
+    document.getElementById('sync-connect-btn')?.addEventListener('click', async () => {
+        const config = {
+            url: document.getElementById('sync-connect-url').value,
+            id: document.getElementById('sync-connect-id').value,
+            token: document.getElementById('sync-connect-token').value
+        };
+
+        try {
+            await withSetupVault(target => target.connectSyncedVault(config));
+            document.getElementById('setup-form').reset();
+            showLoginScreen();
+            showToast('Vault connected - unlock it with its master password');
+        } catch (error) {
+            showToast(error.message, 'error');
+        }
+    });
+
+    // Vault picker
+    document.getElementById('login-vault')?.addEventListener('change', (e) => {
+        document.getElementById('login-password').value = '';
+        switchVault(e.target.value);
+    });
+    document.getElementById('login-new-vault')?.addEventListener('click', showNewVaultSetup);
+    document.getElementById('new-vault-btn')?.addEventListener('click', showNewVaultSetup);
+
     // Login screen
     document.getElementById('login-form')?.addEventListener('submit', async (e) => {
         e.preventDefault();
@@ -689,30 +1682,345 @@ document.addEventListener('DOMContentLoaded', () => {
 
         try {
             await manager.login(password);
+            document.getElementById('login-password').value = '';
             showToast('Logged in successfully');
         } catch (error) {
             showToast(error.message, 'error');
+            renderLoginWarning();
+        }
+    });
+
+    // Recovery with a recovery key or key shares
+    document.getElementById('login-recover')?.addEventListener('click', showRecoveryScreen);
+    document.getElementById('recovery-back')?.addEventListener('click', showLoginScreen);
+    document.getElementById('recovery-mode-key')?.addEventListener('click', () => setRecoveryMode('key'));
+    document.getElementById('recovery-mode-shares')?.addEventListener('click', () => setRecoveryMode('shares'));
+    document.getElementById('recovery-shares')?.addEventListener('input', renderRecoverySharesStatus);
+
+    document.getElementById('recovery-form')?.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const useShares = document.getElementById('recovery-mode-shares').classList.contains('active');
+        const password = document.getElementById('recovery-password').value;
+        const confirmPassword = document.getElementById('recovery-confirm').value;
+
+        if (password !== confirmPassword) {
+            showToast('Passwords do not match', 'error');
+            return;
+        }
+
+        const submitBtn = e.target.querySelector('button[type="submit"]');
+        submitBtn.disabled = true;
+        try {
+            const recoveryKey = useShares
+                ? RecoveryShares.combine(enteredRecoveryShares())
+                : document.getElementById('recovery-key').value;
+            await manager.recoverVault(recoveryKey, password);
+            e.target.reset();
+            showToast('Vault recovered - use your new master password from now on');
+        } catch (error) {
+            showToast(error.message, 'error');
+        } finally {
+            submitBtn.disabled = false;
         }
     });
 
     // Lock button
     document.getElementById('lock-btn')?.addEventListener('click', () => {
-        manager.lock();
+        lockAllVaults();
         showToast('App locked');
     });
 
+    // Vault menu
+    document.getElementById('vault-menu-btn')?.addEventListener('click', (e) => {
+        e.stopPropagation();
+        document.getElementById('vault-menu').classList.toggle('hidden');
+    });
+
+    // Change master password
+    document.getElementById('change-master-password-btn')?.addEventListener('click', openChangePasswordModal);
+    document.getElementById('close-change-password')?.addEventListener('click', closeChangePasswordModal);
+    document.getElementById('cancel-change-password')?.addEventListener('click', closeChangePasswordModal);
+
+    document.getElementById('change-password-form')?.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const current = document.getElementById('current-master-password').value;
+        const password = document.getElementById('new-master-password').value;
+        const confirmPassword = document.getElementById('confirm-master-password').value;
+
+        if (password !== confirmPassword) {
+            showToast('Passwords do not match', 'error');
+            return;
+        }
+
+        // The new vault key is wrapped under the recovery key again when it
+        // (or enough of its shares) is entered; otherwise keeping it is
+        // impossible, so ask first
+        let recoveryKey;
+        try {
+            recoveryKey = RecoveryShares.keyFromText(document.getElementById('change-password-recovery-key').value);
+        } catch (error) {
+            showToast(error.message, 'error');
+            return;
+        }
+        const revokeRecovery = !!manager.getRecoveryInfo() && !recoveryKey;
+        if (revokeRecovery && !confirm('Change the password without your recovery key? The recovery key will be revoked and printed recovery kits will stop working.')) {
+            return;
+        }
+
+        const submitBtn = e.target.querySelector('button[type="submit"]');
+        submitBtn.disabled = true;
+        try {
+            await manager.changeMasterPassword(current, password, { recoveryKey, revokeRecovery });
+            closeChangePasswordModal();
+            showToast(revokeRecovery
+                ? 'Master password changed. Your recovery key was revoked - create a new recovery kit'
+                : 'Master password changed');
+        } catch (error) {
+            showToast(error.message, 'error');
+        } finally {
+            submitBtn.disabled = false;
+        }
+    });
+
+    // Recovery kit
+    document.getElementById('recovery-kit-btn')?.addEventListener('click', openRecoveryModal);
+    document.getElementById('close-recovery')?.addEventListener('click', closeRecoveryModal);
+    document.getElementById('recovery-done')?.addEventListener('click', closeRecoveryModal);
+    document.getElementById('recovery-print')?.addEventListener('click', printRecoveryKit);
+
+    document.getElementById('recovery-split')?.addEventListener('change', (e) => {
+        document.getElementById('recovery-split-options').classList.toggle('hidden', !e.target.checked);
+    });
+
+    document.getElementById('recovery-create-form')?.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const password = document.getElementById('recovery-master-password').value;
+        const split = document.getElementById('recovery-split').checked;
+        const count = parseInt(document.getElementById('recovery-share-count').value, 10);
+        const threshold = parseInt(document.getElementById('recovery-share-threshold').value, 10);
+
+        const submitBtn = document.getElementById('recovery-create-submit');
+        submitBtn.disabled = true;
+        try {
+            // Check the split before the old key is replaced
+            if (split) Shamir.validate(count, threshold);
+
+            const recoveryKey = await manager.createRecoveryKey(password);
+            e.target.reset();
+            e.target.classList.add('hidden');
+            document.getElementById('recovery-split-options').classList.add('hidden');
+            if (split) {
+                renderRecoveryShares(RecoveryShares.split(recoveryKey, count, threshold), threshold);
+            } else {
+                renderRecoveryKit(recoveryKey);
+            }
+            document.getElementById('recovery-kit').classList.remove('hidden');
+            feather.replace();
+        } catch (error) {
+            showToast(error.message, 'error');
+        } finally {
+            submitBtn.disabled = false;
+        }
+    });
+
+    document.getElementById('recovery-remove')?.addEventListener('click', async () => {
+        if (!confirm('Remove the recovery key? Printed recovery kits will stop working.')) return;
+        await manager.removeRecoveryKey();
+        renderRecoveryStatus();
+        showToast('Recovery key removed');
+    });
+
+    // Export backup
+    document.getElementById('export-backup-btn')?.addEventListener('click', () => openBackupModal('export'));
+    document.getElementById('close-export-backup')?.addEventListener('click', () => closeBackupModal('export'));
+    document.getElementById('cancel-export-backup')?.addEventListener('click', () => closeBackupModal('export'));
+
+    document.getElementById('export-backup-form')?.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const password = document.getElementById('export-backup-password').value;
+        const confirmPassword = document.getElementById('export-backup-confirm').value;
+
+        if (password !== confirmPassword) {
+            showToast('Passwords do not match', 'error');
+            return;
+        }
+
+        try {
+            const backup = await manager.exportBackup(password);
+            const date = new Date().toISOString().slice(0, 10);
+            downloadFile(`lockmaster-backup-${date}.json`, backup);
+            closeBackupModal('export');
+            showToast(`Exported ${manager.passwords.length} entries`);
+        } catch (error) {
+            showToast(error.message, 'error');
+        }
+    });
+
+    // Import backup
+    document.getElementById('import-backup-btn')?.addEventListener('click', () => openBackupModal('import'));
+    document.getElementById('close-import-backup')?.addEventListener('click', () => closeBackupModal('import'));
+    document.getElementById('cancel-import-backup')?.addEventListener('click', () => closeBackupModal('import'));
+
+    document.getElementById('import-backup-form')?.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const file = document.getElementById('import-backup-file').files[0];
+        const password = document.getElementById('import-backup-password').value;
+        const strategy = document.getElementById('import-backup-strategy').value;
+
+        if (!file) {
+            showToast('Please choose a backup file', 'error');
+            return;
+        }
+
+        try {
+            const result = await manager.importBackup(await file.text(), password, strategy);
+            closeBackupModal('import');
+            renderCategories();
+            renderPasswords();
+            showToast(`Import complete: ${result.added} added, ${result.updated} updated, ${result.skipped} skipped`);
+        } catch (error) {
+            showToast(error.message, 'error');
+        }
+    });
+
+    // Import from other password managers (CSV)
+    document.getElementById('csv-import-btn')?.addEventListener('click', openCsvImportModal);
+    document.getElementById('close-csv-import')?.addEventListener('click', closeCsvImportModal);
+    document.getElementById('cancel-csv-import')?.addEventListener('click', closeCsvImportModal);
+    document.getElementById('csv-import-file')?.addEventListener('change', updateCsvPreview);
+    document.getElementById('csv-import-format')?.addEventListener('change', updateCsvPreview);
+
+    document.getElementById('csv-import-form')?.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        if (!csvPreview) return;
+
+        const entries = csvPreview.rows.filter(r => r.errors.length === 0).map(r => r.entry);
+        try {
+            const created = await manager.importEntries(entries);
+            closeCsvImportModal();
+            renderCategories();
+            renderPasswords();
+            showToast(`Imported ${created.length} entries`);
+        } catch (error) {
+            showToast(error.message, 'error');
+        }
+    });
+
+    // Settings
+    document.getElementById('settings-btn')?.addEventListener('click', openSettingsModal);
+    document.getElementById('close-settings')?.addEventListener('click', closeSettingsModal);
+    document.getElementById('cancel-settings')?.addEventListener('click', closeSettingsModal);
+    document.getElementById('settings-breach-provider')?.addEventListener('change', toggleBreachRangeUrl);
+
+    document.getElementById('settings-form')?.addEventListener('submit', (e) => {
+        e.preventDefault();
+        Settings.update({
+            lockTimeoutMinutes: parseInt(document.getElementById('settings-lock-timeout').value),
+            lockOnHide: document.getElementById('settings-lock-hide').checked,
+            lockOnBlur: document.getElementById('settings-lock-blur').checked,
+            clipboardClearSeconds: parseInt(document.getElementById('settings-clipboard-clear').value),
+            wipeAfterFailures: parseInt(document.getElementById('settings-wipe-after').value),
+            showFavicons: document.getElementById('settings-favicons').checked,
+            breachProvider: document.getElementById('settings-breach-provider').value,
+            breachRangeUrl: document.getElementById('settings-breach-range-url').value.trim() || 'ranges'
+        });
+
+        // Apply the new lock policy to the current session
+        if (unlockedVaults().length) {
+            startSessionTimeout();
+        }
+        if (!manager.isLocked) {
+            refreshPasswordList();
+        }
+        closeSettingsModal();
+        showToast('Settings saved');
+    });
+
+    // Copying anything else in the page replaces a pending secret
+    document.addEventListener('copy', () => ClipboardManager.cancelClear());
+
+    // Sync
+    document.getElementById('sync-btn')?.addEventListener('click', openSyncModal);
+    document.getElementById('sync-indicator')?.addEventListener('click', openSyncModal);
+    document.getElementById('close-sync')?.addEventListener('click', closeSyncModal);
+
+    document.getElementById('sync-enable')?.addEventListener('click', async () => {
+        try {
+            await manager.enableSync({
+                url: document.getElementById('sync-url').value,
+                token: document.getElementById('sync-token').value
+            });
+            openSyncModal();
+            showToast('Sync enabled');
+        } catch (error) {
+            showToast(error.message, 'error');
+        }
+    });
+
+    document.getElementById('sync-now')?.addEventListener('click', async () => {
+        try {
+            const { pulled, pushed } = await manager.sync();
+            renderCategories();
+            renderPasswords();
+            showToast(`Synced: ${pulled} received, ${pushed} sent`);
+        } catch (error) {
+            showToast(error.message, 'error');
+        }
+    });
+
+    document.getElementById('sync-disconnect')?.addEventListener('click', async () => {
+        if (confirm('Stop syncing this vault? The copy on the server is left as it is.')) {
+            await manager.disableSync();
+            openSyncModal();
+            showToast('Sync disconnected');
+        }
+    });
+
+    document.getElementById('copy-sync-id')?.addEventListener('click', async () => {
+        await ClipboardManager.copy(document.getElementById('sync-id').value, false);
+        showToast('Sync ID copied to clipboard');
+    });
+
+    // Security audit
+    document.getElementById('audit-btn')?.addEventListener('click', openAuditModal);
+    document.getElementById('close-audit')?.addEventListener('click', closeAuditModal);
+
+    document.getElementById('audit-max-age')?.addEventListener('change', (e) => {
+        const days = parseInt(e.target.value);
+        if (days > 0) {
+            Settings.update({ auditMaxAgeDays: days });
+            renderAudit();
+        }
+    });
+
     // Password generator
     document.getElementById('password-length')?.addEventListener('input', (e) => {
         document.getElementById('length-value').textContent = e.target.value;
     });
 
+    document.getElementById('passphrase-words')?.addEventListener('input', (e) => {
+        document.getElementById('words-value').textContent = e.target.value;
+    });
+
+    // Switch between random password and passphrase generation
+    document.getElementById('generator-type')?.addEventListener('change', (e) => {
+        const passphrase = e.target.value === 'passphrase';
+        document.getElementById('length-control').classList.toggle('hidden', passphrase);
+        document.getElementById('words-control').classList.toggle('hidden', !passphrase);
+        document.getElementById('password-options').classList.toggle('hidden', passphrase);
+        document.getElementById('passphrase-options').classList.toggle('hidden', !passphrase);
+    });
+
+    // Keep the options dropdown open while its inputs are used
+    document.getElementById('options-dropdown')?.addEventListener('click', (e) => e.stopPropagation());
+
     document.getElementById('generate-password')?.addEventListener('click', generatePassword);
 
     // Copy generated password
     document.getElementById('copy-password')?.addEventListener('click', async () => {
         const password = document.getElementById('generated-password').value;
         if (password) {
-            await navigator.clipboard.writeText(password);
+            await ClipboardManager.copy(password);
             showToast('Password copied to clipboard');
         }
     });
@@ -731,53 +2039,72 @@ document.addEventListener('DOMContentLoaded', () => {
     document.getElementById('password-form')?.addEventListener('submit', async (e) => {
         e.preventDefault();
 
-        const passwordData = {
-            name: document.getElementById('pwd-name').value,
-            website: document.getElementById('pwd-website').value,
-            username: document.getElementById('pwd-username').value,
-            password: document.getElementById('pwd-password').value,
-            category: document.getElementById('pwd-category').value,
-            notes: document.getElementById('pwd-notes').value
-        };
-
+        const passwordData = readItemForm();
         const editId = e.target.dataset.editId;
 
+        // Ask before saving a weak password
+        if (passwordData.type === 'login') {
+            const strength = StrengthEstimator.estimate(passwordData.password);
+            if (StrengthEstimator.isWeak(strength)) {
+                const reasons = strength.warnings.length ? `\n\n- ${strength.warnings.join('\n- ')}` : '';
+                if (!confirm(`This password is ${strength.label.toLowerCase()} (${strength.crackTime} to crack).${reasons}\n\nSave it anyway?`)) {
+                    return;
+                }
+            }
+        }
+
         try {
+            const label = ITEM_TYPES[passwordData.type].label;
             if (editId) {
                 await manager.updatePassword(editId, passwordData);
-                showToast('Password updated successfully');
+                showToast(`${label} updated successfully`);
             } else {
                 await manager.addPassword(passwordData);
-                showToast('Password saved successfully');
+                showToast(`${label} saved successfully`);
             }
 
             closePasswordModal();
-            manager.renderCategories();
-            manager.renderPasswords();
+            renderCategories();
+            renderPasswords();
         } catch (error) {
             showToast(error.message, 'error');
         }
     });
 
+    // Switch the item type of a new entry
+    document.getElementById('pwd-type')?.addEventListener('change', (e) => {
+        document.getElementById('modal-title').textContent = `Save ${ITEM_TYPES[e.target.value].label}`;
+        renderTypeFields(e.target.value);
+    });
+
     // Modal close buttons
     document.getElementById('cancel-password')?.addEventListener('click', closePasswordModal);
     document.getElementById('close-modal')?.addEventListener('click', closePasswordModal);
 
     // Search functionality
-    document.getElementById('search-passwords')?.addEventListener('input', (e) => {
-        const query = e.target.value;
-        const activeCategory = document.querySelector('.category-btn.active')?.dataset.category || 'All';
-        manager.renderPasswords(activeCategory, query);
-    });
+    document.getElementById('search-passwords')?.addEventListener('input', refreshPasswordList);
+
+    // Sort order
+    const sortSelect = document.getElementById('sort-passwords');
+    if (sortSelect) {
+        sortSelect.value = Settings.get('sortOrder');
+        sortSelect.addEventListener('change', () => {
+            Settings.update({ sortOrder: sortSelect.value });
+            refreshPasswordList();
+        });
+    }
 
     // Category management
     document.getElementById('add-category-btn')?.addEventListener('click', (e) => {
         e.stopPropagation(); // Prevent dropdown from closing
         const name = prompt('Enter category name:');
         if (name && name.trim()) {
-            manager.addCategory(name.trim());
-            manager.renderCategories();
-            showToast('Category added');
+            manager.addCategory(name)
+                .then(() => {
+                    renderCategories();
+                    showToast('Category added');
+                })
+                .catch(error => showToast(error.message, 'error'));
         }
     });
 
@@ -799,6 +2126,7 @@ document.addEventListener('DOMContentLoaded', () => {
     document.addEventListener('click', () => {
         const categoryDropdown = document.getElementById('category-dropdown');
         const optionsDropdown = document.getElementById('options-dropdown');
+        const vaultMenu = document.getElementById('vault-menu');
 
         if (categoryDropdown && !categoryDropdown.classList.contains('hidden')) {
             categoryDropdown.classList.add('hidden');
@@ -806,6 +2134,9 @@ document.addEventListener('DOMContentLoaded', () => {
         if (optionsDropdown && !optionsDropdown.classList.contains('hidden')) {
             optionsDropdown.classList.add('hidden');
         }
+        if (vaultMenu && !vaultMenu.classList.contains('hidden')) {
+            vaultMenu.classList.add('hidden');
+        }
     });
 
     // Toggle generator section
@@ -860,12 +2191,79 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // Update strength indicator on manual input
     document.getElementById('manual-password-input')?.addEventListener('input', (e) => {
-        const password = e.target.value;
-        if (password) {
-            updatePasswordStrength(password);
+        updatePasswordStrength(e.target.value);
+    });
+
+    // Password history
+    document.getElementById('toggle-pwd-history')?.addEventListener('click', () => {
+        document.getElementById('pwd-history-content').classList.toggle('hidden');
+        document.getElementById('pwd-history-chevron').classList.toggle('rotate-180');
+    });
+
+    document.getElementById('pwd-history-limit')?.addEventListener('change', async (e) => {
+        const limit = parseInt(e.target.value);
+        if (limit >= 0) {
+            await manager.setHistoryLimit(limit);
+            const editId = document.getElementById('password-form').dataset.editId;
+            renderPasswordHistory(manager.passwords.find(p => p.id === editId));
+        }
+    });
+
+    // Copy / move an entry to another unlocked vault
+    const transferEntry = async (move) => {
+        const id = document.getElementById('password-form').dataset.editId;
+        const target = vaultManagers.get(document.getElementById('pwd-transfer-vault').value);
+
+        try {
+            await manager.transferEntry(id, target, move);
+            closePasswordModal();
+            renderCategories();
+            renderPasswords();
+            showToast(`${move ? 'Moved' : 'Copied'} to ${VaultRegistry.get(target.vaultId).name}`);
+        } catch (error) {
+            showToast(error.message, 'error');
+        }
+    };
+    document.getElementById('pwd-copy-to-vault')?.addEventListener('click', () => transferEntry(false));
+    document.getElementById('pwd-move-to-vault')?.addEventListener('click', () => transferEntry(true));
+
+    // Strength readout while typing in the entry modal; a stored breach
+    // result no longer applies once the password is edited
+    document.getElementById('pwd-password')?.addEventListener('input', (e) => {
+        updateModalStrength(e.target.value);
+        renderModalBreach(null);
+    });
+
+    // Breach check for the password in the entry modal
+    document.getElementById('pwd-breach-check')?.addEventListener('click', async () => {
+        const password = document.getElementById('pwd-password').value;
+        if (!password) return;
+
+        try {
+            const [count] = await BreachChecker.check([password]);
+            renderModalBreach({ count, checkedAt: new Date().toISOString() });
+        } catch (error) {
+            showToast(error.message, 'error');
+        }
+    });
+
+    // Breach check for the whole vault
+    document.getElementById('breach-check-btn')?.addEventListener('click', async () => {
+        showToast('Checking passwords against known breaches...');
+        try {
+            const { checked, compromised } = await manager.checkBreaches();
+            renderPasswords();
+            showToast(
+                compromised > 0
+                    ? `${compromised} of ${checked} passwords found in known breaches`
+                    : `None of ${checked} passwords found in known breaches`,
+                compromised > 0 ? 'error' : 'success'
+            );
+        } catch (error) {
+            showToast(error.message, 'error');
         }
     });
 
     // Initialize the app
-    manager.init();
+    showVaultScreen();
 });
@@ -0,0 +1,85 @@
+// ============================================================================
+// PASSWORD MANAGER - Backup & Restore
+// ============================================================================
+
+import { CryptoManager } from './crypto.js';
+import { ITEM_TYPES } from './itemTypes.js';
+
+// Portable, encrypted backup files
+export const BackupManager = {
+    FORMAT: 'lockmaster-backup',
+    VERSION: 1,
+
+    // How conflicting entries (same id) are resolved on import
+    CONFLICT_STRATEGIES: ['newer', 'both', 'skip'],
+
+    // Build a backup file; the vault is encrypted with its own password
+    async createBackup(data, password) {
+        if (!password || password.length < 8) {
+            throw new Error('Backup password must be at least 8 characters');
+        }
+
+        return JSON.stringify({
+            format: this.FORMAT,
+            version: this.VERSION,
+            exportedAt: new Date().toISOString(),
+            entryCount: data.passwords.length,
+            vault: await CryptoManager.encrypt(data, password)
+        }, null, 2);
+    },
+
+    // Validate and decrypt a backup file
+    async readBackup(text, password) {
+        let backup;
+        try {
+            backup = JSON.parse(text);
+        } catch (e) {
+            throw new Error('Backup file is not valid JSON');
+        }
+
+        if (!backup || backup.format !== this.FORMAT) {
+            throw new Error('Not a LockMaster Pro backup file');
+        }
+        if (backup.version > this.VERSION) {
+            throw new Error('Backup was created by a newer version of LockMaster Pro');
+        }
+
+        const vault = backup.vault;
+        if (!vault || !vault.kdf || !vault.iv || !vault.data) {
+            throw new Error('Backup file is incomplete or corrupted');
+        }
+
+        let data;
+        try {
+            data = await CryptoManager.decrypt(vault, password);
+        } catch (e) {
+            throw new Error('Incorrect backup password');
+        }
+
+        if (!Array.isArray(data.passwords)) {
+            throw new Error('Backup file contains no password entries');
+        }
+        return data;
+    },
+
+    // Key-order independent serialisation, used to spot identical entries
+    fingerprint(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(v => this.fingerprint(v)).join(',')}]`;
+        }
+        if (value && typeof value === 'object') {
+            return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${this.fingerprint(value[k])}`).join(',')}}`;
+        }
+        return JSON.stringify(value);
+    },
+
+    // Minimal shape an imported entry needs to be usable
+    isValidEntry(entry) {
+        const type = (entry && entry.type) || 'login';
+        return !!entry &&
+            typeof entry.id === 'string' &&
+            typeof entry.name === 'string' && entry.name !== '' &&
+            !!ITEM_TYPES[type] &&
+            (type !== 'login' || typeof entry.password === 'string');
+    }
+};
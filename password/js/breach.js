@@ -0,0 +1,109 @@
+// ============================================================================
+// PASSWORD MANAGER - Breach Check
+// ============================================================================
+
+import { getStorage } from './storage.js';
+import { Settings } from './settings.js';
+
+// Looks passwords up in breach corpora without revealing them: only the first
+// five hex characters of the SHA-1 hash leave the app (k-anonymity), and the
+// returned range of hash suffixes is searched locally.
+export const BreachChecker = {
+    PREFIX_LENGTH: 5,
+
+    // Range providers return the "SUFFIX:COUNT" lines for a hash prefix
+    PROVIDERS: {
+        hibp: {
+            label: 'Have I Been Pwned (online)',
+            create: () => ({
+                cacheKey: 'hibp',
+                // Padding hides how many suffixes the real range holds
+                fetchRange: prefix => BreachChecker.fetchText(
+                    `https://api.pwnedpasswords.com/range/${prefix}`,
+                    { 'Add-Padding': 'true' }
+                )
+            })
+        },
+        local: {
+            label: 'Local range files (offline)',
+            // A directory of <PREFIX>.txt files as written by the HIBP
+            // PwnedPasswordsDownloader, served over HTTP next to the app
+            create: ({ rangeUrl }) => {
+                const base = (rangeUrl || 'ranges').trim().replace(/\/+$/, '');
+                return {
+                    cacheKey: `local:${base}`,
+                    fetchRange: prefix => BreachChecker.fetchText(`${base}/${prefix}.txt`)
+                };
+            }
+        }
+    },
+
+    // Parsed ranges for this session, keyed by provider and prefix
+    cache: new Map(),
+
+    createProvider(id, options = {}) {
+        const provider = this.PROVIDERS[id];
+        if (!provider) {
+            throw new Error(`Unknown breach provider: ${id}`);
+        }
+        return provider.create(options);
+    },
+
+    // The provider chosen in the settings of a storage backend
+    fromSettings(storage = getStorage()) {
+        return this.createProvider(Settings.get('breachProvider', storage), { rangeUrl: Settings.get('breachRangeUrl', storage) });
+    },
+
+    async fetchText(url, headers = {}) {
+        let response;
+        try {
+            response = await fetch(url, { headers });
+        } catch (e) {
+            throw new Error('Breach check provider is unreachable');
+        }
+        if (!response.ok) {
+            throw new Error(`Breach range lookup failed (HTTP ${response.status})`);
+        }
+        return response.text();
+    },
+
+    async sha1(password) {
+        const digest = await crypto.subtle.digest('SHA-1', new TextEncoder().encode(password));
+        return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('').toUpperCase();
+    },
+
+    // "SUFFIX:COUNT" lines into a suffix -> count map; padding rows count 0
+    parseRange(text) {
+        const counts = new Map();
+        text.split(/\r?\n/).forEach(line => {
+            const [suffix, count] = line.trim().split(':');
+            const times = parseInt(count);
+            if (suffix && times > 0) {
+                counts.set(suffix.toUpperCase(), times);
+            }
+        });
+        return counts;
+    },
+
+    lookupRange(provider, prefix) {
+        const key = `${provider.cacheKey}:${prefix}`;
+        if (!this.cache.has(key)) {
+            const range = provider.fetchRange(prefix).then(text => this.parseRange(text));
+            range.catch(() => this.cache.delete(key));
+            this.cache.set(key, range);
+        }
+        return this.cache.get(key);
+    },
+
+    // How often each password appears in the corpus (0 = not found).
+    // Ranges are fetched one at a time, and only once per prefix.
+    async check(passwords, provider = this.fromSettings()) {
+        const counts = [];
+        for (const password of passwords) {
+            const hash = await this.sha1(password);
+            const range = await this.lookupRange(provider, hash.slice(0, this.PREFIX_LENGTH));
+            counts.push(range.get(hash.slice(this.PREFIX_LENGTH)) || 0);
+        }
+        return counts;
+    }
+};
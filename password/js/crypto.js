@@ -0,0 +1,279 @@
+// ============================================================================
+// PASSWORD MANAGER - Security & Encryption Layer
+// ============================================================================
+
+// Stored vault layout version. v1 was a bare base64 blob next to an unsalted
+// SHA-256 `masterPasswordHash`; v2 is a JSON record with a KDF header.
+export const VAULT_VERSION = 2;
+
+// Encryption utilities using Web Crypto API
+export const CryptoManager = {
+    // Key derivation settings for newly created vaults
+    DEFAULT_KDF: {
+        name: 'PBKDF2',
+        hash: 'SHA-256',
+        iterations: 600000
+    },
+
+    // v1 vaults derived their key with a fixed iteration count
+    LEGACY_ITERATIONS: 100000,
+
+    // Base64 helpers (chunked so large vaults don't overflow the call stack)
+    toBase64(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    },
+
+    fromBase64(text) {
+        return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+    },
+
+    // Fresh KDF parameters with a random salt
+    createKdfParams() {
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        return { ...this.DEFAULT_KDF, salt: this.toBase64(salt) };
+    },
+
+    // Derive key from master password
+    async deriveKey(password, salt, kdf = {}) {
+        const { name = 'PBKDF2', hash = 'SHA-256', iterations = this.LEGACY_ITERATIONS } = kdf;
+        if (name !== 'PBKDF2') {
+            throw new Error(`Unsupported key derivation function: ${name}`);
+        }
+
+        const encoder = new TextEncoder();
+        const keyMaterial = await crypto.subtle.importKey(
+            'raw',
+            encoder.encode(password),
+            'PBKDF2',
+            false,
+            ['deriveBits', 'deriveKey']
+        );
+
+        return crypto.subtle.deriveKey(
+            {
+                name: 'PBKDF2',
+                salt: salt,
+                iterations: iterations,
+                hash: hash
+            },
+            keyMaterial,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    },
+
+    // Derive key using the parameters stored in a vault or backup header
+    deriveKeyFromParams(password, kdf) {
+        return this.deriveKey(password, this.fromBase64(kdf.salt), kdf);
+    },
+
+    // Random key that encrypts the vault contents; it is stored wrapped
+    // under the key derived from the master password
+    generateVaultKey() {
+        return crypto.getRandomValues(new Uint8Array(32));
+    },
+
+    // Wrap raw key bytes under a password (or recovery key) with fresh KDF
+    // parameters
+    async wrapKey(rawKey, password) {
+        const kdf = this.createKdfParams();
+        const wrappingKey = await this.deriveKeyFromParams(password, kdf);
+        return { kdf, wrappedKey: await this.encryptBytes(rawKey, wrappingKey) };
+    },
+
+    // Crockford base32: no I, L, O or U, so printed text survives being
+    // typed back in
+    BASE32_ALPHABET: '0123456789ABCDEFGHJKMNPQRSTVWXYZ',
+
+    toBase32(bytes) {
+        let chars = '';
+        let value = 0;
+        let bits = 0;
+
+        for (const byte of bytes) {
+            value = ((value << 8) | byte) & 0xfff;
+            bits += 8;
+            while (bits >= 5) {
+                chars += this.BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+                bits -= 5;
+            }
+        }
+        if (bits > 0) {
+            chars += this.BASE32_ALPHABET[(value << (5 - bits)) & 31];
+        }
+        return chars;
+    },
+
+    fromBase32(chars) {
+        const bytes = [];
+        let value = 0;
+        let bits = 0;
+
+        for (const char of chars) {
+            const index = this.BASE32_ALPHABET.indexOf(char);
+            if (index === -1) {
+                throw new Error(`Invalid character "${char}"`);
+            }
+            value = ((value << 5) | index) & 0xfff;
+            bits += 5;
+            if (bits >= 8) {
+                bytes.push((value >>> (bits - 8)) & 0xff);
+                bits -= 8;
+            }
+        }
+        return new Uint8Array(bytes);
+    },
+
+    // Upper-case base32 without separators; look-alike letters read as the
+    // digits they resemble
+    cleanBase32(text) {
+        return String(text || '')
+            .toUpperCase()
+            .replace(/[\s-]/g, '')
+            .replace(/O/g, '0')
+            .replace(/[IL]/g, '1');
+    },
+
+    // Recovery keys are 160 random bits in base32, grouped by four
+    RECOVERY_KEY_BYTES: 20,
+
+    generateRecoveryKey() {
+        return this.encodeRecoveryKey(crypto.getRandomValues(new Uint8Array(this.RECOVERY_KEY_BYTES)));
+    },
+
+    encodeRecoveryKey(bytes) {
+        return this.toBase32(bytes).match(/.{1,4}/g).join('-');
+    },
+
+    decodeRecoveryKey(text) {
+        const chars = this.cleanBase32(text);
+        const length = Math.ceil(this.RECOVERY_KEY_BYTES * 8 / 5);
+        if (chars.length !== length || [...chars].some(c => !this.BASE32_ALPHABET.includes(c))) {
+            throw new Error(`A recovery key has ${length} characters (0-9 and A-Z)`);
+        }
+        return this.fromBase32(chars);
+    },
+
+    // Canonical form of a typed recovery key: case, spaces and dashes don't
+    // matter
+    normalizeRecoveryKey(text) {
+        return this.encodeRecoveryKey(this.decodeRecoveryKey(text));
+    },
+
+    importVaultKey(rawKey) {
+        return crypto.subtle.importKey(
+            'raw',
+            rawKey,
+            { name: 'AES-GCM' },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    },
+
+    // AES-GCM encrypt raw bytes with a fresh IV
+    async encryptBytes(bytes, key) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const encrypted = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv: iv },
+            key,
+            bytes
+        );
+
+        return {
+            iv: this.toBase64(iv),
+            data: this.toBase64(new Uint8Array(encrypted))
+        };
+    },
+
+    async decryptBytes(payload, key) {
+        const decrypted = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: this.fromBase64(payload.iv) },
+            key,
+            this.fromBase64(payload.data)
+        );
+        return new Uint8Array(decrypted);
+    },
+
+    // Encrypt / decrypt JSON values with an already derived key
+    async encryptWithKey(data, key) {
+        const encoder = new TextEncoder();
+        return this.encryptBytes(encoder.encode(JSON.stringify(data)), key);
+    },
+
+    async decryptWithKey(payload, key) {
+        const decoder = new TextDecoder();
+        return JSON.parse(decoder.decode(await this.decryptBytes(payload, key)));
+    },
+
+    // Unwrap the vault key. AES-GCM authenticates the wrapped key, so this
+    // doubles as the master password check.
+    async unwrapVaultKey(wrappedKey, password, kdf) {
+        const wrappingKey = await this.deriveKeyFromParams(password, kdf);
+        try {
+            return await this.decryptBytes(wrappedKey, wrappingKey);
+        } catch (e) {
+            throw new Error('Incorrect master password');
+        }
+    },
+
+    // Encrypt data into a self-describing envelope (version + KDF header)
+    async encrypt(data, password) {
+        const kdf = this.createKdfParams();
+        const key = await this.deriveKeyFromParams(password, kdf);
+        const payload = await this.encryptWithKey(data, key);
+        return { version: VAULT_VERSION, kdf, ...payload };
+    },
+
+    // Decrypt data; accepts v2 envelopes and legacy v1 base64 blobs
+    async decrypt(encryptedData, password) {
+        if (typeof encryptedData === 'string') {
+            return this.decryptLegacy(encryptedData, password);
+        }
+        if (encryptedData.version > VAULT_VERSION) {
+            throw new Error('Data was created by a newer version of LockMaster Pro');
+        }
+
+        const key = await this.deriveKeyFromParams(password, encryptedData.kdf);
+        try {
+            return await this.decryptWithKey(encryptedData, key);
+        } catch (e) {
+            throw new Error('Decryption failed - incorrect password');
+        }
+    },
+
+    // v1 layout: base64(salt[16] + iv[12] + ciphertext)
+    async decryptLegacy(encryptedData, password) {
+        const combined = this.fromBase64(encryptedData);
+        const salt = combined.slice(0, 16);
+        const iv = combined.slice(16, 28);
+        const encrypted = combined.slice(28);
+
+        const key = await this.deriveKey(password, salt);
+
+        try {
+            const decrypted = await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: iv },
+                key,
+                encrypted
+            );
+
+            const decoder = new TextDecoder();
+            return JSON.parse(decoder.decode(decrypted));
+        } catch (e) {
+            throw new Error('Decryption failed - incorrect password');
+        }
+    },
+
+    // Unsalted SHA-256, only used to verify v1 vaults during migration
+    async hashPassword(password) {
+        const encoder = new TextEncoder();
+        const data = encoder.encode(password);
+        const hash = await crypto.subtle.digest('SHA-256', data);
+        return btoa(String.fromCharCode(...new Uint8Array(hash)));
+    }
+};
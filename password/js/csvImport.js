@@ -0,0 +1,234 @@
+// ============================================================================
+// PASSWORD MANAGER - CSV Import
+// ============================================================================
+
+import { TotpManager } from './totp.js';
+import { SiteMatcher } from './sites.js';
+
+// Importer for CSV exports from other password managers
+export const CsvImporter = {
+    // Column aliases (lowercased headers) for each supported export format.
+    // Formats are detected in this order, so more specific ones come first.
+    FORMATS: {
+        bitwarden: {
+            label: 'Bitwarden',
+            detect: headers => headers.includes('login_password'),
+            columns: {
+                name: ['name'],
+                website: ['login_uri'],
+                username: ['login_username'],
+                password: ['login_password'],
+                category: ['folder'],
+                notes: ['notes'],
+                totp: ['login_totp']
+            }
+        },
+        lastpass: {
+            label: 'LastPass',
+            detect: headers => headers.includes('grouping') || headers.includes('extra'),
+            columns: {
+                name: ['name'],
+                website: ['url'],
+                username: ['username'],
+                password: ['password'],
+                category: ['grouping'],
+                notes: ['extra'],
+                totp: ['totp']
+            }
+        },
+        keepass: {
+            label: 'KeePass / KeePassXC',
+            detect: headers => headers.includes('group') || headers.includes('login name'),
+            columns: {
+                name: ['title', 'account'],
+                website: ['url', 'web site'],
+                username: ['username', 'login name'],
+                password: ['password'],
+                category: ['group'],
+                notes: ['notes', 'comments'],
+                totp: ['totp']
+            }
+        },
+        onepassword: {
+            label: '1Password',
+            detect: headers => headers.includes('title') && (headers.includes('url') || headers.includes('website')),
+            columns: {
+                name: ['title'],
+                website: ['url', 'website'],
+                username: ['username'],
+                password: ['password'],
+                category: ['tags', 'type'],
+                notes: ['notes', 'notesplain'],
+                totp: ['otpauth']
+            }
+        },
+        chrome: {
+            label: 'Chrome',
+            detect: headers => ['name', 'url', 'username', 'password'].every(h => headers.includes(h)),
+            columns: {
+                name: ['name'],
+                website: ['url'],
+                username: ['username'],
+                password: ['password'],
+                category: [],
+                notes: ['note'],
+                totp: []
+            }
+        }
+    },
+
+    // RFC 4180 parser: quoted fields, escaped quotes and embedded newlines
+    parse(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+
+        text = text.replace(/^\uFEFF/, '');
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') {
+                    i++;
+                }
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field || row.length) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        // Drop blank lines
+        return rows.filter(r => r.some(value => value.trim() !== ''));
+    },
+
+    detectFormat(headers) {
+        return Object.keys(this.FORMATS).find(key => this.FORMATS[key].detect(headers)) || null;
+    },
+
+    // Parse a CSV export into preview rows: { line, entry, errors }
+    preview(text, format = 'auto') {
+        const [headerRow, ...rows] = this.parse(text);
+        if (!headerRow) {
+            throw new Error('The CSV file is empty');
+        }
+
+        const headers = headerRow.map(h => h.trim().toLowerCase());
+        const formatKey = format === 'auto' ? this.detectFormat(headers) : format;
+        if (!formatKey || !this.FORMATS[formatKey]) {
+            throw new Error('Unrecognised CSV format - choose the source password manager manually');
+        }
+
+        const { columns } = this.FORMATS[formatKey];
+        const indexOf = field => columns[field]
+            .map(alias => headers.indexOf(alias))
+            .find(index => index !== -1);
+
+        const indexes = {};
+        Object.keys(columns).forEach(field => {
+            indexes[field] = indexOf(field);
+        });
+
+        if (indexes.password === undefined) {
+            throw new Error(`No password column found for ${this.FORMATS[formatKey].label} format`);
+        }
+
+        return {
+            format: formatKey,
+            rows: rows.map((values, i) => {
+                const get = field => indexes[field] === undefined ? '' : (values[indexes[field]] || '').trim();
+                return this.mapRow(formatKey, get, values.length !== headers.length, i + 2);
+            })
+        };
+    },
+
+    // Map one CSV record onto the addPassword shape and validate it
+    mapRow(formatKey, get, malformed, line) {
+        const entry = {
+            name: get('name'),
+            website: get('website'),
+            username: get('username'),
+            password: get('password'),
+            category: this.normalizeCategory(formatKey, get('category')),
+            notes: get('notes'),
+            totp: get('totp')
+        };
+        const errors = [];
+
+        // Bitwarden joins several URIs with commas; keep the first one
+        if (formatKey === 'bitwarden' && entry.website.includes(',')) {
+            entry.website = entry.website.split(',')[0].trim();
+        }
+
+        // LastPass stores secure notes as pseudo-logins on http://sn
+        if (formatKey === 'lastpass' && entry.website === 'http://sn') {
+            errors.push('Secure note, not a login');
+        }
+
+        if (!entry.name) {
+            entry.name = this.nameFromWebsite(entry.website) || entry.username;
+        }
+
+        if (malformed) {
+            errors.push('Wrong number of columns');
+        }
+        if (!entry.name) {
+            errors.push('Missing name');
+        }
+        if (!entry.password) {
+            errors.push('Missing password');
+        }
+        if (entry.totp) {
+            try {
+                TotpManager.parse(entry.totp);
+            } catch (e) {
+                errors.push(e.message);
+            }
+        }
+
+        return { line, entry, errors };
+    },
+
+    normalizeCategory(formatKey, value) {
+        let category = value;
+
+        if (formatKey === 'keepass') {
+            // KeePass groups are paths below the database root
+            category = category.replace(/^Root(\/|$)/, '');
+        }
+        if (formatKey === 'onepassword') {
+            // 1Password exports several tags separated by commas or semicolons
+            category = category.split(/[,;]/)[0];
+        }
+
+        return category.trim();
+    },
+
+    nameFromWebsite(website) {
+        const url = SiteMatcher.parse(website);
+        return url ? url.hostname.replace(/^www\./, '') : '';
+    }
+};
@@ -0,0 +1,101 @@
+// ============================================================================
+// PASSWORD GENERATOR
+// ============================================================================
+
+import { EFF_WORDLIST } from './wordlist.js';
+
+// Random password / passphrase generation backed by crypto.getRandomValues
+export const PasswordGenerator = {
+    CHARSETS: {
+        uppercase: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
+        lowercase: 'abcdefghijklmnopqrstuvwxyz',
+        numbers: '0123456789',
+        symbols: '!@#$%^&*()_+-=[]{}|;:,.<>?'
+    },
+
+    // Characters that are easily confused with each other when read aloud or typed
+    AMBIGUOUS: 'O0oIl1|',
+
+    // Uniform integer in [0, max) using rejection sampling, so values are
+    // not biased towards the start of the range the way `random % max` is
+    randomInt(max) {
+        const limit = Math.floor(0x100000000 / max) * max;
+        const buffer = new Uint32Array(1);
+        do {
+            crypto.getRandomValues(buffer);
+        } while (buffer[0] >= limit);
+        return buffer[0] % max;
+    },
+
+    pick(items) {
+        return items[this.randomInt(items.length)];
+    },
+
+    // Fisher-Yates shuffle
+    shuffle(items) {
+        for (let i = items.length - 1; i > 0; i--) {
+            const j = this.randomInt(i + 1);
+            [items[i], items[j]] = [items[j], items[i]];
+        }
+        return items;
+    },
+
+    // Character classes selected by the options, after exclusions
+    buildClasses(options) {
+        const { excludeAmbiguous = false, symbolSet = this.CHARSETS.symbols } = options;
+        const sets = { ...this.CHARSETS, symbols: symbolSet };
+
+        return Object.keys(sets)
+            .filter(name => options[name])
+            .map(name => {
+                const chars = [...new Set(sets[name])]
+                    .filter(c => !/\s/.test(c))
+                    .filter(c => !excludeAmbiguous || !this.AMBIGUOUS.includes(c));
+                return { name, chars };
+            })
+            .filter(set => set.chars.length > 0);
+    },
+
+    // Password that contains at least one character from every selected class
+    generate(options) {
+        const { length = 16 } = options;
+        const classes = this.buildClasses(options);
+
+        if (classes.length === 0) {
+            throw new Error('Please select at least one character type');
+        }
+        if (length < classes.length) {
+            throw new Error(`Length must be at least ${classes.length} to include every character type`);
+        }
+
+        const charset = [...new Set(classes.flatMap(set => set.chars))];
+        const chars = classes.map(set => this.pick(set.chars));
+        while (chars.length < length) {
+            chars.push(this.pick(charset));
+        }
+
+        return this.shuffle(chars).join('');
+    },
+
+    // Diceware-style passphrase from the EFF wordlist
+    generatePassphrase(options) {
+        const { words = 5, separator = '-', capitalize = false, appendDigit = false } = options;
+
+        if (words < 1) {
+            throw new Error('Passphrase needs at least one word');
+        }
+
+        const selected = [];
+        for (let i = 0; i < words; i++) {
+            const word = this.pick(EFF_WORDLIST);
+            selected.push(capitalize ? word[0].toUpperCase() + word.slice(1) : word);
+        }
+
+        if (appendDigit) {
+            const index = this.randomInt(selected.length);
+            selected[index] += this.randomInt(10);
+        }
+
+        return selected.join(separator);
+    }
+};
@@ -0,0 +1,16 @@
+// ============================================================================
+// PASSWORD MANAGER - HTML escaping
+// ============================================================================
+
+const HTML_ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+};
+
+// Escape text for use in element content and in quoted attribute values.
+// Vault data (imported CSVs, backups, sync pulls) is untrusted here.
+export const escapeHtml = (text) =>
+    String(text ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
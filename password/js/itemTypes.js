@@ -0,0 +1,117 @@
+// ============================================================================
+// PASSWORD MANAGER - Item Types
+// ============================================================================
+
+import { TotpManager } from './totp.js';
+
+// Luhn checksum used by payment card numbers
+const luhnCheck = (number) => {
+    let sum = 0;
+    [...number].reverse().forEach((char, i) => {
+        let digit = parseInt(char);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    });
+    return sum % 10 === 0;
+};
+
+// Vault item types and their fields. Secret fields are masked on cards and
+// left out of the search index; `validate` returns an error message or ''.
+export const ITEM_TYPES = {
+    login: {
+        label: 'Login',
+        icon: 'globe',
+        fields: [
+            { key: 'website', label: 'Website' },
+            { key: 'username', label: 'Username' },
+            { key: 'password', label: 'Password', required: true, secret: true },
+            {
+                key: 'totp',
+                label: '2FA Secret',
+                secret: true,
+                validate: value => {
+                    try {
+                        TotpManager.parse(value);
+                        return '';
+                    } catch (e) {
+                        return e.message;
+                    }
+                }
+            }
+        ]
+    },
+    note: {
+        label: 'Secure Note',
+        icon: 'file-text',
+        hasNotes: false,
+        fields: [
+            { key: 'content', label: 'Note', required: true, secret: true, multiline: true, rows: 6 }
+        ]
+    },
+    card: {
+        label: 'Payment Card',
+        icon: 'credit-card',
+        fields: [
+            { key: 'cardholder', label: 'Cardholder Name', placeholder: 'Name as printed on the card' },
+            {
+                key: 'cardNumber',
+                label: 'Card Number',
+                required: true,
+                secret: true,
+                placeholder: '1234 5678 9012 3456',
+                format: value => value.replace(/\D/g, '').replace(/(\d{4})(?=\d)/g, '$1 '),
+                preview: value => `•••• ${value.replace(/\D/g, '').slice(-4)}`,
+                validate: value => {
+                    const digits = value.replace(/[\s-]/g, '');
+                    if (!/^\d{12,19}$/.test(digits)) return 'Card number must be 12-19 digits';
+                    return luhnCheck(digits) ? '' : 'Card number is not valid (checksum failed)';
+                }
+            },
+            {
+                key: 'expiry',
+                label: 'Expiry',
+                placeholder: 'MM/YY',
+                validate: value => /^(0[1-9]|1[0-2])\/(\d{2}|\d{4})$/.test(value) ? '' : 'Expiry must be MM/YY'
+            },
+            {
+                key: 'cvv',
+                label: 'Security Code',
+                secret: true,
+                placeholder: 'CVV',
+                validate: value => /^\d{3,4}$/.test(value) ? '' : 'Security code must be 3 or 4 digits'
+            },
+            { key: 'pin', label: 'PIN', secret: true, validate: value => /^\d{4,12}$/.test(value) ? '' : 'PIN must be 4-12 digits' }
+        ]
+    },
+    identity: {
+        label: 'Identity',
+        icon: 'user',
+        fields: [
+            { key: 'fullName', label: 'Full Name', required: true },
+            {
+                key: 'email',
+                label: 'Email',
+                placeholder: 'user@example.com',
+                validate: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value) ? '' : 'Email address is not valid'
+            },
+            { key: 'phone', label: 'Phone' },
+            { key: 'address', label: 'Address', multiline: true, rows: 3 },
+            { key: 'birthDate', label: 'Date of Birth', placeholder: 'YYYY-MM-DD' },
+            { key: 'idNumber', label: 'Passport / ID Number', secret: true }
+        ]
+    },
+    apikey: {
+        label: 'SSH / API Key',
+        icon: 'terminal',
+        fields: [
+            { key: 'host', label: 'Host / Service', placeholder: 'api.example.com or server hostname' },
+            { key: 'keyId', label: 'Key ID / User' },
+            { key: 'publicKey', label: 'Public Key', multiline: true, rows: 3 },
+            { key: 'secretKey', label: 'Secret / Private Key', required: true, secret: true, multiline: true, rows: 5 },
+            { key: 'passphrase', label: 'Key Passphrase', secret: true }
+        ]
+    }
+};
@@ -0,0 +1,1009 @@
+// ============================================================================
+// PASSWORD MANAGER - Data Management
+// ============================================================================
+
+import { getStorage } from './storage.js';
+import { VAULT_VERSION, CryptoManager } from './crypto.js';
+import { ITEM_TYPES } from './itemTypes.js';
+import { SiteMatcher } from './sites.js';
+import { normalizeTags, SearchQuery } from './search.js';
+import { BackupManager } from './backup.js';
+import { SyncClient } from './sync.js';
+import { BreachChecker } from './breach.js';
+import { Settings } from './settings.js';
+import { VaultRegistry } from './vaults.js';
+import { UnlockThrottle } from './throttle.js';
+import { StrengthEstimator } from './strength.js';
+
+// State and storage for one vault. It never touches the DOM: the UI layer
+// listens for its events (unlock, lock, wipe, syncstatus, remotechange).
+export class PasswordManager extends EventTarget {
+    constructor(vaultId = VaultRegistry.DEFAULT_ID, storage = getStorage()) {
+        super();
+        this.vaultId = vaultId;
+        this.storage = storage;
+        this.vaultKey = null;
+        this.vaultHeader = null;
+        this.passwords = [];
+        this.categories = ['Personal', 'Work', 'Banking', 'Social Media', 'Shopping', 'Other'];
+        this.isLocked = true;
+        this.syncState = SyncClient.createState();
+        this.breaches = {};
+        this.syncStatus = { state: 'idle', error: null, lastSync: null };
+        this.syncQueue = Promise.resolve();
+        this.syncTimer = null;
+    }
+
+    emit(type) {
+        this.dispatchEvent(new Event(type));
+    }
+
+    // Storage key inside this vault's namespace
+    storageKey(key) {
+        return VaultRegistry.storageKey(this.vaultId, key);
+    }
+
+    hasVault() {
+        return !!(this.storage.getItem(this.storageKey('encryptedData')) ||
+            this.storage.getItem(this.storageKey('masterPasswordHash')));
+    }
+
+    // Setup master password (first time)
+    async setupMasterPassword(password) {
+        if (password.length < 8) {
+            throw new Error('Master password must be at least 8 characters');
+        }
+
+        const { header, key } = await this.createVaultHeader(password);
+        this.vaultHeader = header;
+        this.vaultKey = key;
+        this.isLocked = false;
+
+        // Initialize with empty password list
+        await this.saveData();
+        this.storage.removeItem(this.storageKey('masterPasswordHash'));
+        this.emit('unlock');
+    }
+
+    // Login with master password
+    async login(password) {
+        const wait = UnlockThrottle.remainingMs(this.vaultId, this.storage);
+        if (wait > 0) {
+            throw new Error(`Too many failed attempts. Try again in ${UnlockThrottle.formatWait(wait)}`);
+        }
+
+        const record = this.readVaultRecord();
+        if (record && record.version > VAULT_VERSION) {
+            throw new Error('This vault was created by a newer version of LockMaster Pro');
+        }
+
+        try {
+            if (!record || record.version < VAULT_VERSION) {
+                await this.migrateLegacyVault(password, record);
+            } else {
+                const rawKey = await CryptoManager.unwrapVaultKey(record.wrappedKey, password, record.kdf);
+                this.vaultKey = await CryptoManager.importVaultKey(rawKey);
+                this.vaultHeader = {
+                    version: record.version,
+                    kdf: record.kdf,
+                    wrappedKey: record.wrappedKey,
+                    recovery: record.recovery
+                };
+                await this.loadData(record);
+            }
+        } catch (error) {
+            if (error.message === 'Incorrect master password') {
+                this.recordFailedUnlock();
+            }
+            throw error;
+        }
+
+        UnlockThrottle.reset(this.vaultId, this.storage);
+        this.isLocked = false;
+        this.emit('unlock');
+        this.syncInBackground();
+    }
+
+    // Count a wrong master password and apply the self-destruct policy
+    recordFailedUnlock() {
+        const { failures } = UnlockThrottle.recordFailure(this.vaultId, this.storage);
+        const limit = Settings.get('wipeAfterFailures', this.storage);
+
+        if (limit > 0 && failures >= limit) {
+            this.wipeVault();
+            throw new Error('Too many failed attempts. The vault has been erased');
+        }
+    }
+
+    // Permanently remove the stored vault
+    wipeVault() {
+        this.storage.removeItem(this.storageKey('encryptedData'));
+        this.storage.removeItem(this.storageKey('masterPasswordHash'));
+        UnlockThrottle.reset(this.vaultId, this.storage);
+        this.vaultKey = null;
+        this.vaultHeader = null;
+        this.passwords = [];
+        this.emit('wipe');
+    }
+
+    // Create a new vault key wrapped under the given master password
+    async createVaultHeader(password) {
+        const rawKey = CryptoManager.generateVaultKey();
+        const header = {
+            version: VAULT_VERSION,
+            ...await CryptoManager.wrapKey(rawKey, password)
+        };
+        return { header, rawKey, key: await CryptoManager.importVaultKey(rawKey) };
+    }
+
+    // Upgrade a v1 vault (unsalted hash + password-encrypted blob) on first unlock
+    async migrateLegacyVault(password, record) {
+        let data = {};
+
+        if (record) {
+            try {
+                data = await CryptoManager.decrypt(record.data, password);
+            } catch (e) {
+                throw new Error('Incorrect master password');
+            }
+        } else {
+            const storedHash = this.storage.getItem(this.storageKey('masterPasswordHash'));
+            const inputHash = await CryptoManager.hashPassword(password);
+            if (storedHash !== inputHash) {
+                throw new Error('Incorrect master password');
+            }
+        }
+
+        this.passwords = (data.passwords || []).map(p => ({ type: 'login', ...p }));
+        this.categories = data.categories || this.categories;
+
+        // The v2 record replaces the legacy blob in a single write
+        const { header, key } = await this.createVaultHeader(password);
+        this.vaultHeader = header;
+        this.vaultKey = key;
+        await this.saveData();
+        this.storage.removeItem(this.storageKey('masterPasswordHash'));
+    }
+
+    // Change the master password and rotate the vault key. A vault with a
+    // recovery key needs that key to wrap the new vault key again; without
+    // it the caller has to confirm revoking the recovery key.
+    async changeMasterPassword(currentPassword, newPassword, { recoveryKey = null, revokeRecovery = false } = {}) {
+        if (newPassword.length < 8) {
+            throw new Error('Master password must be at least 8 characters');
+        }
+        if (newPassword === currentPassword) {
+            throw new Error('New master password must be different from the current one');
+        }
+
+        const record = this.readVaultRecord();
+        await CryptoManager.unwrapVaultKey(record.wrappedKey, currentPassword, record.kdf);
+
+        let key = null;
+        if (record.recovery && recoveryKey) {
+            key = CryptoManager.normalizeRecoveryKey(recoveryKey);
+            await this.unwrapWithRecoveryKey(record, key);
+        } else if (record.recovery && !revokeRecovery) {
+            throw new Error('Enter the recovery key to keep it, or confirm revoking it');
+        }
+        await this.rotateVaultKey(newPassword, key);
+    }
+
+    // Wrap the vault contents in a new key under a new master password. The
+    // new record is built and checked in memory, then replaces the old one in
+    // a single storage write, so an interrupted rotation leaves either the old
+    // vault or the new one intact - never a mix of both. The recovery wrap
+    // only opens the old key: it is renewed when the recovery key is known
+    // and dropped otherwise.
+    async rotateVaultKey(newPassword, recoveryKey = null) {
+        // Change sets on the sync server are encrypted with the old vault
+        // key: merge what's there now, then replace the server history with
+        // a snapshot under the new key on the next sync
+        const syncing = !!this.getSyncConfig();
+        if (syncing) {
+            await this.sync().catch(() => {});
+        }
+        const syncState = syncing ? { ...this.syncState, resetPending: true } : this.syncState;
+
+        const { header, key, rawKey } = await this.createVaultHeader(newPassword);
+        const recovery = this.vaultHeader.recovery;
+        if (recovery && recoveryKey) {
+            header.recovery = await this.wrapRecoveryKey(rawKey, recoveryKey, recovery.createdAt);
+        }
+        const serialized = await this.buildVaultRecord(header, key, syncState);
+
+        // Make sure the new record unlocks before it replaces the old one
+        const check = JSON.parse(serialized);
+        const unwrapped = await CryptoManager.unwrapVaultKey(check.wrappedKey, newPassword, check.kdf);
+        await CryptoManager.decryptWithKey(check.payload, await CryptoManager.importVaultKey(unwrapped));
+
+        this.storage.setItem(this.storageKey('encryptedData'), serialized);
+        this.vaultHeader = header;
+        this.vaultKey = key;
+        this.syncState = syncState;
+        this.scheduleSync();
+    }
+
+    // Recovery key details (no secrets), readable while the vault is locked
+    getRecoveryInfo() {
+        const record = this.readVaultRecord();
+        return record && record.recovery ? { createdAt: record.recovery.createdAt } : null;
+    }
+
+    async wrapRecoveryKey(rawKey, recoveryKey, createdAt = new Date().toISOString()) {
+        return { ...await CryptoManager.wrapKey(rawKey, recoveryKey), createdAt };
+    }
+
+    // Raw vault key from the recovery wrap of a stored record
+    async unwrapWithRecoveryKey(record, recoveryKey) {
+        try {
+            return await CryptoManager.unwrapVaultKey(record.recovery.wrappedKey, recoveryKey, record.recovery.kdf);
+        } catch (e) {
+            throw new Error('Incorrect recovery key');
+        }
+    }
+
+    // Add a recovery key as a second wrap of the vault key, replacing any
+    // previous one. The master password is needed to get at the raw key.
+    async createRecoveryKey(masterPassword) {
+        const record = this.readVaultRecord();
+        const rawKey = await CryptoManager.unwrapVaultKey(record.wrappedKey, masterPassword, record.kdf);
+        const recoveryKey = CryptoManager.generateRecoveryKey();
+
+        this.vaultHeader = { ...this.vaultHeader, recovery: await this.wrapRecoveryKey(rawKey, recoveryKey) };
+        await this.writeVault();
+        return recoveryKey;
+    }
+
+    async removeRecoveryKey() {
+        const { recovery, ...header } = this.vaultHeader;
+        this.vaultHeader = header;
+        await this.writeVault();
+    }
+
+    // Unlock with the recovery key and set a new master password. Recovery
+    // keys are random, so failures aren't throttled or counted towards the
+    // wipe policy.
+    async recoverVault(recoveryKey, newPassword) {
+        if (newPassword.length < 8) {
+            throw new Error('Master password must be at least 8 characters');
+        }
+        const record = this.readVaultRecord();
+        if (!record || !record.recovery) {
+            throw new Error('This vault has no recovery key');
+        }
+
+        const key = CryptoManager.normalizeRecoveryKey(recoveryKey);
+        const rawKey = await this.unwrapWithRecoveryKey(record, key);
+
+        this.vaultKey = await CryptoManager.importVaultKey(rawKey);
+        this.vaultHeader = {
+            version: record.version,
+            kdf: record.kdf,
+            wrappedKey: record.wrappedKey,
+            recovery: record.recovery
+        };
+        await this.loadData(record);
+        this.isLocked = false;
+
+        try {
+            await this.rotateVaultKey(newPassword, key);
+        } catch (error) {
+            this.lock();
+            throw error;
+        }
+
+        UnlockThrottle.reset(this.vaultId, this.storage);
+        this.emit('unlock');
+        this.syncInBackground();
+    }
+
+    // Lock the vault
+    lock() {
+        this.isLocked = true;
+        this.vaultKey = null;
+        this.vaultHeader = null;
+        this.passwords = [];
+        this.syncState = SyncClient.createState();
+        this.breaches = {};
+        clearTimeout(this.syncTimer);
+        this.emit('lock');
+    }
+
+    // Read the stored vault record; v1 vaults are a bare base64 string
+    readVaultRecord() {
+        const stored = this.storage.getItem(this.storageKey('encryptedData'));
+        if (!stored) {
+            return null;
+        }
+
+        try {
+            const record = JSON.parse(stored);
+            if (record && record.version) {
+                return record;
+            }
+        } catch (e) {
+            // Not JSON - legacy layout
+        }
+        return { version: 1, data: stored };
+    }
+
+    // Serialise the vault contents under a header and vault key
+    async buildVaultRecord(header = this.vaultHeader, key = this.vaultKey, sync = this.syncState) {
+        const data = {
+            passwords: this.passwords,
+            categories: this.categories,
+            sync,
+            breaches: this.breaches
+        };
+        const payload = await CryptoManager.encryptWithKey(data, key);
+        return JSON.stringify({ ...header, payload });
+    }
+
+    // Save encrypted data locally, then push it to the sync server (if any)
+    async saveData() {
+        await this.writeVault();
+        this.scheduleSync();
+    }
+
+    async writeVault() {
+        this.storage.setItem(this.storageKey('encryptedData'), await this.buildVaultRecord());
+    }
+
+    // Load encrypted data
+    async loadData(record = this.readVaultRecord()) {
+        if (record && record.payload) {
+            let data;
+            try {
+                data = await CryptoManager.decryptWithKey(record.payload, this.vaultKey);
+            } catch (e) {
+                throw new Error('Vault data could not be decrypted');
+            }
+            // Items saved before typed items existed are logins
+            this.passwords = (data.passwords || []).map(p => ({ type: 'login', ...p }));
+            this.categories = data.categories || this.categories;
+            this.syncState = { ...SyncClient.createState(), ...data.sync };
+            this.breaches = data.breaches || {};
+        }
+    }
+
+    // Sync settings sit next to the vault record, outside the encrypted payload
+    getSyncConfig() {
+        try {
+            return JSON.parse(this.storage.getItem(this.storageKey('syncConfig')));
+        } catch (e) {
+            return null;
+        }
+    }
+
+    setSyncConfig(config) {
+        if (config) {
+            this.storage.setItem(this.storageKey('syncConfig'), JSON.stringify(config));
+        } else {
+            this.storage.removeItem(this.storageKey('syncConfig'));
+        }
+    }
+
+    // Start syncing this vault. With no sync ID a new one is generated and
+    // the whole vault is pushed as the first change set.
+    async enableSync({ url, id, token }) {
+        const config = SyncClient.normalizeConfig({ url, id: id || this.generateId(), token });
+        this.setSyncConfig(config);
+        this.syncState = SyncClient.createState();
+        await this.writeVault();
+        try {
+            await this.sync();
+        } catch (error) {
+            this.setSyncConfig(null);
+            throw error;
+        }
+        return config;
+    }
+
+    async disableSync() {
+        clearTimeout(this.syncTimer);
+        this.setSyncConfig(null);
+        this.syncState = SyncClient.createState();
+        this.setSyncStatus('idle');
+        await this.writeVault();
+    }
+
+    // Create a local vault from its copy on the sync server. It holds just the
+    // header until the first unlock pulls the entries.
+    async connectSyncedVault({ url, id, token }) {
+        const config = SyncClient.normalizeConfig({ url, id, token });
+        const remote = await SyncClient.fetchChanges(config, 0);
+        if (!remote) {
+            throw new Error('The sync server has no vault with this sync ID');
+        }
+
+        const { version, kdf, wrappedKey } = remote.header;
+        this.storage.setItem(this.storageKey('encryptedData'), JSON.stringify({ version, kdf, wrappedKey }));
+        this.setSyncConfig(config);
+    }
+
+    setSyncStatus(state, error = null) {
+        this.syncStatus = {
+            state,
+            error,
+            lastSync: state === 'idle' && !error ? new Date().toISOString() : this.syncStatus.lastSync
+        };
+        this.emit('syncstatus');
+    }
+
+    // Debounced push after local saves
+    scheduleSync(delay = SyncClient.DEBOUNCE_MS) {
+        clearTimeout(this.syncTimer);
+        if (!this.getSyncConfig()) return;
+        this.syncTimer = setTimeout(() => this.syncInBackground(), delay);
+    }
+
+    // Sync without surfacing errors; they show up in the sync status instead
+    syncInBackground() {
+        if (!this.getSyncConfig()) return;
+        this.sync().then(({ pulled }) => {
+            if (pulled > 0 && !this.isLocked) {
+                this.emit('remotechange');
+            }
+        }).catch(() => {});
+    }
+
+    // Pull and merge remote change sets, then push local changes. Runs are
+    // queued so two syncs never interleave.
+    sync() {
+        const run = this.syncQueue.catch(() => {}).then(() => this.runSync());
+        this.syncQueue = run;
+        return run;
+    }
+
+    async runSync() {
+        const config = this.getSyncConfig();
+        if (!config || this.isLocked) {
+            return { pulled: 0, pushed: 0 };
+        }
+
+        // The vault can be locked while we wait on the server; nothing may be
+        // merged into it after that
+        const key = this.vaultKey;
+        const stillOpen = () => !this.isLocked && this.vaultKey === key;
+
+        this.setSyncStatus('syncing');
+        try {
+            let pulled = 0;
+            let pushed = 0;
+
+            for (let attempt = 1; ; attempt++) {
+                const remote = await SyncClient.fetchChanges(config, this.syncState.version);
+                if (!stillOpen()) return { pulled, pushed };
+                const reset = this.syncState.resetPending;
+
+                if (reset) {
+                    // Our vault key changed: replace the server history
+                    this.syncState.version = remote ? remote.version : 0;
+                } else if (!remote) {
+                    // The server doesn't have this vault (any more): push everything
+                    this.syncState.version = 0;
+                    this.syncState.known = {};
+                } else {
+                    if (remote.header.wrappedKey.data !== this.vaultHeader.wrappedKey.data) {
+                        throw new Error('The master password was changed on another device. Disconnect sync and connect a new vault to it.');
+                    }
+                    for (const { payload } of remote.changes) {
+                        const change = await CryptoManager.decryptWithKey(payload, key);
+                        if (!stillOpen()) return { pulled, pushed };
+
+                        const data = { passwords: this.passwords, categories: this.categories, sync: this.syncState };
+                        pulled += SyncClient.merge(data, change);
+                        this.passwords = data.passwords;
+                    }
+                    this.syncState.version = remote.version;
+                }
+
+                const change = SyncClient.diff({ passwords: this.passwords, categories: this.categories, sync: this.syncState });
+                if (reset) {
+                    change.snapshot = true;
+                    change.entries = JSON.parse(JSON.stringify(this.passwords));
+                } else if (remote && SyncClient.isEmpty(change)) {
+                    break;
+                }
+
+                try {
+                    const { version, kdf, wrappedKey } = this.vaultHeader;
+                    const result = await SyncClient.pushChange(config, {
+                        baseVersion: this.syncState.version,
+                        header: { version, kdf, wrappedKey },
+                        payload: await CryptoManager.encryptWithKey(change, key),
+                        reset
+                    });
+                    if (!stillOpen()) return { pulled, pushed };
+
+                    SyncClient.markPushed(this.syncState, change, result.version);
+                    this.syncState.resetPending = false;
+                    pushed = change.entries.length + change.deleted.length;
+                    break;
+                } catch (error) {
+                    // Another device pushed in between - pull again and retry
+                    if (error.status !== 409 || attempt >= SyncClient.MAX_ATTEMPTS) throw error;
+                }
+            }
+
+            await this.writeVault();
+            this.setSyncStatus('idle');
+            return { pulled, pushed };
+        } catch (error) {
+            this.setSyncStatus('error', error.message);
+            throw error;
+        }
+    }
+
+    // Unique entry id (timestamps collide when entries are added in bulk)
+    generateId() {
+        if (crypto.randomUUID) {
+            return crypto.randomUUID();
+        }
+        return Date.now().toString(36) + CryptoManager.toBase64(crypto.getRandomValues(new Uint8Array(6)));
+    }
+
+    // Check an item against its type's required fields and validators
+    validateItem(item) {
+        const schema = ITEM_TYPES[item.type];
+        if (!schema) {
+            throw new Error(`Unknown item type: ${item.type}`);
+        }
+        if (!item.name) {
+            throw new Error('Name is required');
+        }
+
+        schema.fields.forEach(field => {
+            const value = item[field.key] || '';
+            if (field.required && !value) {
+                throw new Error(`${field.label} is required`);
+            }
+            const error = value && field.validate ? field.validate(value) : '';
+            if (error) {
+                throw new Error(error);
+            }
+        });
+    }
+
+    // Build a new entry from form or import data
+    createEntry(itemData) {
+        const type = itemData.type || 'login';
+        const entry = {
+            id: this.generateId(),
+            type,
+            name: itemData.name,
+            category: itemData.category || 'Other',
+            tags: normalizeTags(itemData.tags),
+            favorite: !!itemData.favorite,
+            notes: itemData.notes || ''
+        };
+
+        (ITEM_TYPES[type] ? ITEM_TYPES[type].fields : []).forEach(field => {
+            entry[field.key] = itemData[field.key] || '';
+        });
+        if (type === 'login') {
+            entry.totp = entry.totp.trim();
+            entry.website = SiteMatcher.normalize(entry.website);
+        }
+
+        entry.createdDate = new Date().toISOString();
+        entry.lastModified = new Date().toISOString();
+
+        this.validateItem(entry);
+        return entry;
+    }
+
+    // Add password
+    async addPassword(passwordData) {
+        const password = this.createEntry(passwordData);
+
+        this.passwords.unshift(password);
+        await this.saveData();
+        return password;
+    }
+
+    // Add several entries in one save (used by the CSV importer). Categories
+    // are matched case-insensitively and created when missing.
+    async importEntries(entries) {
+        const resolved = entries.map(entry => {
+            const name = (entry.category || '').trim();
+            const existing = this.categories.find(c => c.toLowerCase() === name.toLowerCase());
+            return { ...entry, category: existing || PasswordManager.normalizeCategory(name) || 'Other' };
+        });
+
+        // Validate every entry before touching the vault, so a bad row
+        // leaves no half-imported categories behind
+        const created = resolved.map(entry => this.createEntry(entry));
+
+        created.forEach(entry => {
+            if (!this.categories.includes(entry.category)) {
+                this.categories.push(entry.category);
+            }
+        });
+        this.passwords.unshift(...created);
+        await this.saveData();
+        return created;
+    }
+
+    // Update password. A changed password pushes the previous value onto the
+    // entry's history, which lives inside the encrypted vault payload.
+    async updatePassword(id, updates) {
+        const index = this.passwords.findIndex(p => p.id === id);
+        if (updates.tags !== undefined) {
+            updates = { ...updates, tags: normalizeTags(updates.tags) };
+        }
+        if (updates.website !== undefined) {
+            updates = { ...updates, website: SiteMatcher.normalize(updates.website) };
+        }
+        if (index !== -1) {
+            const existing = this.passwords[index];
+            this.validateItem({ ...existing, ...updates });
+
+            let history = existing.history || [];
+
+            if (updates.password !== undefined && updates.password !== existing.password) {
+                history = [
+                    { password: existing.password, changedAt: new Date().toISOString() },
+                    ...history
+                ].slice(0, this.getHistoryLimit());
+            }
+
+            this.passwords[index] = {
+                ...existing,
+                ...updates,
+                history,
+                lastModified: new Date().toISOString()
+            };
+            await this.saveData();
+        }
+    }
+
+    async toggleFavorite(id) {
+        const entry = this.passwords.find(p => p.id === id);
+        if (entry) {
+            await this.updatePassword(id, { favorite: !entry.favorite });
+        }
+    }
+
+    // Remember when an entry's password was last copied. This is local
+    // bookkeeping, so it leaves lastModified (and sync) alone.
+    async recordUsage(id) {
+        const entry = this.passwords.find(p => p.id === id);
+        if (entry) {
+            entry.lastUsed = new Date().toISOString();
+            await this.writeVault();
+        }
+    }
+
+    // Number of previous passwords kept per entry
+    getHistoryLimit() {
+        return Settings.get('historyLimit', this.storage);
+    }
+
+    async setHistoryLimit(limit) {
+        Settings.update({ historyLimit: limit }, this.storage);
+        this.passwords.forEach(p => {
+            if (p.history && p.history.length > limit) {
+                p.history = p.history.slice(0, limit);
+            }
+        });
+        await this.saveData();
+    }
+
+    // Make a previous password current again; the current one moves to history
+    async restorePasswordVersion(id, historyIndex) {
+        const entry = this.passwords.find(p => p.id === id);
+        const version = entry && entry.history && entry.history[historyIndex];
+        if (!version) {
+            throw new Error('Password version not found');
+        }
+
+        entry.history = entry.history.filter((_, i) => i !== historyIndex);
+        await this.updatePassword(id, { password: version.password });
+        return version.password;
+    }
+
+    // Delete password
+    async deletePassword(id) {
+        this.passwords = this.passwords.filter(p => p.id !== id);
+        // Entries the sync server knows about need a tombstone
+        if (this.syncState.known[id]) {
+            this.syncState.deleted[id] = new Date().toISOString();
+        }
+        await this.saveData();
+    }
+
+    // Copy or move an entry into another unlocked vault. The target is saved
+    // before the entry is removed here, so a failure can leave a duplicate
+    // but never lose the entry.
+    async transferEntry(id, target, move = false) {
+        if (!target || target === this || target.isLocked) {
+            throw new Error('Unlock the destination vault first');
+        }
+
+        const entry = this.passwords.find(p => p.id === id);
+        if (!entry) {
+            throw new Error('Entry not found');
+        }
+
+        const copy = JSON.parse(JSON.stringify(entry));
+        if (target.passwords.some(p => p.id === copy.id)) {
+            copy.id = target.generateId();
+        }
+
+        const category = target.categories.find(c => c.toLowerCase() === copy.category.toLowerCase());
+        if (category) {
+            copy.category = category;
+        } else {
+            target.categories.push(copy.category);
+        }
+
+        target.passwords.unshift(copy);
+        await target.saveData();
+
+        if (move) {
+            await this.deletePassword(id);
+        }
+        return copy;
+    }
+
+    // Category names come from prompts, CSV folders and tags: keep them
+    // plain text (no markup) and short
+    static normalizeCategory(name) {
+        return String(name || '')
+            .replace(/<[^>]*>?/g, '')
+            .replace(/[<>"'`]/g, '')
+            .replace(/\s+/g, ' ')
+            .trim()
+            .slice(0, 40);
+    }
+
+    // Add category
+    async addCategory(name) {
+        const category = PasswordManager.normalizeCategory(name);
+        if (!category) {
+            throw new Error('Category name is required');
+        }
+        if (!this.categories.includes(category)) {
+            this.categories.push(category);
+            await this.saveData();
+        }
+        return category;
+    }
+
+    // Delete category
+    async deleteCategory(name) {
+        // Move passwords to 'Other'
+        this.passwords.forEach(p => {
+            if (p.category === name) {
+                p.category = 'Other';
+            }
+        });
+        this.categories = this.categories.filter(c => c !== name);
+        await this.saveData();
+    }
+
+    // Export all entries to an encrypted backup file (JSON text)
+    async exportBackup(backupPassword) {
+        return BackupManager.createBackup({
+            passwords: this.passwords,
+            categories: this.categories
+        }, backupPassword);
+    }
+
+    // Import a backup file, merging entries by id
+    async importBackup(text, backupPassword, strategy = 'newer') {
+        const data = await BackupManager.readBackup(text, backupPassword);
+        const result = this.mergeEntries(data.passwords, strategy);
+
+        (data.categories || []).forEach(cat => {
+            if (typeof cat === 'string' && !this.categories.includes(cat)) {
+                this.categories.push(cat);
+            }
+        });
+
+        await this.saveData();
+        return result;
+    }
+
+    // Merge entries into the vault. Conflicts (same id, different content)
+    // keep the newer lastModified, keep both copies, or skip the incoming one.
+    mergeEntries(entries, strategy = 'newer') {
+        if (!BackupManager.CONFLICT_STRATEGIES.includes(strategy)) {
+            throw new Error(`Unknown conflict strategy: ${strategy}`);
+        }
+
+        const result = { added: 0, updated: 0, skipped: 0 };
+
+        entries.forEach(entry => {
+            if (!BackupManager.isValidEntry(entry)) {
+                result.skipped++;
+                return;
+            }
+
+            const now = new Date().toISOString();
+            const incoming = {
+                type: 'login',
+                website: '',
+                username: '',
+                category: 'Other',
+                notes: '',
+                createdDate: now,
+                lastModified: now,
+                ...entry
+            };
+
+            const index = this.passwords.findIndex(p => p.id === incoming.id);
+            if (index === -1) {
+                this.passwords.push(incoming);
+                result.added++;
+                return;
+            }
+
+            const existing = this.passwords[index];
+            if (BackupManager.fingerprint(existing) === BackupManager.fingerprint(incoming)) {
+                result.skipped++;
+                return;
+            }
+
+            if (strategy === 'newer' && new Date(incoming.lastModified) > new Date(existing.lastModified)) {
+                this.passwords[index] = incoming;
+                result.updated++;
+            } else if (strategy === 'both') {
+                this.passwords.push({ ...incoming, id: this.generateId() });
+                result.added++;
+            } else {
+                result.skipped++;
+            }
+        });
+
+        return result;
+    }
+
+    // Check every login password against the configured breach provider.
+    // Results are stored per entry and go stale when the entry is edited.
+    async checkBreaches(provider = BreachChecker.fromSettings(this.storage)) {
+        const logins = this.passwords.filter(p => p.type === 'login' && p.password);
+        const counts = await BreachChecker.check(logins.map(p => p.password), provider);
+        const checkedAt = new Date().toISOString();
+
+        this.breaches = {};
+        logins.forEach((entry, i) => {
+            this.breaches[entry.id] = { count: counts[i], checkedAt, lastModified: entry.lastModified };
+        });
+        await this.writeVault();
+
+        return {
+            checked: logins.length,
+            compromised: logins.filter((_, i) => counts[i] > 0).length
+        };
+    }
+
+    // Stored breach result for an entry, or null if unchecked or edited since
+    getBreachResult(entry) {
+        const result = this.breaches[entry.id];
+        return result && result.lastModified === entry.lastModified ? result : null;
+    }
+
+    // Security audit: reused, weak and stale passwords plus an overall
+    // health score (0-100, share of entries without findings)
+    auditVault(maxAgeDays = 180) {
+        const logins = this.passwords.filter(p => p.type === 'login');
+        const byPassword = new Map();
+        logins.forEach(p => {
+            if (!byPassword.has(p.password)) {
+                byPassword.set(p.password, []);
+            }
+            byPassword.get(p.password).push(p);
+        });
+
+        const reused = [...byPassword.values()].filter(group => group.length > 1);
+
+        const weak = logins
+            .map(entry => ({ entry, strength: StrengthEstimator.estimate(entry.password) }))
+            .filter(({ strength }) => StrengthEstimator.isWeak(strength));
+
+        const cutoff = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+        const stale = logins
+            .filter(p => new Date(p.lastModified).getTime() < cutoff)
+            .map(entry => ({
+                entry,
+                ageDays: Math.floor((Date.now() - new Date(entry.lastModified).getTime()) / (24 * 60 * 60 * 1000))
+            }));
+
+        const flagged = new Set([
+            ...reused.flat().map(p => p.id),
+            ...weak.map(w => w.entry.id),
+            ...stale.map(s => s.entry.id)
+        ]);
+        const score = logins.length === 0
+            ? 100
+            : Math.round(100 * (logins.length - flagged.size) / logins.length);
+
+        // Duplicates are listed but don't lower the score
+        const duplicates = this.findDuplicateAccounts();
+
+        return { reused, weak, stale, duplicates, score, total: logins.length };
+    }
+
+    // Logins for the same site (eTLD+1) and username, i.e. one account saved
+    // more than once
+    findDuplicateAccounts() {
+        const groups = new Map();
+        this.passwords
+            .filter(p => p.type === 'login' && p.username)
+            .forEach(entry => {
+                const site = SiteMatcher.siteOf(entry.website);
+                if (!site) return;
+                const username = entry.username.trim().toLowerCase();
+                const key = `${site}\n${username}`;
+                if (!groups.has(key)) {
+                    groups.set(key, { site, username, entries: [] });
+                }
+                groups.get(key).entries.push(entry);
+            });
+        return [...groups.values()].filter(group => group.entries.length > 1);
+    }
+
+    // Candidate logins for a page URL, best match first (see
+    // SiteMatcher.matchScore), then most recently used. Secrets are left
+    // out; a caller fetches the chosen entry by id.
+    findMatchingEntries(pageUrl) {
+        return this.passwords
+            .filter(p => p.type === 'login')
+            .map(entry => ({ entry, score: SiteMatcher.matchScore(entry.website, pageUrl) }))
+            .filter(({ score }) => score > 0)
+            .sort((a, b) => b.score - a.score || (b.entry.lastUsed || '').localeCompare(a.entry.lastUsed || ''))
+            .map(({ entry, score }) => ({
+                id: entry.id,
+                name: entry.name,
+                username: entry.username,
+                website: entry.website,
+                site: SiteMatcher.siteOf(entry.website),
+                score
+            }));
+    }
+
+    // Split already sorted items into consecutive runs per site
+    groupBySite(items) {
+        const groups = new Map();
+        items.forEach(item => {
+            const site = SiteMatcher.siteOf(item.website);
+            if (!groups.has(site)) {
+                groups.set(site, []);
+            }
+            groups.get(site).push(item);
+        });
+        return [...groups].map(([site, entries]) => ({ site, entries }));
+    }
+
+    // Search passwords
+    searchPasswords(query, category = null, sort = Settings.get('sortOrder', this.storage)) {
+        let results = this.passwords;
+
+        if (category && category !== 'All') {
+            results = results.filter(p => p.category === category);
+        }
+
+        if (query) {
+            const terms = SearchQuery.parse(query);
+            results = results.filter(p => SearchQuery.matches(p, terms, this.getSearchText(p)));
+        }
+
+        return SearchQuery.sort(results, sort);
+    }
+
+    // Lowercased text an item is searchable by: name, category, type, tags
+    // and every non-secret field of its type
+    getSearchText(item) {
+        const schema = ITEM_TYPES[item.type] || ITEM_TYPES.login;
+        return [
+            item.name,
+            item.category,
+            schema.label,
+            ...(item.tags || []),
+            ...schema.fields.filter(f => !f.secret).map(f => item[f.key])
+        ].filter(Boolean).join('\n').toLowerCase();
+    }
+}
@@ -0,0 +1,88 @@
+// ============================================================================
+// PASSWORD MANAGER - Search
+// ============================================================================
+
+import { ITEM_TYPES } from './itemTypes.js';
+import { SiteMatcher } from './sites.js';
+
+// Tags are trimmed, lose a leading '#' and are de-duplicated case-insensitively
+export const normalizeTags = (tags) => {
+    const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+    const seen = new Set();
+    return list
+        .map(tag => String(tag).trim().replace(/^#/, '').trim())
+        .filter(tag => {
+            const key = tag.toLowerCase();
+            if (!tag || seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+};
+
+// Query syntax for the vault search box. All space-separated terms must
+// match; `field:value` narrows a term to one field, a leading '-' negates it
+// and double quotes keep spaces in a value:
+//   tag:work site:github.com user:alice -category:Banking is:favorite "home wifi"
+export const SearchQuery = {
+    FIELDS: {
+        tag: (item, value) => (item.tags || []).some(t => t.toLowerCase() === value),
+        site: (item, value) => (item.website || '').toLowerCase().includes(value),
+        user: (item, value) => (item.username || '').toLowerCase().includes(value),
+        category: (item, value) => (item.category || '').toLowerCase() === value,
+        type: (item, value) => item.type === value || (ITEM_TYPES[item.type]?.label || '').toLowerCase() === value,
+        name: (item, value) => (item.name || '').toLowerCase().includes(value),
+        is: (item, value) => value === 'favorite' && !!item.favorite
+    },
+
+    ALIASES: { tags: 'tag', url: 'site', website: 'site', username: 'user', cat: 'category' },
+
+    // Entry orderings; favorites are always pinned above the rest
+    SORTS: {
+        name: (a, b) => a.name.localeCompare(b.name),
+        site: (a, b) => (SiteMatcher.siteOf(a.website) || '\uffff').localeCompare(SiteMatcher.siteOf(b.website) || '\uffff'),
+        modified: (a, b) => (b.lastModified || '').localeCompare(a.lastModified || ''),
+        used: (a, b) => (b.lastUsed || '').localeCompare(a.lastUsed || '')
+    },
+
+    parse(query) {
+        const terms = [];
+        const pattern = /(-?)(?:([a-z]+):)?(?:"([^"]*)"|(\S+))/gi;
+        let match;
+
+        while ((match = pattern.exec(query || '')) !== null) {
+            const [, negate, rawField, quoted, bare] = match;
+            let field = rawField ? rawField.toLowerCase() : null;
+            field = this.ALIASES[field] || field;
+            let value = (quoted !== undefined ? quoted : bare).toLowerCase();
+
+            // Unknown fields are searched for as literal text
+            if (field && !this.FIELDS[field]) {
+                value = `${rawField.toLowerCase()}:${value}`;
+                field = null;
+            }
+            if (value) {
+                terms.push({ field, value, negate: negate === '-' });
+            }
+        }
+        return terms;
+    },
+
+    // Free-text terms are matched against the item's lowercased search text
+    matches(item, terms, searchText) {
+        return terms.every(term => {
+            const hit = term.field
+                ? this.FIELDS[term.field](item, term.value)
+                : searchText.includes(term.value);
+            return hit !== term.negate;
+        });
+    },
+
+    sort(items, order = 'modified') {
+        const compare = this.SORTS[order] || this.SORTS.modified;
+        return [...items].sort((a, b) =>
+            (b.favorite ? 1 : 0) - (a.favorite ? 1 : 0) ||
+            compare(a, b) ||
+            a.name.localeCompare(b.name)
+        );
+    }
+};
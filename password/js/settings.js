@@ -0,0 +1,46 @@
+// ============================================================================
+// PASSWORD MANAGER - Settings
+// ============================================================================
+
+import { getStorage } from './storage.js';
+
+// User preferences. They are needed before unlock (auto-lock policy), so
+// they live unencrypted in the storage backend and must never contain secrets.
+// Every method reads the shared backend unless a vault passes its own.
+export const Settings = {
+    STORAGE_KEY: 'lockmasterSettings',
+
+    DEFAULTS: {
+        lockTimeoutMinutes: 15,     // 0 = never
+        lockOnHide: false,
+        lockOnBlur: false,
+        clipboardClearSeconds: 30,  // 0 = never
+        wipeAfterFailures: 0,       // 0 = never erase the vault
+        historyLimit: 10,
+        auditMaxAgeDays: 180,
+        sortOrder: 'modified',
+        showFavicons: false,        // opt-in: icons come from a third-party service
+        breachProvider: 'hibp',
+        breachRangeUrl: 'ranges'
+    },
+
+    getAll(storage = getStorage()) {
+        let stored = {};
+        try {
+            stored = JSON.parse(storage.getItem(this.STORAGE_KEY)) || {};
+        } catch (e) {
+            // Corrupted settings fall back to the defaults
+        }
+        return { ...this.DEFAULTS, ...stored };
+    },
+
+    get(key, storage = getStorage()) {
+        return this.getAll(storage)[key];
+    },
+
+    update(changes, storage = getStorage()) {
+        const settings = { ...this.getAll(storage), ...changes };
+        storage.setItem(this.STORAGE_KEY, JSON.stringify(settings));
+        return settings;
+    }
+};
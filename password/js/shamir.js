@@ -0,0 +1,186 @@
+// ============================================================================
+// PASSWORD MANAGER - Shamir Secret Sharing
+// ============================================================================
+
+import { CryptoManager } from './crypto.js';
+
+// Splits a secret into N shares so that any K of them rebuild it and fewer
+// reveal nothing. Each byte is the constant term of a random polynomial of
+// degree K-1 over GF(256); a share is that polynomial evaluated at x.
+export const Shamir = {
+    MAX_SHARES: 255,
+
+    // GF(2^8) with the AES polynomial x^8 + x^4 + x^3 + x + 1, via log and
+    // exp tables over the generator 3. EXP is doubled to skip a modulo.
+    EXP: new Uint8Array(510),
+    LOG: new Uint8Array(256),
+
+    buildTables() {
+        let value = 1;
+        for (let i = 0; i < 255; i++) {
+            this.EXP[i] = this.EXP[i + 255] = value;
+            this.LOG[value] = i;
+            const doubled = (value << 1) ^ (value & 0x80 ? 0x11b : 0);
+            value = (doubled ^ value) & 0xff;
+        }
+    },
+
+    mul(a, b) {
+        return a && b ? this.EXP[this.LOG[a] + this.LOG[b]] : 0;
+    },
+
+    div(a, b) {
+        if (!b) throw new Error('Division by zero');
+        return a ? this.EXP[this.LOG[a] + 255 - this.LOG[b]] : 0;
+    },
+
+    validate(count, threshold) {
+        if (!Number.isInteger(threshold) || threshold < 2) {
+            throw new Error('At least 2 shares must be needed to recover');
+        }
+        if (!Number.isInteger(count) || count < threshold || count > this.MAX_SHARES) {
+            throw new Error(`Share count must be between ${threshold} and ${this.MAX_SHARES}`);
+        }
+    },
+
+    // Returns [{ x, bytes }] for x = 1..count
+    split(secret, count, threshold) {
+        this.validate(count, threshold);
+
+        const coefficients = crypto.getRandomValues(new Uint8Array(secret.length * (threshold - 1)));
+        const shares = [];
+
+        for (let x = 1; x <= count; x++) {
+            const bytes = new Uint8Array(secret.length);
+            secret.forEach((byte, i) => {
+                // Horner's rule, highest coefficient first
+                let y = 0;
+                for (let c = threshold - 2; c >= 0; c--) {
+                    y = this.mul(y, x) ^ coefficients[i * (threshold - 1) + c];
+                }
+                bytes[i] = this.mul(y, x) ^ byte;
+            });
+            shares.push({ x, bytes });
+        }
+        return shares;
+    },
+
+    // Lagrange interpolation at x = 0. Given fewer shares than the threshold
+    // this still returns bytes - just not the secret.
+    combine(shares) {
+        if (shares.length < 2) {
+            throw new Error('At least 2 shares are needed');
+        }
+        const xs = shares.map(share => share.x);
+        if (xs.some(x => !Number.isInteger(x) || x < 1 || x > 255) || new Set(xs).size !== xs.length) {
+            throw new Error('Shares must have distinct numbers between 1 and 255');
+        }
+        const length = shares[0].bytes.length;
+        if (shares.some(share => share.bytes.length !== length)) {
+            throw new Error('Shares have different lengths');
+        }
+
+        // Basis weights only depend on the x values
+        const weights = xs.map((xj, j) => xs.reduce((weight, xm, m) =>
+            m === j ? weight : this.mul(weight, this.div(xm, xm ^ xj)), 1));
+
+        const secret = new Uint8Array(length);
+        for (let i = 0; i < length; i++) {
+            secret[i] = shares.reduce((sum, share, j) => sum ^ this.mul(share.bytes[i], weights[j]), 0);
+        }
+        return secret;
+    }
+};
+
+Shamir.buildTables();
+
+// Recovery key shares as text: LMS1-<set>-<threshold>-<number>-<data>-<check>
+// The set id ties shares from one split together, the check catches typos.
+export const RecoveryShares = {
+    PREFIX: 'LMS1',
+    SET_ID_LENGTH: 4,
+
+    split(recoveryKey, count, threshold) {
+        const secret = CryptoManager.decodeRecoveryKey(recoveryKey);
+        const alphabet = CryptoManager.BASE32_ALPHABET;
+        const setId = Array.from(crypto.getRandomValues(new Uint8Array(this.SET_ID_LENGTH)),
+            byte => alphabet[byte & 31]).join('');
+
+        return Shamir.split(secret, count, threshold).map(share =>
+            this.format({ setId, threshold, x: share.x, bytes: share.bytes }));
+    },
+
+    format({ setId, threshold, x, bytes }) {
+        const data = CryptoManager.toBase32(bytes);
+        const groups = data.match(/.{1,4}/g).join('-');
+        return [this.PREFIX, setId, threshold, x, groups, this.checksum(setId, threshold, x, data)].join('-');
+    },
+
+    parse(text) {
+        const parts = String(text || '').trim().toUpperCase().split(/[\s-]+/).filter(Boolean);
+        if (parts.length < 6 || parts[0] !== this.PREFIX) {
+            throw new Error('Not a LockMaster recovery share');
+        }
+
+        const setId = CryptoManager.cleanBase32(parts[1]);
+        const threshold = parseInt(parts[2], 10);
+        const x = parseInt(parts[3], 10);
+        const data = CryptoManager.cleanBase32(parts.slice(4, -1).join(''));
+        const check = CryptoManager.cleanBase32(parts[parts.length - 1]);
+
+        if (check !== this.checksum(setId, threshold, x, data)) {
+            throw new Error('Share has a typo (checksum does not match)');
+        }
+        return { setId, threshold, x, bytes: CryptoManager.fromBase32(data) };
+    },
+
+    // Rebuilds the recovery key from share texts. Every share must come from
+    // the same split and there must be at least as many as its threshold.
+    combine(texts) {
+        const shares = texts.map((text, i) => {
+            try {
+                return this.parse(text);
+            } catch (error) {
+                throw new Error(`Share ${i + 1}: ${error.message}`);
+            }
+        });
+        if (shares.length === 0) {
+            throw new Error('Enter the recovery shares');
+        }
+
+        const { setId, threshold } = shares[0];
+        if (shares.some(share => share.setId !== setId || share.threshold !== threshold)) {
+            throw new Error('These shares come from different recovery kits');
+        }
+        if (new Set(shares.map(share => share.x)).size !== shares.length) {
+            throw new Error('The same share was entered twice');
+        }
+        if (shares.length < threshold) {
+            throw new Error(`${threshold} shares are needed, ${shares.length} entered`);
+        }
+
+        return CryptoManager.encodeRecoveryKey(Shamir.combine(shares.slice(0, threshold)));
+    },
+
+    // A recovery key typed as itself, or as enough of its shares one per line
+    keyFromText(text) {
+        const lines = String(text || '').split('\n').map(line => line.trim()).filter(Boolean);
+        if (lines.length > 0 && lines[0].toUpperCase().startsWith(this.PREFIX)) {
+            return this.combine(lines);
+        }
+        return lines.join('');
+    },
+
+    // CRC-8 (polynomial 0x07) over the share fields, as two base32 characters
+    checksum(setId, threshold, x, data) {
+        let crc = 0;
+        for (const char of `${setId}${threshold}${x}${data}`) {
+            crc ^= char.charCodeAt(0);
+            for (let bit = 0; bit < 8; bit++) {
+                crc = crc & 0x80 ? ((crc << 1) ^ 0x07) & 0xff : (crc << 1) & 0xff;
+            }
+        }
+        const alphabet = CryptoManager.BASE32_ALPHABET;
+        return alphabet[crc >> 5] + alphabet[crc & 31];
+    }
+};
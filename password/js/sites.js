@@ -0,0 +1,88 @@
+// ============================================================================
+// PASSWORD MANAGER - Sites
+// ============================================================================
+
+// Website handling: normalising the free-text `website` field, grouping
+// entries by registrable domain (eTLD+1) and matching them against a page URL
+export const SiteMatcher = {
+    // Public suffixes with more than one label. This is not the full Public
+    // Suffix List, just the common country and hosting suffixes.
+    MULTI_LABEL_SUFFIXES: new Set([
+        'co.uk', 'org.uk', 'ac.uk', 'gov.uk', 'me.uk', 'ltd.uk', 'plc.uk',
+        'com.au', 'net.au', 'org.au', 'edu.au', 'gov.au', 'co.nz', 'org.nz',
+        'co.jp', 'ne.jp', 'or.jp', 'co.kr', 'co.in', 'co.za', 'com.br', 'com.mx',
+        'com.ar', 'com.cn', 'com.tr', 'com.sg', 'com.hk', 'com.tw',
+        'github.io', 'gitlab.io', 'herokuapp.com', 'netlify.app', 'vercel.app',
+        'pages.dev', 'blogspot.com', 'appspot.com', 'azurewebsites.net', 'cloudfront.net'
+    ]),
+
+    FAVICON_URL: 'https://icons.duckduckgo.com/ip3/{site}.ico',
+
+    // Parse free text into an http(s) URL, assuming https:// for bare hosts.
+    // Returns null for anything that isn't a web address.
+    parse(value) {
+        if (value instanceof URL) return value;
+        const text = String(value || '').trim();
+        if (!text) return null;
+
+        try {
+            const url = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(text) ? text : `https://${text}`);
+            const host = url.hostname;
+            const isHost = host.includes('.') || host === 'localhost' || host.startsWith('[');
+            return ['http:', 'https:'].includes(url.protocol) && isHost ? url : null;
+        } catch (e) {
+            return null;
+        }
+    },
+
+    // Canonical form for storage: lowercase host, no default port, fragment
+    // or bare trailing slash. Text that isn't a URL is only trimmed.
+    normalize(value) {
+        const url = this.parse(value);
+        if (!url) return String(value || '').trim();
+        const path = url.pathname === '/' && !url.search ? '' : `${url.pathname}${url.search}`;
+        return `${url.origin}${path}`;
+    },
+
+    isIpAddress(hostname) {
+        return /^\d+\.\d+\.\d+\.\d+$/.test(hostname) || hostname.startsWith('[');
+    },
+
+    // eTLD+1, e.g. accounts.google.co.uk -> google.co.uk
+    registrableDomain(hostname) {
+        const host = hostname.toLowerCase().replace(/\.$/, '');
+        const labels = host.split('.');
+        if (this.isIpAddress(host) || labels.length <= 2) {
+            return host;
+        }
+        const suffixLength = this.MULTI_LABEL_SUFFIXES.has(labels.slice(-2).join('.')) ? 3 : 2;
+        return labels.slice(-suffixLength).join('.');
+    },
+
+    // Grouping key for an entry's website, or null when it has none
+    siteOf(value) {
+        const url = this.parse(value);
+        return url ? this.registrableDomain(url.hostname) : null;
+    },
+
+    faviconUrl(site) {
+        return this.FAVICON_URL.replace('{site}', encodeURIComponent(site));
+    },
+
+    // How well a saved website fits a page: 3 same host and path prefix,
+    // 2 same host, 1 same site (eTLD+1), 0 no match. Credentials saved for
+    // https are never offered to a plain http page.
+    matchScore(website, pageUrl) {
+        const saved = this.parse(website);
+        const page = this.parse(pageUrl);
+        if (!saved || !page) return 0;
+        if (saved.protocol === 'https:' && page.protocol === 'http:') return 0;
+
+        const host = (url) => url.hostname.replace(/^www\./, '');
+        if (host(saved) === host(page) && saved.port === page.port) {
+            const hasPath = saved.pathname !== '/';
+            return hasPath && page.pathname.startsWith(saved.pathname) ? 3 : 2;
+        }
+        return this.registrableDomain(saved.hostname) === this.registrableDomain(page.hostname) ? 1 : 0;
+    }
+};
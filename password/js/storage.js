@@ -0,0 +1,42 @@
+// ============================================================================
+// PASSWORD MANAGER - Storage
+// ============================================================================
+
+// Everything LockMaster persists goes through a backend with the Web Storage
+// interface (getItem / setItem / removeItem). The browser uses localStorage;
+// tests and other hosts inject their own with setStorage().
+
+// In-memory backend, e.g. for tests
+export class MemoryStorage {
+    constructor(entries = {}) {
+        this.items = new Map(Object.entries(entries));
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+
+    clear() {
+        this.items.clear();
+    }
+}
+
+let backend = null;
+
+// Default backend for settings, the vault registry, unlock throttling and
+// any vault that isn't given one explicitly
+export function getStorage() {
+    return backend || globalThis.localStorage;
+}
+
+export function setStorage(storage) {
+    backend = storage;
+}
@@ -0,0 +1,610 @@
+// ============================================================================
+// PASSWORD STRENGTH
+// ============================================================================
+
+import { EFF_WORDLIST } from './wordlist.js';
+
+// Pattern-based strength estimator in the spirit of zxcvbn. The password is
+// split into the cheapest run of guessable patterns (dictionary words,
+// keyboard walks, repeats, sequences, dates) and brute-forced gaps; the total
+// guess count gives the entropy and crack time.
+export const StrengthEstimator = {
+    // Frequently used passwords and password base words, most common first
+    COMMON_PASSWORDS: [
+        'password', 'qwerty', 'letmein', 'dragon', 'monkey', 'football', 'iloveyou', 'admin',
+        'welcome', 'login', 'master', 'sunshine', 'princess', 'shadow', 'superman', 'trustno1',
+        'hello', 'freedom', 'whatever', 'michael', 'baseball', 'jennifer', 'jordan', 'hunter',
+        'ranger', 'buster', 'soccer', 'harley', 'batman', 'andrew', 'tigger', 'charlie',
+        'robert', 'thomas', 'hockey', 'daniel', 'starwars', 'computer', 'michelle', 'jessica',
+        'pepper', 'ashley', 'bailey', 'mustang', 'access', 'flower', 'cheese', 'summer',
+        'winter', 'spring', 'autumn', 'secret', 'lovely', 'ninja', 'azerty', 'loveme',
+        'donald', 'google', 'samsung', 'apple', 'orange', 'banana', 'chocolate', 'cookie',
+        'pokemon', 'naruto', 'matrix', 'merlin', 'maggie', 'ginger', 'hammer', 'silver',
+        'golden', 'diamond', 'joshua', 'matthew', 'anthony', 'william', 'amanda', 'nicole',
+        'hannah', 'family', 'friends', 'forever', 'angel', 'killer', 'guest', 'root',
+        'changeme', 'default', 'test', 'pass', 'passwd', 'qazwsx', 'zaq12wsx', 'asdf',
+        'abc', 'love', 'baby', 'liverpool', 'arsenal', 'chelsea', 'yankees', 'cowboys',
+        'eagles', 'tiger', 'lucky', 'blue', 'purple', 'jesus', 'heaven', 'corvette',
+        'ferrari', 'mercedes', 'porsche', 'internet', 'server', 'system', 'user', 'office',
+        'company', 'january', 'february', 'march', 'april', 'june', 'july', 'august',
+        'september', 'october', 'november', 'december', 'monday', 'friday', 'sunday'
+    ],
+
+    // Common character substitutions ("l33t speak")
+    L33T_TABLE: {
+        a: ['4', '@'],
+        b: ['8'],
+        e: ['3'],
+        g: ['6', '9'],
+        i: ['1', '!', '|'],
+        l: ['1', '|', '7'],
+        o: ['0'],
+        s: ['$', '5'],
+        t: ['+', '7'],
+        z: ['2']
+    },
+
+    // US QWERTY layout, each key as "unshifted + shifted"
+    KEYBOARD_ROWS: [
+        ['`~', '1!', '2@', '3#', '4$', '5%', '6^', '7&', '8*', '9(', '0)', '-_', '=+'],
+        ['qQ', 'wW', 'eE', 'rR', 'tT', 'yY', 'uU', 'iI', 'oO', 'pP', '[{', ']}', '\\|'],
+        ['aA', 'sS', 'dD', 'fF', 'gG', 'hH', 'jJ', 'kK', 'lL', ';:', '\'"'],
+        ['zZ', 'xX', 'cC', 'vV', 'bB', 'nN', 'mM', ',<', '.>', '/?']
+    ],
+
+    // How far each row is shifted right relative to the row above it, in keys
+    KEYBOARD_ROW_OFFSETS: [0, 1, 0, 0],
+
+    KEYBOARD_STARTING_POSITIONS: 94,
+    KEYBOARD_AVERAGE_DEGREE: 4.6,
+
+    // Guesses for which separator joins a passphrase's words (space, dash,
+    // underscore, dot, ...). The separator is one choice for the whole
+    // phrase, not a brute-forced character between each pair of words.
+    PASSPHRASE_SEPARATOR_GUESSES: 8,
+
+    // Patterns cheaper than this are still not free to guess
+    MIN_MATCH_GUESSES: 50,
+
+    // Only the first MAX_LENGTH characters are analysed
+    MAX_LENGTH: 100,
+
+    // Offline attack against a slow password hash
+    GUESSES_PER_SECOND: 1e4,
+
+    // Levels at or below this index count as weak
+    WEAK_LEVEL: 1,
+
+    // Strength levels by entropy (bits)
+    LEVELS: [
+        { minBits: 0, class: 'bg-red-500', text: 'Very Weak', width: 'w-1/6' },
+        { minBits: 28, class: 'bg-red-500', text: 'Weak', width: 'w-2/6' },
+        { minBits: 40, class: 'bg-orange-500', text: 'Fair', width: 'w-3/6' },
+        { minBits: 55, class: 'bg-yellow-500', text: 'Good', width: 'w-4/6' },
+        { minBits: 70, class: 'bg-green-500', text: 'Strong', width: 'w-5/6' },
+        { minBits: 90, class: 'bg-green-600', text: 'Very Strong', width: 'w-full' }
+    ],
+
+    WARNINGS: {
+        common: 'This is similar to a commonly used password',
+        dictionary: 'Dictionary words are easy to guess on their own',
+        l33t: 'Predictable substitutions like "@" for "a" don\'t help much',
+        capitalization: 'Capitalizing the first letter doesn\'t help much',
+        spatial: 'Keyboard patterns like "qwerty" are easy to guess',
+        repeat: 'Repeats like "aaa" or "abcabc" are easy to guess',
+        sequence: 'Sequences like "abc" or "6543" are easy to guess',
+        date: 'Dates and years are easy to guess',
+        passphrase: 'Add another word or two to make this passphrase harder to guess',
+        short: 'Short passwords are easy to brute force'
+    },
+
+    // word -> guess rank, built on first use
+    getDictionary() {
+        if (!this.dictionary) {
+            this.dictionary = new Map();
+            this.maxWordLength = 0;
+            this.COMMON_PASSWORDS.forEach((word, i) => this.dictionary.set(word, i + 1));
+            EFF_WORDLIST.forEach(word => {
+                if (!this.dictionary.has(word)) {
+                    this.dictionary.set(word, EFF_WORDLIST.length);
+                }
+            });
+            this.dictionary.forEach((rank, word) => {
+                this.maxWordLength = Math.max(this.maxWordLength, word.length);
+            });
+        }
+        return this.dictionary;
+    },
+
+    // char -> { row, col, shifted }, built on first use
+    getKeyboard() {
+        if (!this.keyboard) {
+            this.keyboard = new Map();
+            this.KEYBOARD_ROWS.forEach((keys, row) => {
+                keys.forEach((key, col) => {
+                    this.keyboard.set(key[0], { row, col, shifted: false });
+                    this.keyboard.set(key[1], { row, col, shifted: true });
+                });
+            });
+        }
+        return this.keyboard;
+    },
+
+    log2(n) {
+        return Math.log(n) / Math.LN2;
+    },
+
+    binomial(n, k) {
+        if (k > n) return 0;
+        let result = 1;
+        for (let i = 1; i <= k; i++) {
+            result = result * (n - k + i) / i;
+        }
+        return result;
+    },
+
+    // Size of the alphabet a brute-force attacker would need for this password
+    cardinality(password) {
+        let size = 0;
+        if (/[a-z]/.test(password)) size += 26;
+        if (/[A-Z]/.test(password)) size += 26;
+        if (/[0-9]/.test(password)) size += 10;
+        if (/[ -\/:-@\[-`{-~]/.test(password)) size += 33;
+        if (/[^\x20-\x7E]/.test(password)) size += 100;
+        return Math.max(size, 10);
+    },
+
+    // --- Pattern matchers. Each returns { pattern, i, j, token, guesses, ... } ---
+
+    // Extra guesses needed to cover upper/lower case variations of a word
+    uppercaseVariations(token) {
+        if (!/[A-Z]/.test(token) || token.toLowerCase() === token) return 1;
+        if (/^[A-Z][^A-Z]+$/.test(token) || /^[^A-Z]+[A-Z]$/.test(token) || /^[^a-z]+$/.test(token)) {
+            return 2;
+        }
+
+        const upper = (token.match(/[A-Z]/g) || []).length;
+        const lower = (token.match(/[a-z]/g) || []).length;
+        let variations = 0;
+        for (let i = 1; i <= Math.min(upper, lower); i++) {
+            variations += this.binomial(upper + lower, i);
+        }
+        return variations;
+    },
+
+    // Possible un-substituted spellings of a token (capped to keep it cheap)
+    unl33t(token) {
+        let variants = [{ word: '', subs: 0 }];
+
+        for (const char of token) {
+            const originals = Object.keys(this.L33T_TABLE).filter(letter => this.L33T_TABLE[letter].includes(char));
+            const options = [{ char, sub: 0 }, ...originals.map(letter => ({ char: letter, sub: 1 }))];
+            variants = variants
+                .flatMap(v => options.map(o => ({ word: v.word + o.char, subs: v.subs + o.sub })))
+                .slice(0, 32);
+        }
+
+        return variants.filter(v => v.subs > 0);
+    },
+
+    dictionaryMatches(password) {
+        const dictionary = this.getDictionary();
+        const lower = password.toLowerCase();
+        const matches = [];
+
+        for (let i = 0; i < lower.length; i++) {
+            for (let j = i + 2; j < Math.min(lower.length, i + this.maxWordLength); j++) {
+                const token = password.slice(i, j + 1);
+                const word = lower.slice(i, j + 1);
+                const upperVariations = this.uppercaseVariations(token);
+
+                if (dictionary.has(word)) {
+                    const rank = dictionary.get(word);
+                    matches.push({
+                        pattern: 'dictionary', i, j, token, word, rank,
+                        common: rank <= this.COMMON_PASSWORDS.length,
+                        capitalized: upperVariations > 1,
+                        guesses: rank * upperVariations
+                    });
+                }
+
+                this.unl33t(word).forEach(({ word: plain, subs }) => {
+                    if (!dictionary.has(plain)) return;
+                    const rank = dictionary.get(plain);
+                    matches.push({
+                        pattern: 'dictionary', i, j, token, word: plain, rank, l33t: true,
+                        common: rank <= this.COMMON_PASSWORDS.length,
+                        capitalized: upperVariations > 1,
+                        guesses: rank * upperVariations * Math.pow(2, subs)
+                    });
+                });
+            }
+        }
+
+        return matches;
+    },
+
+    // Direction from one key to the next, or -1 when they are not adjacent
+    keyDirection(from, to) {
+        const offsets = this.KEYBOARD_ROW_OFFSETS;
+        const dr = to.row - from.row;
+
+        if (dr === 0) {
+            if (to.col === from.col - 1) return 0; // left
+            if (to.col === from.col + 1) return 1; // right
+        } else if (dr === -1) {
+            const base = from.col + offsets[from.row];
+            if (to.col === base) return 2; // up-left
+            if (to.col === base + 1) return 3; // up-right
+        } else if (dr === 1) {
+            const base = from.col - offsets[to.row];
+            if (to.col === base - 1) return 4; // down-left
+            if (to.col === base) return 5; // down-right
+        }
+        return -1;
+    },
+
+    spatialMatches(password) {
+        const keyboard = this.getKeyboard();
+        const matches = [];
+        let i = 0;
+
+        while (i < password.length - 2) {
+            let j = i;
+            let turns = 0;
+            let lastDirection = null;
+            let shifted = keyboard.get(password[i])?.shifted ? 1 : 0;
+
+            while (j + 1 < password.length) {
+                const from = keyboard.get(password[j]);
+                const to = keyboard.get(password[j + 1]);
+                const direction = from && to ? this.keyDirection(from, to) : -1;
+                if (direction === -1) break;
+
+                if (direction !== lastDirection) turns++;
+                lastDirection = direction;
+                if (to.shifted) shifted++;
+                j++;
+            }
+
+            const length = j - i + 1;
+            if (length >= 3) {
+                const S = this.KEYBOARD_STARTING_POSITIONS;
+                const D = this.KEYBOARD_AVERAGE_DEGREE;
+                let guesses = 0;
+                for (let l = 2; l <= length; l++) {
+                    for (let t = 1; t <= Math.min(turns, l - 1); t++) {
+                        guesses += this.binomial(l - 1, t - 1) * S * Math.pow(D, t);
+                    }
+                }
+
+                const unshifted = length - shifted;
+                if (shifted > 0 && unshifted === 0) {
+                    guesses *= 2;
+                } else if (shifted > 0) {
+                    let variations = 0;
+                    for (let k = 1; k <= Math.min(shifted, unshifted); k++) {
+                        variations += this.binomial(length, k);
+                    }
+                    guesses *= variations;
+                }
+
+                matches.push({ pattern: 'spatial', i, j, token: password.slice(i, j + 1), turns, guesses });
+                i = j;
+            } else {
+                i++;
+            }
+        }
+
+        return matches;
+    },
+
+    repeatMatches(password) {
+        const matches = [];
+        let i = 0;
+
+        while (i < password.length - 1) {
+            const match = /^(.+?)\1+/.exec(password.slice(i));
+            if (!match || match[0].length < 3) {
+                i++;
+                continue;
+            }
+
+            const unit = match[1];
+            const count = match[0].length / unit.length;
+            matches.push({
+                pattern: 'repeat', i, j: i + match[0].length - 1, token: match[0], unit, count,
+                guesses: this.estimate(unit).guesses * count
+            });
+            i += match[0].length - unit.length + 1;
+        }
+
+        return matches;
+    },
+
+    sequenceMatches(password) {
+        const matches = [];
+        let i = 0;
+
+        while (i < password.length - 2) {
+            const delta = password.charCodeAt(i + 1) - password.charCodeAt(i);
+            let j = i + 1;
+
+            if (delta !== 0 && Math.abs(delta) <= 5) {
+                while (j + 1 < password.length && password.charCodeAt(j + 1) - password.charCodeAt(j) === delta) {
+                    j++;
+                }
+            }
+
+            if (j - i + 1 >= 3) {
+                const token = password.slice(i, j + 1);
+                const first = token[0];
+                let base;
+                if ('aAzZ019'.includes(first)) {
+                    base = 4;
+                } else if (/\d/.test(first)) {
+                    base = 10;
+                } else {
+                    base = 26;
+                }
+                if (delta < 0) base *= 2;
+
+                matches.push({ pattern: 'sequence', i, j, token, guesses: base * token.length });
+                i = j;
+            } else {
+                i++;
+            }
+        }
+
+        return matches;
+    },
+
+    // Runs of two or more dictionary words joined by the same separator, like
+    // "correct-horse-battery" from the passphrase generator. Guessed as a
+    // word sequence: the words' ranks multiplied, one capitalization style,
+    // an optional digit on a word and a small constant for the separator.
+    passphraseMatches(password) {
+        const dictionary = this.getDictionary();
+        const matches = [];
+
+        const parseWord = (token) => {
+            const match = /^([a-z]+)(\d?)$/i.exec(token);
+            const word = match && match[1].toLowerCase();
+            return word && dictionary.has(word) ? { token, word, rank: dictionary.get(word), digit: !!match[2] } : null;
+        };
+
+        const addMatch = (run, separator) => {
+            const first = run[0];
+            const last = run[run.length - 1];
+            const words = run.map(part => part.parsed);
+
+            let guesses = words.reduce((product, w) => product * w.rank, 1) * this.PASSPHRASE_SEPARATOR_GUESSES;
+
+            // Same capitalization on every word is one choice, otherwise each word varies
+            const letters = words.map(w => w.token.replace(/\d$/, ''));
+            const style = (t) => (t === t.toLowerCase() ? 'lower' : t === t.toUpperCase() ? 'upper'
+                : /^[A-Z][^A-Z]*$/.test(t) ? 'title' : 'mixed');
+            const styles = new Set(letters.map(style));
+            if (styles.size === 1 && !styles.has('mixed')) {
+                if (!styles.has('lower')) guesses *= 2;
+            } else {
+                guesses *= letters.reduce((product, t) => product * this.uppercaseVariations(t), 1);
+            }
+
+            // An appended digit: which digit, and on which word
+            const digits = words.filter(w => w.digit).length;
+            if (digits > 0) guesses *= Math.pow(10, digits) * words.length;
+
+            matches.push({
+                pattern: 'passphrase', i: first.i, j: last.i + last.token.length - 1,
+                token: password.slice(first.i, last.i + last.token.length),
+                words: words.map(w => w.word), separator, guesses
+            });
+        };
+
+        new Set(password.match(/[^a-z0-9]/gi) || []).forEach(separator => {
+            let offset = 0;
+            let run = [];
+            const flush = () => {
+                if (run.length >= 2) addMatch(run, separator);
+                run = [];
+            };
+
+            password.split(separator).forEach(token => {
+                const parsed = parseWord(token);
+                if (parsed) {
+                    run.push({ i: offset, token, parsed });
+                } else {
+                    flush();
+                }
+                offset += token.length + separator.length;
+            });
+            flush();
+        });
+
+        return matches;
+    },
+
+    // Guesses needed for a given year (recent years are guessed first)
+    yearSpace(year) {
+        return Math.max(Math.abs(year - new Date().getFullYear()), 20);
+    },
+
+    // Interpret digits as a day/month/year triple; returns the year or null
+    parseDate(parts) {
+        const orders = [[0, 1, 2], [1, 0, 2], [2, 1, 0], [2, 0, 1]]; // d-m-y, m-d-y, y-m-d, y-d-m
+        for (const [d, m, y] of orders) {
+            const day = parseInt(parts[d]);
+            const month = parseInt(parts[m]);
+            let year = parseInt(parts[y]);
+
+            if (parts[y].length === 2) {
+                year += year > 50 ? 1900 : 2000;
+            } else if (parts[y].length !== 4) {
+                continue;
+            }
+
+            if (day >= 1 && day <= 31 && month >= 1 && month <= 12 && year >= 1900 && year <= 2100 &&
+                parts[d].length <= 2 && parts[m].length <= 2) {
+                return year;
+            }
+        }
+        return null;
+    },
+
+    dateMatches(password) {
+        const matches = [];
+
+        // Dates with separators: 1/2/1990, 1990-02-01, 01.02.90
+        const separated = /(\d{1,4})([\s\/\\_.-])(\d{1,2})\2(\d{1,4})/g;
+        let match;
+        while ((match = separated.exec(password))) {
+            const year = this.parseDate([match[1], match[3], match[4]]);
+            if (year) {
+                matches.push({
+                    pattern: 'date', i: match.index, j: match.index + match[0].length - 1, token: match[0],
+                    guesses: 365 * this.yearSpace(year) * 4
+                });
+            }
+            separated.lastIndex = match.index + 1;
+        }
+
+        // Bare digit runs: years, and 4-8 digit dates like 01021990 or 900201
+        for (let i = 0; i < password.length; i++) {
+            for (let length = 4; length <= 8 && i + length <= password.length; length++) {
+                const token = password.slice(i, i + length);
+                if (!/^\d+$/.test(token)) break;
+
+                if (length === 4 && /^(19|20)\d\d$/.test(token)) {
+                    matches.push({ pattern: 'date', i, j: i + 3, token, guesses: this.yearSpace(parseInt(token)) });
+                }
+
+                for (const yearLength of [2, 4]) {
+                    const rest = length - yearLength;
+                    if (rest < 2 || rest > 4) continue;
+
+                    for (let split = 1; split < rest; split++) {
+                        const candidates = [
+                            [token.slice(0, split), token.slice(split, rest), token.slice(rest)],
+                            [token.slice(yearLength + split), token.slice(yearLength, yearLength + split), token.slice(0, yearLength)]
+                        ];
+                        const year = candidates.map(parts => this.parseDate(parts)).find(Boolean);
+                        if (year) {
+                            matches.push({ pattern: 'date', i, j: i + length - 1, token, guesses: 365 * this.yearSpace(year) });
+                        }
+                    }
+                }
+            }
+        }
+
+        return matches;
+    },
+
+    // Estimate guesses, entropy and crack time for a password
+    estimate(password) {
+        password = (password || '').slice(0, this.MAX_LENGTH);
+        const n = password.length;
+        const bruteforceBits = this.log2(this.cardinality(password));
+
+        const matchesByEnd = Array.from({ length: n }, () => []);
+        [
+            ...this.dictionaryMatches(password),
+            ...this.spatialMatches(password),
+            ...this.repeatMatches(password),
+            ...this.sequenceMatches(password),
+            ...this.dateMatches(password),
+            ...this.passphraseMatches(password)
+        ].forEach(m => {
+            m.bits = this.log2(Math.max(m.guesses, this.MIN_MATCH_GUESSES));
+            matchesByEnd[m.j].push(m);
+        });
+
+        // best[k]: cheapest cover of the first k characters. Each extra
+        // segment costs log2(segments) bits, because the attacker also has to
+        // guess in which order the patterns appear.
+        const best = [{ bits: 0, segments: 0, match: null, start: 0 }];
+        for (let k = 1; k <= n; k++) {
+            let candidate = null;
+            const consider = (start, bits, match) => {
+                const prev = best[start];
+                const total = prev.bits + bits + this.log2(prev.segments + 1);
+                if (!candidate || total < candidate.bits) {
+                    candidate = { bits: total, segments: prev.segments + 1, match, start };
+                }
+            };
+
+            for (let start = 0; start < k; start++) {
+                consider(start, (k - start) * bruteforceBits, null);
+            }
+            matchesByEnd[k - 1].forEach(m => consider(m.i, m.bits, m));
+            best[k] = candidate;
+        }
+
+        const sequence = [];
+        for (let k = n; k > 0; k = best[k].start) {
+            if (best[k].match) sequence.unshift(best[k].match);
+        }
+
+        const bits = best[n].bits;
+        const guesses = Math.pow(2, bits);
+        const crackTimeSeconds = guesses / this.GUESSES_PER_SECOND;
+        const level = this.LEVELS.reduce((found, l, i) => (bits >= l.minBits ? i : found), 0);
+
+        return {
+            bits,
+            guesses,
+            crackTimeSeconds,
+            crackTime: this.formatDuration(crackTimeSeconds),
+            level,
+            label: this.LEVELS[level].text,
+            sequence,
+            warnings: this.buildWarnings(password, sequence, bits)
+        };
+    },
+
+    isWeak(result) {
+        return result.level <= this.WEAK_LEVEL;
+    },
+
+    buildWarnings(password, sequence, bits) {
+        const warnings = new Set();
+
+        sequence.forEach(m => {
+            if (m.pattern === 'dictionary') {
+                warnings.add(m.common ? this.WARNINGS.common : this.WARNINGS.dictionary);
+                if (m.l33t) warnings.add(this.WARNINGS.l33t);
+                if (m.capitalized) warnings.add(this.WARNINGS.capitalization);
+            } else {
+                warnings.add(this.WARNINGS[m.pattern]);
+            }
+        });
+
+        if (password.length > 0 && password.length < 10 && bits < this.LEVELS[3].minBits) {
+            warnings.add(this.WARNINGS.short);
+        }
+
+        // Patterns inside an otherwise strong password are not worth flagging
+        return bits >= this.LEVELS[4].minBits ? [] : [...warnings];
+    },
+
+    formatDuration(seconds) {
+        if (seconds < 1) return 'instantly';
+
+        const units = [
+            ['century', 100 * 365.25 * 24 * 3600],
+            ['year', 365.25 * 24 * 3600],
+            ['month', 30.44 * 24 * 3600],
+            ['day', 24 * 3600],
+            ['hour', 3600],
+            ['minute', 60],
+            ['second', 1]
+        ];
+
+        if (seconds >= 1e5 * units[0][1]) return 'millennia';
+
+        const [name, size] = units.find(([, size]) => seconds >= size);
+        const count = Math.round(seconds / size);
+        const plural = name === 'century' ? 'centuries' : `${name}s`;
+        return `${count} ${count === 1 ? name : plural}`;
+    }
+};
@@ -0,0 +1,159 @@
+// ============================================================================
+// PASSWORD MANAGER - Sync
+// ============================================================================
+
+import { BackupManager } from './backup.js';
+
+// Client for the reference sync server (sync-server.mjs). The server only
+// stores the vault header and change sets encrypted with the vault key;
+// merging happens here, per entry, by lastModified.
+export const SyncClient = {
+    MAX_ATTEMPTS: 3,
+    DEBOUNCE_MS: 1500,
+
+    // Bookkeeping kept inside the encrypted vault payload: the last server
+    // version merged, each entry's lastModified as last exchanged with the
+    // server, and deletions that haven't been pushed yet
+    createState() {
+        return { version: 0, known: {}, deleted: {}, resetPending: false };
+    },
+
+    normalizeConfig({ url, id, token }) {
+        const trimmed = (url || '').trim().replace(/\/+$/, '');
+        if (!/^https?:\/\//.test(trimmed)) {
+            throw new Error('Sync server URL must start with http:// or https://');
+        }
+        if (!/^[A-Za-z0-9-]{8,64}$/.test((id || '').trim())) {
+            throw new Error('Sync ID must be 8-64 letters, digits or dashes');
+        }
+        return { url: trimmed, id: id.trim(), token: (token || '').trim() };
+    },
+
+    async request(config, method, path, body) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (config.token) {
+            headers.Authorization = `Bearer ${config.token}`;
+        }
+
+        let response;
+        try {
+            response = await fetch(`${config.url}/vaults/${encodeURIComponent(config.id)}${path}`, {
+                method,
+                headers,
+                body: body ? JSON.stringify(body) : undefined
+            });
+        } catch (e) {
+            throw new Error('Sync server is unreachable');
+        }
+
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            const error = new Error(data.error || `Sync failed (HTTP ${response.status})`);
+            error.status = response.status;
+            throw error;
+        }
+        return data;
+    },
+
+    // Remote header and change sets after `since`, or null for a vault the
+    // server hasn't seen yet
+    async fetchChanges(config, since) {
+        try {
+            return await this.request(config, 'GET', `?since=${since}`);
+        } catch (error) {
+            if (error.status === 404) return null;
+            throw error;
+        }
+    },
+
+    pushChange(config, body) {
+        return this.request(config, 'POST', '/changes', body);
+    },
+
+    // Entries and deletions the server hasn't seen. Entries are copied so
+    // later edits can't change what is recorded as pushed.
+    diff(data) {
+        const { sync } = data;
+        return {
+            entries: JSON.parse(JSON.stringify(data.passwords.filter(p => sync.known[p.id] !== p.lastModified))),
+            deleted: Object.entries(sync.deleted).map(([id, deletedAt]) => ({ id, deletedAt })),
+            categories: [...data.categories]
+        };
+    },
+
+    isEmpty(change) {
+        return change.entries.length === 0 && change.deleted.length === 0;
+    },
+
+    // Record a successful push
+    markPushed(sync, change, version) {
+        sync.version = version;
+        change.entries.forEach(entry => {
+            sync.known[entry.id] = entry.lastModified;
+        });
+        change.deleted.forEach(({ id }) => {
+            delete sync.deleted[id];
+            delete sync.known[id];
+        });
+    },
+
+    // Apply a remote change set to { passwords, categories, sync }. The newer
+    // lastModified wins per entry, and a deletion beats edits made before it.
+    // Returns the number of local entries that changed.
+    merge(data, change) {
+        const { sync } = data;
+        const time = (value) => Date.parse(value) || 0;
+        let applied = 0;
+
+        (change.entries || []).forEach(remote => {
+            if (!BackupManager.isValidEntry(remote)) return;
+
+            const index = data.passwords.findIndex(p => p.id === remote.id);
+            const local = data.passwords[index];
+            const deletedAt = sync.deleted[remote.id];
+            sync.known[remote.id] = remote.lastModified;
+
+            if (local && time(local.lastModified) >= time(remote.lastModified)) return;
+            if (!local && deletedAt && time(deletedAt) >= time(remote.lastModified)) return;
+
+            delete sync.deleted[remote.id];
+            if (local) {
+                data.passwords[index] = remote;
+            } else {
+                data.passwords.unshift(remote);
+            }
+            applied++;
+        });
+
+        (change.deleted || []).forEach(({ id, deletedAt }) => {
+            delete sync.known[id];
+            const index = data.passwords.findIndex(p => p.id === id);
+            if (index !== -1 && time(data.passwords[index].lastModified) <= time(deletedAt)) {
+                data.passwords.splice(index, 1);
+                applied++;
+            }
+        });
+
+        // A snapshot lists every entry, so synced entries missing from it
+        // were deleted remotely (entries changed here since are kept)
+        if (change.snapshot) {
+            const ids = new Set(change.entries.map(e => e.id));
+            data.passwords = data.passwords.filter(p => {
+                const keep = ids.has(p.id) || sync.known[p.id] !== p.lastModified;
+                if (!keep) {
+                    delete sync.known[p.id];
+                    applied++;
+                }
+                return keep;
+            });
+        }
+
+        (change.categories || []).forEach(cat => {
+            if (typeof cat === 'string' && !data.categories.some(c => c.toLowerCase() === cat.toLowerCase())) {
+                data.categories.push(cat);
+            }
+        });
+
+        return applied;
+    }
+};
@@ -0,0 +1,75 @@
+// ============================================================================
+// PASSWORD MANAGER - Unlock Throttling
+// ============================================================================
+
+import { getStorage } from './storage.js';
+import { Settings } from './settings.js';
+import { VaultRegistry } from './vaults.js';
+
+// Failed unlock bookkeeping. The counter is persisted so reloading the page
+// doesn't reset the backoff. It only slows down guessing through the UI -
+// offline attacks on the stored vault are bounded by the KDF instead.
+// The state lives next to the vault, so pass the vault's storage backend.
+export const UnlockThrottle = {
+    STORAGE_KEY: 'unlockThrottle',
+    FREE_ATTEMPTS: 3,
+    BASE_DELAY_MS: 1000,
+    MAX_DELAY_MS: 15 * 60 * 1000,
+
+    key(vaultId) {
+        return VaultRegistry.storageKey(vaultId, this.STORAGE_KEY);
+    },
+
+    getState(vaultId, storage = getStorage()) {
+        try {
+            const state = JSON.parse(storage.getItem(this.key(vaultId)));
+            if (state && Number.isInteger(state.failures)) {
+                return { failures: state.failures, lockedUntil: state.lockedUntil || 0 };
+            }
+        } catch (e) {
+            // Treat a corrupted counter as a fresh one
+        }
+        return { failures: 0, lockedUntil: 0 };
+    },
+
+    // Milliseconds until the next unlock attempt is allowed
+    remainingMs(vaultId, storage = getStorage(), now = Date.now()) {
+        return Math.max(0, this.getState(vaultId, storage).lockedUntil - now);
+    },
+
+    // Doubles the wait for every failure past the free attempts
+    delayFor(failures) {
+        if (failures < this.FREE_ATTEMPTS) {
+            return 0;
+        }
+        return Math.min(this.BASE_DELAY_MS * 2 ** (failures - this.FREE_ATTEMPTS), this.MAX_DELAY_MS);
+    },
+
+    recordFailure(vaultId, storage = getStorage(), now = Date.now()) {
+        const failures = this.getState(vaultId, storage).failures + 1;
+        const state = { failures, lockedUntil: now + this.delayFor(failures) };
+        storage.setItem(this.key(vaultId), JSON.stringify(state));
+        return state;
+    },
+
+    reset(vaultId, storage = getStorage()) {
+        storage.removeItem(this.key(vaultId));
+    },
+
+    // Attempts left before the vault is erased, or null when the policy is off
+    attemptsRemaining(vaultId, storage = getStorage()) {
+        const limit = Settings.get('wipeAfterFailures', storage);
+        if (!limit) {
+            return null;
+        }
+        return Math.max(0, limit - this.getState(vaultId, storage).failures);
+    },
+
+    formatWait(ms) {
+        const seconds = Math.ceil(ms / 1000);
+        if (seconds < 60) {
+            return `${seconds}s`;
+        }
+        return `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, '0')}s`;
+    }
+};
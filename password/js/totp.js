@@ -0,0 +1,119 @@
+// ============================================================================
+// PASSWORD MANAGER - TOTP (RFC 6238)
+// ============================================================================
+
+// Time-based one-time passwords for entries with a 2FA secret
+export const TotpManager = {
+    BASE32_ALPHABET: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567',
+
+    ALGORITHMS: {
+        SHA1: 'SHA-1',
+        SHA256: 'SHA-256',
+        SHA512: 'SHA-512'
+    },
+
+    base32Decode(text) {
+        const clean = text.replace(/[\s-]/g, '').replace(/=+$/, '').toUpperCase();
+        if (!clean) {
+            throw new Error('TOTP secret is empty');
+        }
+
+        let bits = 0;
+        let value = 0;
+        const bytes = [];
+
+        for (const char of clean) {
+            const index = this.BASE32_ALPHABET.indexOf(char);
+            if (index === -1) {
+                throw new Error('TOTP secret must be base32 (A-Z, 2-7)');
+            }
+            value = (value << 5) | index;
+            bits += 5;
+            if (bits >= 8) {
+                bytes.push((value >>> (bits - 8)) & 0xff);
+                bits -= 8;
+            }
+        }
+
+        return new Uint8Array(bytes);
+    },
+
+    // Parse a base32 secret or an otpauth://totp/ URI into a TOTP config
+    parse(input) {
+        const value = (input || '').trim();
+        const config = { secret: value, algorithm: 'SHA1', digits: 6, period: 30, issuer: '', account: '' };
+
+        if (/^otpauth:/i.test(value)) {
+            let url;
+            try {
+                url = new URL(value);
+            } catch (e) {
+                throw new Error('Invalid otpauth:// URI');
+            }
+            if (url.host.toLowerCase() !== 'totp') {
+                throw new Error('Only time-based (TOTP) codes are supported');
+            }
+
+            const label = decodeURIComponent(url.pathname.replace(/^\//, ''));
+            const [labelIssuer, account] = label.includes(':') ? label.split(':', 2) : ['', label];
+            const params = url.searchParams;
+
+            config.secret = params.get('secret') || '';
+            config.algorithm = (params.get('algorithm') || 'SHA1').toUpperCase();
+            config.digits = parseInt(params.get('digits')) || 6;
+            config.period = parseInt(params.get('period')) || 30;
+            config.issuer = params.get('issuer') || labelIssuer;
+            config.account = account.trim();
+        }
+
+        if (!this.ALGORITHMS[config.algorithm]) {
+            throw new Error(`Unsupported TOTP algorithm: ${config.algorithm}`);
+        }
+        if (config.digits < 6 || config.digits > 8) {
+            throw new Error('TOTP codes must have 6 to 8 digits');
+        }
+        if (config.period < 1) {
+            throw new Error('TOTP period must be positive');
+        }
+
+        this.base32Decode(config.secret);
+        return config;
+    },
+
+    // Current code for a secret / URI
+    async generate(input, time = Date.now()) {
+        const config = typeof input === 'string' ? this.parse(input) : input;
+        const counter = Math.floor(time / 1000 / config.period);
+
+        // 8-byte big-endian counter
+        const message = new Uint8Array(8);
+        let remaining = counter;
+        for (let i = 7; i >= 0; i--) {
+            message[i] = remaining & 0xff;
+            remaining = Math.floor(remaining / 256);
+        }
+
+        const key = await crypto.subtle.importKey(
+            'raw',
+            this.base32Decode(config.secret),
+            { name: 'HMAC', hash: this.ALGORITHMS[config.algorithm] },
+            false,
+            ['sign']
+        );
+        const hmac = new Uint8Array(await crypto.subtle.sign('HMAC', key, message));
+
+        // Dynamic truncation (RFC 4226 section 5.3)
+        const offset = hmac[hmac.length - 1] & 0x0f;
+        const binary = ((hmac[offset] & 0x7f) << 24) |
+            (hmac[offset + 1] << 16) |
+            (hmac[offset + 2] << 8) |
+            hmac[offset + 3];
+
+        return (binary % Math.pow(10, config.digits)).toString().padStart(config.digits, '0');
+    },
+
+    secondsRemaining(input, time = Date.now()) {
+        const config = typeof input === 'string' ? this.parse(input) : input;
+        return config.period - Math.floor(time / 1000) % config.period;
+    }
+};
@@ -0,0 +1,82 @@
+// ============================================================================
+// PASSWORD MANAGER - Vaults
+// ============================================================================
+
+import { getStorage } from './storage.js';
+
+// Named vaults. Each vault has its own master password and its own
+// storage namespace; the default vault keeps the original un-prefixed
+// keys so existing installs carry on unchanged. Methods use the shared
+// storage backend unless they are given one.
+export const VaultRegistry = {
+    STORAGE_KEY: 'vaults',
+    ACTIVE_KEY: 'activeVault',
+    DEFAULT_ID: 'default',
+
+    list(storage = getStorage()) {
+        let vaults = [];
+        try {
+            vaults = JSON.parse(storage.getItem(this.STORAGE_KEY)) || [];
+        } catch (e) {
+            // Rebuild from the default vault below
+        }
+        if (!vaults.some(v => v.id === this.DEFAULT_ID)) {
+            vaults.unshift({ id: this.DEFAULT_ID, name: 'Personal' });
+        }
+        return vaults;
+    },
+
+    get(id, storage = getStorage()) {
+        return this.list(storage).find(v => v.id === id) || null;
+    },
+
+    save(vaults, storage = getStorage()) {
+        storage.setItem(this.STORAGE_KEY, JSON.stringify(vaults));
+    },
+
+    validateName(name, exceptId = null, storage = getStorage()) {
+        const trimmed = (name || '').trim();
+        if (!trimmed) {
+            throw new Error('Vault name is required');
+        }
+        const taken = this.list(storage).some(v =>
+            v.id !== exceptId && v.name.toLowerCase() === trimmed.toLowerCase()
+        );
+        if (taken) {
+            throw new Error(`A vault named "${trimmed}" already exists`);
+        }
+        return trimmed;
+    },
+
+    create(name, storage = getStorage()) {
+        const vault = { id: crypto.randomUUID(), name: this.validateName(name, null, storage) };
+        this.save([...this.list(storage), vault], storage);
+        return vault;
+    },
+
+    rename(id, name, storage = getStorage()) {
+        const trimmed = this.validateName(name, id, storage);
+        this.save(this.list(storage).map(v => v.id === id ? { ...v, name: trimmed } : v), storage);
+    },
+
+    // Only used to roll back a vault whose setup failed
+    remove(id, storage = getStorage()) {
+        if (id !== this.DEFAULT_ID) {
+            this.save(this.list(storage).filter(v => v.id !== id), storage);
+        }
+    },
+
+    getActiveId(storage = getStorage()) {
+        const id = storage.getItem(this.ACTIVE_KEY);
+        return this.get(id, storage) ? id : this.DEFAULT_ID;
+    },
+
+    setActiveId(id, storage = getStorage()) {
+        storage.setItem(this.ACTIVE_KEY, id);
+    },
+
+    // Namespaced storage key for a vault
+    storageKey(id, key) {
+        return id === this.DEFAULT_ID ? key : `vault:${id}:${key}`;
+    }
+};
@@ -0,0 +1,239 @@
+// ============================================================================
+// LOCKMASTER PRO - Reference Sync Server
+// ============================================================================
+//
+// A small, dependency-free server for syncing vaults between machines.
+// It only ever sees ciphertext: the vault header (KDF parameters and the
+// wrapped vault key) and a list of versioned change sets, each encrypted
+// with the vault key on the client. Merging happens on the clients.
+//
+//   node sync-server.mjs [--port 8787] [--data ./sync-data]
+//
+// --port 0 picks a free port; the startup line shows which one.
+//
+// Set SYNC_TOKEN to require `Authorization: Bearer <token>` on every request.
+//
+// API
+//   GET  /vaults/:id?since=N   -> { version, header, reset, changes: [{ version, payload }] }
+//   POST /vaults/:id/changes   <- { baseVersion, header, payload, reset? }
+//                              -> { version } | 409 { version } when baseVersion is stale
+
+import { createHash, timingSafeEqual } from 'node:crypto';
+import { createServer } from 'node:http';
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import { join, resolve } from 'node:path';
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+    const index = args.indexOf(`--${name}`);
+    return index !== -1 && args[index + 1] ? args[index + 1] : fallback;
+};
+
+const PORT = parseInt(option('port', process.env.PORT || 8787));
+const DATA_DIR = resolve(option('data', process.env.SYNC_DATA_DIR || './sync-data'));
+const TOKEN = process.env.SYNC_TOKEN || '';
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+const VAULT_ID = /^[A-Za-z0-9-]{8,64}$/;
+
+class HttpError extends Error {
+    constructor(status, message, extra = {}) {
+        super(message);
+        this.status = status;
+        this.extra = extra;
+    }
+}
+
+// ============================================================================
+// Storage - one JSON file per vault
+// ============================================================================
+
+const vaultPath = (id) => join(DATA_DIR, `${id}.json`);
+
+async function loadVault(id) {
+    try {
+        return JSON.parse(await readFile(vaultPath(id), 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+// Write to a temp file and rename, so a crash never leaves half a vault
+async function storeVault(id, vault) {
+    const path = vaultPath(id);
+    await mkdir(DATA_DIR, { recursive: true });
+    await writeFile(`${path}.tmp`, JSON.stringify(vault));
+    await rename(`${path}.tmp`, path);
+}
+
+// Requests for one vault are handled one at a time so version checks and
+// writes can't interleave
+const queues = new Map();
+
+function withVaultLock(id, task) {
+    const previous = queues.get(id) || Promise.resolve();
+    const next = previous.catch(() => {}).then(task);
+    queues.set(id, next);
+    next.finally(() => {
+        if (queues.get(id) === next) queues.delete(id);
+    }).catch(() => {});
+    return next;
+}
+
+// ============================================================================
+// Validation
+// ============================================================================
+
+const isCipher = (value) =>
+    value && typeof value.iv === 'string' && typeof value.data === 'string';
+
+function validateChange(body) {
+    if (!body || !Number.isInteger(body.baseVersion) || body.baseVersion < 0) {
+        throw new HttpError(400, 'baseVersion must be a non-negative integer');
+    }
+    if (!isCipher(body.payload)) {
+        throw new HttpError(400, 'payload must be { iv, data }');
+    }
+    const header = body.header;
+    if (!header || !Number.isInteger(header.version) || !header.kdf || !isCipher(header.wrappedKey)) {
+        throw new HttpError(400, 'header must contain version, kdf and wrappedKey');
+    }
+}
+
+// ============================================================================
+// Handlers
+// ============================================================================
+
+async function getChanges(id, since) {
+    const vault = await loadVault(id);
+    if (!vault) {
+        throw new HttpError(404, 'Unknown vault');
+    }
+
+    // A client older than the last history reset needs everything again
+    const reset = since < vault.baseVersion;
+    const changes = vault.changes.filter(c => reset || c.version > since);
+    return { version: vault.version, header: vault.header, reset, changes };
+}
+
+async function addChange(id, body) {
+    validateChange(body);
+    const vault = await loadVault(id) || { version: 0, baseVersion: 0, header: null, changes: [] };
+
+    if (body.baseVersion !== vault.version) {
+        throw new HttpError(409, 'Vault has changed, pull first', { version: vault.version });
+    }
+
+    const version = vault.version + 1;
+    const change = { version, payload: body.payload, createdAt: new Date().toISOString() };
+
+    // A reset (e.g. after the vault key was rotated) replaces the history
+    // with a single snapshot
+    if (body.reset) {
+        vault.changes = [change];
+        vault.baseVersion = vault.version;
+    } else {
+        vault.changes.push(change);
+    }
+    vault.version = version;
+    vault.header = body.header;
+
+    await storeVault(id, vault);
+    return { version };
+}
+
+// ============================================================================
+// HTTP
+// ============================================================================
+
+function send(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+    });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function readJson(req) {
+    return new Promise((resolveBody, reject) => {
+        let size = 0;
+        const chunks = [];
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new HttpError(413, 'Request body too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            try {
+                resolveBody(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+            } catch (e) {
+                reject(new HttpError(400, 'Invalid JSON'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+// Compare SHA-256 digests so timingSafeEqual gets equal-length buffers and
+// the check takes the same time however much of the token matches
+const digest = (value) => createHash('sha256').update(value).digest();
+
+function isAuthorized(req) {
+    return timingSafeEqual(digest(req.headers.authorization || ''), digest(`Bearer ${TOKEN}`));
+}
+
+async function route(req) {
+    if (TOKEN && !isAuthorized(req)) {
+        throw new HttpError(401, 'Unauthorized');
+    }
+
+    const url = new URL(req.url, 'http://localhost');
+    const match = url.pathname.match(/^\/vaults\/([^/]+)(\/changes)?$/);
+    if (!match) {
+        throw new HttpError(404, 'Not found');
+    }
+
+    const id = match[1];
+    if (!VAULT_ID.test(id)) {
+        throw new HttpError(400, 'Invalid vault id');
+    }
+
+    if (req.method === 'GET' && !match[2]) {
+        const since = parseInt(url.searchParams.get('since')) || 0;
+        return withVaultLock(id, () => getChanges(id, since));
+    }
+    if (req.method === 'POST' && match[2]) {
+        const body = await readJson(req);
+        return withVaultLock(id, () => addChange(id, body));
+    }
+    throw new HttpError(405, 'Method not allowed');
+}
+
+const server = createServer(async (req, res) => {
+    if (req.method === 'OPTIONS') {
+        send(res, 204);
+        return;
+    }
+
+    try {
+        send(res, 200, await route(req));
+    } catch (error) {
+        if (error instanceof HttpError) {
+            send(res, error.status, { error: error.message, ...error.extra });
+        } else {
+            console.error(error);
+            send(res, 500, { error: 'Internal server error' });
+        }
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`LockMaster sync server listening on http://localhost:${server.address().port}`);
+    console.log(`Storing vaults in ${DATA_DIR}${TOKEN ? ' (token required)' : ''}`);
+});
@@ -0,0 +1,74 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { webcrypto } from 'node:crypto';
+
+import { CryptoManager, VAULT_VERSION } from '../js/crypto.js';
+
+globalThis.crypto ??= webcrypto;
+
+// Full-strength key derivation would make every test take seconds
+before(() => {
+    CryptoManager.DEFAULT_KDF.iterations = 1000;
+});
+
+test('encrypt / decrypt round-trips data under a password', async () => {
+    const data = { passwords: [{ id: '1', name: 'GitHub', password: 'hunter2' }], categories: ['Work'] };
+
+    const envelope = await CryptoManager.encrypt(data, 'correct horse');
+    assert.equal(envelope.version, VAULT_VERSION);
+    assert.equal(envelope.kdf.iterations, 1000);
+    assert.ok(!JSON.stringify(envelope).includes('hunter2'));
+
+    assert.deepEqual(await CryptoManager.decrypt(envelope, 'correct horse'), data);
+});
+
+test('decrypt fails with the wrong password', async () => {
+    const envelope = await CryptoManager.encrypt({ secret: 1 }, 'correct horse');
+
+    await assert.rejects(
+        CryptoManager.decrypt(envelope, 'battery staple'),
+        { message: 'Decryption failed - incorrect password' }
+    );
+});
+
+test('each encryption uses a fresh salt and IV', async () => {
+    const a = await CryptoManager.encrypt({ secret: 1 }, 'correct horse');
+    const b = await CryptoManager.encrypt({ secret: 1 }, 'correct horse');
+
+    assert.notEqual(a.kdf.salt, b.kdf.salt);
+    assert.notEqual(a.iv, b.iv);
+});
+
+test('a wrapped vault key only unwraps with its master password', async () => {
+    const kdf = CryptoManager.createKdfParams();
+    const rawKey = CryptoManager.generateVaultKey();
+    const wrappingKey = await CryptoManager.deriveKeyFromParams('correct horse', kdf);
+    const wrappedKey = await CryptoManager.encryptBytes(rawKey, wrappingKey);
+
+    const unwrapped = await CryptoManager.unwrapVaultKey(wrappedKey, 'correct horse', kdf);
+    assert.deepEqual(new Uint8Array(unwrapped), rawKey);
+
+    await assert.rejects(
+        CryptoManager.unwrapVaultKey(wrappedKey, 'battery staple', kdf),
+        { message: 'Incorrect master password' }
+    );
+});
+
+test('vault key round-trips payloads', async () => {
+    const key = await CryptoManager.importVaultKey(CryptoManager.generateVaultKey());
+    const payload = await CryptoManager.encryptWithKey({ hello: 'world' }, key);
+
+    assert.deepEqual(await CryptoManager.decryptWithKey(payload, key), { hello: 'world' });
+});
+
+test('recovery keys are 32 base32 characters and tolerate typing variations', () => {
+    const key = CryptoManager.generateRecoveryKey();
+    assert.match(key, /^([0-9A-HJKMNP-TV-Z]{4}-){7}[0-9A-HJKMNP-TV-Z]{4}$/);
+    assert.notEqual(key, CryptoManager.generateRecoveryKey());
+
+    const typed = key.toLowerCase().replace(/-/g, ' ').replace(/0/g, 'o').replace(/1/g, 'l');
+    assert.equal(CryptoManager.normalizeRecoveryKey(typed), key);
+
+    assert.throws(() => CryptoManager.normalizeRecoveryKey(key.slice(0, -1)), /32 characters/);
+    assert.throws(() => CryptoManager.normalizeRecoveryKey(`${key.slice(0, -1)}U`), /32 characters/);
+});
@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CsvImporter } from '../js/csvImport.js';
+
+const TOTP_SECRET = 'JBSWY3DPEHPK3PXP';
+
+const importCsv = (text, format) => CsvImporter.preview(text, format);
+
+test('the parser handles quotes, escaped quotes, newlines and blank lines', () => {
+    const text = '\uFEFFname,notes\r\n"Bank, main","He said ""hi""\nsecond line"\r\n\r\nPlain,\n';
+
+    assert.deepEqual(CsvImporter.parse(text), [
+        ['name', 'notes'],
+        ['Bank, main', 'He said "hi"\nsecond line'],
+        ['Plain', '']
+    ]);
+});
+
+test('Bitwarden exports keep the first URI, folder and TOTP', () => {
+    const { format, rows } = importCsv([
+        'folder,favorite,type,name,notes,fields,reprompt,login_uri,login_username,login_password,login_totp',
+        `Work,,login,GitHub,2FA on,,0,"https://github.com/login,https://github.com",alice,gh-pass,${TOTP_SECRET}`
+    ].join('\n'));
+
+    assert.equal(format, 'bitwarden');
+    assert.deepEqual(rows[0], {
+        line: 2,
+        entry: {
+            name: 'GitHub', website: 'https://github.com/login', username: 'alice', password: 'gh-pass',
+            category: 'Work', notes: '2FA on', totp: TOTP_SECRET
+        },
+        errors: []
+    });
+});
+
+test('LastPass exports map grouping and extra, and skip secure notes', () => {
+    const { format, rows } = importCsv([
+        'url,username,password,totp,extra,name,grouping,fav',
+        'https://mail.example.com,bob,mail-pass,,a note,Mail,Personal,0',
+        'http://sn,,,,Wifi code 1234,Wifi,Notes,0'
+    ].join('\n'));
+
+    assert.equal(format, 'lastpass');
+    assert.deepEqual(rows[0].entry, {
+        name: 'Mail', website: 'https://mail.example.com', username: 'bob', password: 'mail-pass',
+        category: 'Personal', notes: 'a note', totp: ''
+    });
+    assert.deepEqual(rows[1].errors, ['Secure note, not a login', 'Missing password']);
+});
+
+test('KeePass exports drop the Root group prefix', () => {
+    const { format, rows } = importCsv([
+        '"Group","Title","Username","Password","URL","Notes"',
+        '"Root/Banking","Bank","carol","bank-pass","https://bank.example",""',
+        '"Root","Router","admin","router-pass","",""'
+    ].join('\n'));
+
+    assert.equal(format, 'keepass');
+    assert.equal(rows[0].entry.category, 'Banking');
+    assert.equal(rows[0].entry.username, 'carol');
+    assert.equal(rows[1].entry.category, '');
+});
+
+test('1Password exports use the first tag as the category', () => {
+    const { format, rows } = importCsv([
+        'Title,Url,Username,Password,OTPAuth,Favorite,Archived,Tags,Notes',
+        `Shop,https://shop.example,dave,shop-pass,otpauth://totp/Shop:dave?secret=${TOTP_SECRET},false,false,"Shopping;Personal",`
+    ].join('\n'));
+
+    assert.equal(format, 'onepassword');
+    assert.equal(rows[0].entry.category, 'Shopping');
+    assert.match(rows[0].entry.totp, /^otpauth:\/\/totp\//);
+    assert.deepEqual(rows[0].errors, []);
+});
+
+test('Chrome exports fall back to the host for a missing name', () => {
+    const { format, rows } = importCsv([
+        'name,url,username,password,note',
+        ',https://www.example.org/login,erin,site-pass,'
+    ].join('\n'));
+
+    assert.equal(format, 'chrome');
+    assert.equal(rows[0].entry.name, 'example.org');
+    assert.equal(rows[0].entry.category, '');
+});
+
+test('rows with problems are reported with their line numbers', () => {
+    const { rows } = importCsv([
+        'name,login_uri,login_username,login_password,login_totp',
+        'NoPassword,https://a.example,frank,,',
+        'Extra,https://b.example,gina,pw,,unexpected',
+        'BadTotp,https://c.example,hank,pw,not-base32!',
+        'Fine,https://d.example,ivy,pw,'
+    ].join('\n'));
+
+    assert.deepEqual(rows.map(row => [row.line, row.errors]), [
+        [2, ['Missing password']],
+        [3, ['Wrong number of columns']],
+        [4, ['TOTP secret must be base32 (A-Z, 2-7)']],
+        [5, []]
+    ]);
+});
+
+test('unknown formats must be chosen by hand', () => {
+    assert.throws(() => importCsv('site,login,secret\na,b,c'), /Unrecognised CSV format/);
+    assert.throws(() => importCsv(''), /The CSV file is empty/);
+    assert.equal(importCsv('title,login name,password\nX,y,z', 'keepass').rows[0].entry.username, 'y');
+});
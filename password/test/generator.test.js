@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { webcrypto } from 'node:crypto';
+
+import { PasswordGenerator } from '../js/generator.js';
+import { escapeHtml } from '../js/html.js';
+
+globalThis.crypto ??= webcrypto;
+
+// What the browser hands back from a data-value="…" attribute
+const readAttribute = (html, name) => html
+    .match(new RegExp(`${name}="([^"]*)"`))[1]
+    .replace(/&quot;/g, '"').replace(/&#39;/g, "'")
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+
+test('passwords from a custom symbol set with quotes copy back intact', () => {
+    for (let i = 0; i < 20; i++) {
+        const password = PasswordGenerator.generate({ length: 24, symbols: true, lowercase: true, symbolSet: `"'<>&` });
+        assert.match(password, /["'<>&]/);
+
+        const button = `<button class="copy-password" data-value="${escapeHtml(password)}">`;
+        assert.equal(readAttribute(button, 'data-value'), password);
+    }
+});
+
+test('generated passwords use every selected class and respect exclusions', () => {
+    const password = PasswordGenerator.generate({
+        length: 40, uppercase: true, lowercase: true, numbers: true, symbols: true, excludeAmbiguous: true
+    });
+    assert.equal(password.length, 40);
+    assert.match(password, /[A-Z]/);
+    assert.match(password, /[a-z]/);
+    assert.match(password, /[0-9]/);
+    assert.doesNotMatch(password, /[O0oIl1|]/);
+});
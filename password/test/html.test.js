@@ -0,0 +1,23 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { escapeHtml } from '../js/html.js';
+
+test('escapeHtml escapes markup and both quote characters', () => {
+    assert.equal(
+        escapeHtml(`<img src=x onerror="alert('1')">&`),
+        '&lt;img src=x onerror=&quot;alert(&#39;1&#39;)&quot;&gt;&amp;'
+    );
+    assert.equal(escapeHtml(null), '');
+    assert.equal(escapeHtml(42), '42');
+});
+
+test('escaped values survive a round trip through a quoted attribute', () => {
+    const value = `p"a'ss<word>&`;
+    const html = `<button data-value="${escapeHtml(value)}">`;
+    const attribute = html.match(/data-value="([^"]*)"/)[1];
+    const decoded = attribute
+        .replace(/&quot;/g, '"').replace(/&#39;/g, "'")
+        .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+    assert.equal(decoded, value);
+});
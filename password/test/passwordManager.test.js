@@ -0,0 +1,410 @@
+import { test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { webcrypto } from 'node:crypto';
+
+import { VAULT_VERSION, CryptoManager } from '../js/crypto.js';
+import { RecoveryShares } from '../js/shamir.js';
+import { MemoryStorage, setStorage } from '../js/storage.js';
+import { PasswordManager } from '../js/passwordManager.js';
+import { UnlockThrottle } from '../js/throttle.js';
+import { Settings } from '../js/settings.js';
+import { VaultRegistry } from '../js/vaults.js';
+
+globalThis.crypto ??= webcrypto;
+
+const MASTER = 'correct horse battery';
+
+let storage;
+let vault;
+
+before(() => {
+    CryptoManager.DEFAULT_KDF.iterations = 1000;
+});
+
+beforeEach(async () => {
+    storage = new MemoryStorage();
+    setStorage(storage);
+    vault = new PasswordManager();
+    await vault.setupMasterPassword(MASTER);
+});
+
+const addLogin = (fields) => vault.addPassword({
+    name: 'Example',
+    website: 'example.com',
+    username: 'alice',
+    password: 'pa55word!',
+    category: 'Personal',
+    ...fields
+});
+
+test('entries survive a lock and unlock', async () => {
+    const entry = await addLogin({ name: 'GitHub', website: 'https://github.com/login' });
+    vault.lock();
+    assert.deepEqual(vault.passwords, []);
+
+    const reopened = new PasswordManager('default', storage);
+    await reopened.login(MASTER);
+
+    assert.equal(reopened.isLocked, false);
+    assert.deepEqual(reopened.passwords, [entry]);
+});
+
+// A v1 vault blob: base64(salt + iv + ciphertext) under the master password
+async function legacyBlob(data, password) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const key = await CryptoManager.deriveKey(password, salt);
+    const plaintext = new TextEncoder().encode(JSON.stringify(data));
+    const ciphertext = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plaintext));
+    return CryptoManager.toBase64(new Uint8Array([...salt, ...iv, ...ciphertext]));
+}
+
+test('a v1 vault is upgraded to v2 on unlock', async () => {
+    const legacy = new MemoryStorage();
+    legacy.setItem('masterPasswordHash', await CryptoManager.hashPassword(MASTER));
+    legacy.setItem('encryptedData', await legacyBlob({
+        passwords: [{ id: 'old-1', name: 'Mail', website: 'mail.example', username: 'bob', password: 'pw' }],
+        categories: ['Personal', 'Legacy']
+    }, MASTER));
+
+    const upgraded = new PasswordManager('default', legacy);
+    await assert.rejects(upgraded.login('wrong password'), { message: 'Incorrect master password' });
+    await upgraded.login(MASTER);
+
+    assert.deepEqual(upgraded.passwords.map(p => [p.id, p.type, p.name]), [['old-1', 'login', 'Mail']]);
+    assert.deepEqual(upgraded.categories, ['Personal', 'Legacy']);
+    assert.equal(JSON.parse(legacy.getItem('encryptedData')).version, VAULT_VERSION);
+    assert.equal(legacy.getItem('masterPasswordHash'), null);
+
+    const reopened = new PasswordManager('default', legacy);
+    await reopened.login(MASTER);
+    assert.deepEqual(reopened.passwords, upgraded.passwords);
+});
+
+test('a v1 vault with only a password hash is upgraded to an empty v2 vault', async () => {
+    const legacy = new MemoryStorage();
+    legacy.setItem('masterPasswordHash', await CryptoManager.hashPassword(MASTER));
+
+    const upgraded = new PasswordManager('default', legacy);
+    await assert.rejects(upgraded.login('wrong password'), { message: 'Incorrect master password' });
+    await upgraded.login(MASTER);
+
+    assert.deepEqual(upgraded.passwords, []);
+    assert.equal(JSON.parse(legacy.getItem('encryptedData')).version, VAULT_VERSION);
+    assert.equal(legacy.getItem('masterPasswordHash'), null);
+});
+
+test('the stored vault never contains plaintext', async () => {
+    await addLogin({ password: 'very-secret-value' });
+
+    const stored = storage.getItem('encryptedData');
+    assert.ok(stored);
+    assert.ok(!stored.includes('very-secret-value'));
+    assert.ok(!stored.includes('alice'));
+});
+
+test('a wrong master password is rejected and counted', async () => {
+    vault.lock();
+
+    await assert.rejects(vault.login('not the password'), { message: 'Incorrect master password' });
+    assert.equal(vault.isLocked, true);
+    assert.equal(UnlockThrottle.getState('default').failures, 1);
+
+    await vault.login(MASTER);
+    assert.equal(UnlockThrottle.getState('default').failures, 0);
+});
+
+test('unlock and lock are announced to listeners', async () => {
+    const events = [];
+    vault.addEventListener('lock', () => events.push('lock'));
+    vault.addEventListener('unlock', () => events.push('unlock'));
+
+    vault.lock();
+    await vault.login(MASTER);
+
+    assert.deepEqual(events, ['lock', 'unlock']);
+});
+
+test('vaults are isolated by storage backend', async () => {
+    await addLogin();
+
+    const other = new PasswordManager('default', new MemoryStorage());
+    assert.equal(other.hasVault(), false);
+    assert.equal(vault.hasVault(), true);
+});
+
+test('throttling, wipe policy and settings use the vault\'s own storage', async () => {
+    const own = new MemoryStorage();
+    const other = new PasswordManager('default', own);
+    await other.setupMasterPassword(MASTER);
+    await other.setHistoryLimit(3);
+    assert.equal(Settings.get('historyLimit', own), 3);
+    assert.equal(Settings.get('historyLimit'), Settings.DEFAULTS.historyLimit);
+
+    Settings.update({ wipeAfterFailures: 2 }, own);
+    other.lock();
+
+    await assert.rejects(other.login('wrong'), { message: 'Incorrect master password' });
+    assert.equal(UnlockThrottle.getState('default', own).failures, 1);
+    assert.equal(UnlockThrottle.attemptsRemaining('default', own), 1);
+    assert.equal(storage.getItem(UnlockThrottle.STORAGE_KEY), null);
+    assert.equal(Settings.get('wipeAfterFailures'), 0);
+
+    await assert.rejects(other.login('wrong'), { message: 'Too many failed attempts. The vault has been erased' });
+    assert.equal(other.hasVault(), false);
+    assert.equal(vault.hasVault(), true);
+
+});
+
+test('breach checks use the provider from the vault\'s own settings', async () => {
+    const own = new MemoryStorage();
+    const other = new PasswordManager('default', own);
+    await other.setupMasterPassword(MASTER);
+    await other.addPassword({ name: 'Mail', password: 'password', category: 'Personal' });
+    Settings.update({ breachProvider: 'local', breachRangeUrl: 'https://ranges.test/hibp/' }, own);
+
+    const urls = [];
+    const realFetch = globalThis.fetch;
+    globalThis.fetch = async (url) => {
+        urls.push(url);
+        // SHA-1 of "password" is 5BAA6 1E4C9B93F3F0682250B6CF8331B7EE68FD8
+        return new Response('1E4C9B93F3F0682250B6CF8331B7EE68FD8:42\n');
+    };
+    try {
+        assert.deepEqual(await other.checkBreaches(), { checked: 1, compromised: 1 });
+    } finally {
+        globalThis.fetch = realFetch;
+    }
+    assert.deepEqual(urls, ['https://ranges.test/hibp/5BAA6.txt']);
+});
+
+test('the vault registry reads the storage it is given', () => {
+    const own = new MemoryStorage();
+    const created = VaultRegistry.create('Work', own);
+    VaultRegistry.setActiveId(created.id, own);
+
+    assert.equal(VaultRegistry.getActiveId(own), created.id);
+    assert.deepEqual(VaultRegistry.list(own).map(v => v.name), ['Personal', 'Work']);
+    assert.equal(VaultRegistry.get(created.id), null);
+    assert.equal(VaultRegistry.getActiveId(), VaultRegistry.DEFAULT_ID);
+});
+
+test('entries can be created, updated and deleted', async () => {
+    const entry = await addLogin({ tags: 'work, #dev' });
+    assert.equal(entry.type, 'login');
+    assert.equal(entry.website, 'https://example.com');
+    assert.deepEqual(entry.tags, ['work', 'dev']);
+    assert.equal(vault.passwords.length, 1);
+
+    await vault.updatePassword(entry.id, { password: 'n3w-pa55word!', notes: 'rotated' });
+    const updated = vault.passwords.find(p => p.id === entry.id);
+    assert.equal(updated.password, 'n3w-pa55word!');
+    assert.equal(updated.notes, 'rotated');
+    assert.equal(updated.history[0].password, 'pa55word!');
+
+    await vault.deletePassword(entry.id);
+    assert.deepEqual(vault.passwords, []);
+});
+
+test('invalid entries are rejected', async () => {
+    await assert.rejects(addLogin({ name: '' }), { message: 'Name is required' });
+    await assert.rejects(
+        vault.addPassword({ type: 'card', name: 'Visa', number: '4111 1111 1111 1112' }),
+        /card number/i
+    );
+    assert.deepEqual(vault.passwords, []);
+});
+
+test('deleting a category moves its entries to Other', async () => {
+    await vault.addCategory('Travel');
+    const flight = await addLogin({ name: 'Airline', category: 'Travel' });
+    const bank = await addLogin({ name: 'Bank', category: 'Banking' });
+
+    await vault.deleteCategory('Travel');
+
+    assert.ok(!vault.categories.includes('Travel'));
+    assert.equal(vault.passwords.find(p => p.id === flight.id).category, 'Other');
+    assert.equal(vault.passwords.find(p => p.id === bank.id).category, 'Banking');
+});
+
+test('category names are kept free of markup', async () => {
+    assert.equal(await vault.addCategory('  <img src=x onerror=alert(1)>Travel  '), 'Travel');
+    await assert.rejects(vault.addCategory('<b></b>'), { message: 'Category name is required' });
+    assert.ok(vault.categories.includes('Travel'));
+    assert.ok(!vault.categories.some(c => /[<>"']/.test(c)));
+});
+
+test('importing entries validates them all before adding categories', async () => {
+    const before = [...vault.categories];
+    await assert.rejects(vault.importEntries([
+        { name: 'Ok', website: 'a.example', username: 'a', password: 'x', category: 'Imported' },
+        { name: '', website: 'b.example', username: 'b', password: 'y', category: 'Broken' }
+    ]), { message: 'Name is required' });
+    assert.deepEqual(vault.categories, before);
+    assert.deepEqual(vault.passwords, []);
+
+    const [entry] = await vault.importEntries([
+        { name: 'Ok', website: 'a.example', username: 'a', password: 'x', category: '"><svg onload=alert(1)>Travel' }
+    ]);
+    assert.equal(entry.category, 'Travel');
+    assert.ok(vault.categories.includes('Travel'));
+});
+
+test('backup imports merge by id with the chosen conflict strategy', async () => {
+    const OLDER = '2024-01-01T00:00:00.000Z';
+    const NEWER = '2024-02-01T00:00:00.000Z';
+    const backupEntry = (id, name, lastModified) => ({
+        id, type: 'login', name, website: '', username: '', password: 'pw',
+        category: 'Personal', notes: '', createdDate: OLDER, lastModified
+    });
+    const backupOf = async (entries) => {
+        const other = new PasswordManager('default', new MemoryStorage());
+        await other.setupMasterPassword(MASTER);
+        other.passwords = entries;
+        return other.exportBackup('backup password');
+    };
+
+    const local = [backupEntry('same', 'Same', OLDER), backupEntry('old', 'Old', OLDER), backupEntry('new', 'New', NEWER)];
+    const incoming = await backupOf([
+        backupEntry('same', 'Same', OLDER),
+        backupEntry('old', 'Old (edited)', NEWER),
+        backupEntry('new', 'New (stale)', OLDER),
+        backupEntry('added', 'Added', OLDER),
+        { id: 'broken', name: '' }
+    ]);
+
+    const results = {};
+    for (const strategy of ['newer', 'both', 'skip']) {
+        vault.passwords = structuredClone(local);
+        results[strategy] = await vault.importBackup(incoming, 'backup password', strategy);
+        results[strategy].names = vault.passwords.map(p => p.name).sort();
+    }
+
+    assert.deepEqual(results.newer, {
+        added: 1, updated: 1, skipped: 3, names: ['Added', 'New', 'Old (edited)', 'Same']
+    });
+    assert.deepEqual(results.both, {
+        added: 3, updated: 0, skipped: 2, names: ['Added', 'New', 'New (stale)', 'Old', 'Old (edited)', 'Same']
+    });
+    assert.deepEqual(results.skip, {
+        added: 1, updated: 0, skipped: 4, names: ['Added', 'New', 'Old', 'Same']
+    });
+
+    await assert.rejects(vault.importBackup(incoming, 'wrong password'));
+    await assert.rejects(vault.importBackup(incoming, 'backup password', 'merge'), { message: 'Unknown conflict strategy: merge' });
+});
+
+test('search matches free text and field filters', async () => {
+    await addLogin({ name: 'GitHub', website: 'github.com', username: 'alice', category: 'Work', tags: ['work'] });
+    await addLogin({ name: 'GitLab', website: 'gitlab.com', username: 'bob', category: 'Work', tags: ['work'] });
+    await addLogin({ name: 'Bank', website: 'bank.example', username: 'alice', category: 'Banking' });
+    await vault.addPassword({ type: 'note', name: 'Wifi', content: 'guest network', category: 'Personal' });
+
+    const names = (query, category) => vault.searchPasswords(query, category, 'name').map(p => p.name);
+
+    assert.deepEqual(names('git'), ['GitHub', 'GitLab']);
+    assert.deepEqual(names('ALICE'), ['Bank', 'GitHub']);
+    assert.deepEqual(names('tag:work user:alice'), ['GitHub']);
+    assert.deepEqual(names('user:alice -category:Banking'), ['GitHub']);
+    assert.deepEqual(names('site:gitlab.com'), ['GitLab']);
+    assert.deepEqual(names('type:note'), ['Wifi']);
+    assert.deepEqual(names('', 'Banking'), ['Bank']);
+    assert.deepEqual(names('nothing-matches'), []);
+});
+
+test('search pins favorites and sorts by the chosen order', async () => {
+    const zebra = await addLogin({ name: 'Zebra' });
+    await addLogin({ name: 'Apple' });
+    await addLogin({ name: 'Mango', favorite: true });
+    await vault.recordUsage(zebra.id);
+
+    const names = (sort) => vault.searchPasswords('', null, sort).map(p => p.name);
+
+    assert.deepEqual(names('name'), ['Mango', 'Apple', 'Zebra']);
+    assert.deepEqual(names('used'), ['Mango', 'Zebra', 'Apple']);
+    assert.deepEqual(vault.searchPasswords('is:favorite').map(p => p.name), ['Mango']);
+});
+
+test('matching logins for a page share its eTLD+1, best match first', async () => {
+    await addLogin({ name: 'Shop', website: 'https://shop.example.co.uk' });
+    await addLogin({ name: 'Mail', website: 'https://mail.example.co.uk' });
+    await addLogin({ name: 'Other', website: 'https://other.co.uk' });
+    await vault.addPassword({ type: 'note', name: 'Note', content: 'mail.example.co.uk', category: 'Personal' });
+
+    const matches = vault.findMatchingEntries('https://mail.example.co.uk/inbox');
+
+    assert.deepEqual(matches.map(m => [m.name, m.score]), [['Mail', 2], ['Shop', 1]]);
+    assert.ok(matches.every(m => m.site === 'example.co.uk' && !('password' in m)));
+});
+
+test('a recovery key unlocks the vault and sets a new master password', async () => {
+    const entry = await addLogin();
+    const recoveryKey = await vault.createRecoveryKey(MASTER);
+    assert.ok(vault.getRecoveryInfo().createdAt);
+    vault.lock();
+
+    await assert.rejects(
+        vault.recoverVault(CryptoManager.generateRecoveryKey(), 'brand new password'),
+        { message: 'Incorrect recovery key' }
+    );
+
+    await vault.recoverVault(recoveryKey.toLowerCase(), 'brand new password');
+    assert.equal(vault.isLocked, false);
+    assert.deepEqual(vault.passwords, [entry]);
+
+    // The old master password is gone, the recovery key still works
+    vault.lock();
+    await assert.rejects(vault.login(MASTER), { message: 'Incorrect master password' });
+    await vault.recoverVault(recoveryKey, 'another new password');
+    vault.lock();
+    await vault.login('another new password');
+});
+
+test('changing the master password keeps the recovery key when it is given', async () => {
+    const recoveryKey = await vault.createRecoveryKey(MASTER);
+    const { createdAt } = vault.getRecoveryInfo();
+
+    await assert.rejects(
+        vault.changeMasterPassword(MASTER, 'brand new password'),
+        { message: 'Enter the recovery key to keep it, or confirm revoking it' }
+    );
+    await assert.rejects(
+        vault.changeMasterPassword(MASTER, 'brand new password', { recoveryKey: CryptoManager.generateRecoveryKey() }),
+        { message: 'Incorrect recovery key' }
+    );
+
+    await vault.changeMasterPassword(MASTER, 'brand new password', { recoveryKey: recoveryKey.toLowerCase() });
+    assert.deepEqual(vault.getRecoveryInfo(), { createdAt });
+
+    vault.lock();
+    await vault.recoverVault(recoveryKey, 'another new password');
+    assert.equal(vault.isLocked, false);
+});
+
+test('a split recovery key can be kept through a master password change', async () => {
+    const recoveryKey = await vault.createRecoveryKey(MASTER);
+    const shares = RecoveryShares.split(recoveryKey, 3, 2);
+
+    const entered = RecoveryShares.keyFromText(`${shares[0]}\n${shares[2]}`);
+    await vault.changeMasterPassword(MASTER, 'brand new password', { recoveryKey: entered });
+
+    vault.lock();
+    await vault.recoverVault(RecoveryShares.combine([shares[1], shares[2]]), 'another new password');
+    assert.equal(vault.isLocked, false);
+});
+
+test('changing the master password can revoke the recovery key', async () => {
+    await vault.createRecoveryKey(MASTER);
+    await assert.rejects(vault.createRecoveryKey('wrong password'), { message: 'Incorrect master password' });
+
+    // An empty recovery field is what the UI turns into a confirmed revoke
+    const recoveryKey = RecoveryShares.keyFromText('');
+    await vault.changeMasterPassword(MASTER, 'brand new password', { recoveryKey, revokeRecovery: !recoveryKey });
+    assert.equal(vault.getRecoveryInfo(), null);
+
+    vault.lock();
+    await assert.rejects(
+        vault.recoverVault(CryptoManager.generateRecoveryKey(), 'another new password'),
+        { message: 'This vault has no recovery key' }
+    );
+});
@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { webcrypto } from 'node:crypto';
+
+import { CryptoManager } from '../js/crypto.js';
+import { Shamir, RecoveryShares } from '../js/shamir.js';
+
+globalThis.crypto ??= webcrypto;
+
+// Every k-sized subset of 0..n-1
+function subsets(n, k, start = 0) {
+    if (k === 0) return [[]];
+    const result = [];
+    for (let i = start; i <= n - k; i++) {
+        for (const rest of subsets(n, k - 1, i + 1)) result.push([i, ...rest]);
+    }
+    return result;
+}
+
+test('GF(256) multiplication and division are inverses', () => {
+    assert.equal(Shamir.mul(0x53, 0xca), 0x01);
+    for (let a = 1; a < 256; a++) {
+        assert.equal(Shamir.div(Shamir.mul(a, 0x1d), 0x1d), a);
+    }
+});
+
+test('any threshold-sized set of shares rebuilds the secret', () => {
+    const secret = crypto.getRandomValues(new Uint8Array(20));
+    const shares = Shamir.split(secret, 5, 3);
+
+    assert.equal(shares.length, 5);
+    for (const subset of subsets(5, 3)) {
+        assert.deepEqual(Shamir.combine(subset.map(i => shares[i])), secret);
+    }
+    assert.notDeepEqual(Shamir.combine(shares.slice(0, 2)), secret);
+});
+
+test('split rejects impossible thresholds', () => {
+    const secret = new Uint8Array(4);
+    assert.throws(() => Shamir.split(secret, 3, 1), /At least 2/);
+    assert.throws(() => Shamir.split(secret, 2, 3), /between 3 and 255/);
+    assert.throws(() => Shamir.split(secret, 256, 2), /between 2 and 255/);
+});
+
+test('recovery key shares round-trip as text', () => {
+    const key = CryptoManager.generateRecoveryKey();
+    const shares = RecoveryShares.split(key, 4, 2);
+
+    assert.match(shares[0], /^LMS1-[0-9A-Z]{4}-2-1-/);
+    assert.equal(RecoveryShares.combine([shares[3], shares[1]]), key);
+
+    // Typed back in lower case with spaces instead of dashes
+    const typed = shares.map(share => share.toLowerCase().replace(/-/g, ' '));
+    assert.equal(RecoveryShares.combine(typed.slice(1, 3)), key);
+});
+
+test('a recovery key is read from the key itself or from its shares', () => {
+    const key = CryptoManager.generateRecoveryKey();
+    const shares = RecoveryShares.split(key, 3, 2);
+
+    assert.equal(RecoveryShares.keyFromText(` ${key} `), key);
+    assert.equal(RecoveryShares.keyFromText(`${shares[2]}\n\n ${shares[0].toLowerCase()}\n`), key);
+    assert.equal(RecoveryShares.keyFromText(' \n '), '');
+    assert.throws(() => RecoveryShares.keyFromText(shares[1]), /2 shares are needed, 1 entered/);
+});
+
+test('combining recovery shares reports mistakes', () => {
+    const key = CryptoManager.generateRecoveryKey();
+    const shares = RecoveryShares.split(key, 3, 3);
+    const other = RecoveryShares.split(key, 3, 3);
+
+    assert.throws(() => RecoveryShares.combine(shares.slice(0, 2)), /3 shares are needed, 2 entered/);
+    assert.throws(() => RecoveryShares.combine([shares[0], shares[0], shares[1]]), /entered twice/);
+    assert.throws(() => RecoveryShares.combine([shares[0], shares[1], other[2]]), /different recovery kits/);
+
+    const typo = shares[2].replace(/-(\w)(\w{3})-/, (match, a, rest) => `-${a === 'A' ? 'B' : 'A'}${rest}-`);
+    assert.throws(() => RecoveryShares.combine([shares[0], shares[1], typo]), /Share 3: .*checksum/);
+});
@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SiteMatcher } from '../js/sites.js';
+
+test('registrable domains keep one label below the public suffix', () => {
+    assert.equal(SiteMatcher.registrableDomain('accounts.google.com'), 'google.com');
+    assert.equal(SiteMatcher.registrableDomain('login.bbc.co.uk'), 'bbc.co.uk');
+    assert.equal(SiteMatcher.registrableDomain('alice.github.io'), 'alice.github.io');
+    assert.equal(SiteMatcher.registrableDomain('Example.COM.'), 'example.com');
+    assert.equal(SiteMatcher.registrableDomain('192.168.1.10'), '192.168.1.10');
+});
+
+test('match scores rank host and path above the same site', () => {
+    assert.equal(SiteMatcher.matchScore('https://example.com/app', 'https://example.com/app/login'), 3);
+    assert.equal(SiteMatcher.matchScore('example.com', 'https://www.example.com/login'), 2);
+    assert.equal(SiteMatcher.matchScore('https://mail.example.co.uk', 'https://shop.example.co.uk'), 1);
+    assert.equal(SiteMatcher.matchScore('https://one.co.uk', 'https://two.co.uk'), 0);
+    assert.equal(SiteMatcher.matchScore('https://alice.github.io', 'https://bob.github.io'), 0);
+    assert.equal(SiteMatcher.matchScore('https://example.com', 'http://example.com'), 0);
+});
+
+test('only http(s) addresses parse as websites', () => {
+    assert.equal(SiteMatcher.parse('example.com').href, 'https://example.com/');
+    assert.equal(SiteMatcher.parse('http://a.example/x').href, 'http://a.example/x');
+    assert.equal(SiteMatcher.parse('javascript:alert(1)'), null);
+    assert.equal(SiteMatcher.parse('JAVASCRIPT://example.com/%0aalert(1)'), null);
+    assert.equal(SiteMatcher.parse('data:text/html,<script>alert(1)</script>'), null);
+    assert.equal(SiteMatcher.parse('not a website'), null);
+});
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { webcrypto } from 'node:crypto';
+
+import { StrengthEstimator } from '../js/strength.js';
+import { PasswordGenerator } from '../js/generator.js';
+import { EFF_WORDLIST } from '../js/wordlist.js';
+
+globalThis.crypto ??= webcrypto;
+
+const assertClose = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+const WORD_BITS = Math.log2(EFF_WORDLIST.length);
+const SEPARATOR_BITS = Math.log2(StrengthEstimator.PASSPHRASE_SEPARATOR_GUESSES);
+
+// Generated words that are also common passwords rank lower, so a phrase
+// can score slightly below the uniform figure but never above it
+const assertBits = (actual, expected) => {
+    assert.ok(actual <= expected + 1e-9, `${actual} bits, expected at most ${expected}`);
+    assert.ok(actual > expected - 8, `${actual} bits, expected about ${expected}`);
+};
+
+test('a generated 4-word passphrase scores as four dictionary words', () => {
+    for (let i = 0; i < 10; i++) {
+        const phrase = PasswordGenerator.generatePassphrase({ words: 4, separator: '-' });
+        const result = StrengthEstimator.estimate(phrase);
+
+        assertBits(result.bits, 4 * WORD_BITS + SEPARATOR_BITS);
+        assert.deepEqual(result.sequence.map(m => m.pattern), ['passphrase']);
+        assert.notEqual(result.label, 'Strong');
+    }
+});
+
+test('passphrase entropy grows by one word per word', () => {
+    const four = StrengthEstimator.estimate('abacus-abdomen-abdominal-abide').bits;
+    const six = StrengthEstimator.estimate('abacus-abdomen-abdominal-abide-abiding-ability').bits;
+
+    assertClose(four, 4 * WORD_BITS + SEPARATOR_BITS);
+    assertClose(six, 6 * WORD_BITS + SEPARATOR_BITS);
+});
+
+test('capitalizing every word and appending a digit add only a few bits', () => {
+    const plain = StrengthEstimator.estimate('abacus abdomen abdominal abide').bits;
+    const styled = StrengthEstimator.estimate('Abacus Abdomen Abdominal7 Abide').bits;
+
+    // One bit for the capitalization choice, log2(10 digits x 4 words) for the digit
+    assertClose(styled - plain, 1 + Math.log2(40));
+});
+
+test('common passwords and patterns stay weak', () => {
+    ['password', 'qwerty123', 'aaaaaaaa', 'abcdef', '01/02/1990'].forEach(password => {
+        assert.ok(StrengthEstimator.isWeak(StrengthEstimator.estimate(password)), password);
+    });
+});
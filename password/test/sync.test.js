@@ -0,0 +1,162 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { SyncClient } from '../js/sync.js';
+
+const OLDER = '2024-01-01T00:00:00.000Z';
+const NEWER = '2024-02-01T00:00:00.000Z';
+
+const entry = (id, lastModified, fields = {}) =>
+    ({ id, type: 'login', name: id, password: 'pw', lastModified, ...fields });
+
+const vaultData = (passwords, sync = {}) =>
+    ({ passwords, categories: ['Personal'], sync: { ...SyncClient.createState(), ...sync } });
+
+test('diff lists unpushed entries and tombstones until they are marked pushed', () => {
+    const data = vaultData(
+        [entry('synced', OLDER), entry('edited', NEWER), entry('new', NEWER)],
+        { known: { synced: OLDER, edited: OLDER }, deleted: { gone: NEWER } }
+    );
+
+    const change = SyncClient.diff(data);
+    assert.deepEqual(change.entries.map(e => e.id), ['edited', 'new']);
+    assert.deepEqual(change.deleted, [{ id: 'gone', deletedAt: NEWER }]);
+
+    // The change is a copy, so later edits are pushed next time
+    data.passwords[1].name = 'changed again';
+    assert.equal(change.entries[0].name, 'edited');
+
+    SyncClient.markPushed(data.sync, change, 4);
+    assert.equal(data.sync.version, 4);
+    assert.deepEqual(data.sync.deleted, {});
+    assert.ok(SyncClient.isEmpty(SyncClient.diff(data)));
+});
+
+test('merge keeps the entry with the newer lastModified', () => {
+    const data = vaultData([entry('a', NEWER, { name: 'local a' }), entry('b', OLDER, { name: 'local b' })]);
+
+    const applied = SyncClient.merge(data, {
+        entries: [
+            entry('a', OLDER, { name: 'remote a' }),
+            entry('b', NEWER, { name: 'remote b' }),
+            entry('c', OLDER, { name: 'remote c' })
+        ],
+        deleted: []
+    });
+
+    assert.equal(applied, 2);
+    assert.deepEqual(data.passwords.map(e => e.name), ['remote c', 'local a', 'remote b']);
+    assert.deepEqual(data.sync.known, { a: OLDER, b: NEWER, c: OLDER });
+});
+
+test('tombstones beat older edits and lose to newer ones', () => {
+    const data = vaultData(
+        [entry('removed', OLDER), entry('edited-after', NEWER)],
+        { deleted: { 'stays-deleted': NEWER, 'restored': OLDER } }
+    );
+
+    SyncClient.merge(data, {
+        entries: [entry('stays-deleted', OLDER), entry('restored', NEWER)],
+        deleted: [{ id: 'removed', deletedAt: NEWER }, { id: 'edited-after', deletedAt: OLDER }]
+    });
+
+    assert.deepEqual(data.passwords.map(e => e.id).sort(), ['edited-after', 'restored']);
+    assert.deepEqual(data.sync.deleted, { 'stays-deleted': NEWER });
+});
+
+test('a snapshot drops synced entries it no longer lists', () => {
+    const data = vaultData(
+        [entry('unchanged', OLDER), entry('edited', NEWER)],
+        { known: { unchanged: OLDER, edited: OLDER } }
+    );
+
+    const applied = SyncClient.merge(data, { entries: [], deleted: [], snapshot: true });
+
+    assert.equal(applied, 1);
+    assert.deepEqual(data.passwords.map(e => e.id), ['edited']);
+});
+
+// ----------------------------------------------------------------------------
+// The reference server, on a free port with a throwaway data directory
+// ----------------------------------------------------------------------------
+
+const TOKEN = 'test-token';
+const HEADER = { version: 3, kdf: { iterations: 1000 }, wrappedKey: { iv: 'aXY=', data: 'a2V5' } };
+const payload = (n) => ({ iv: 'aXY=', data: String(n) });
+
+let server;
+let dataDir;
+let config;
+
+before(async () => {
+    dataDir = await mkdtemp(join(tmpdir(), 'lockmaster-sync-'));
+    server = spawn(process.execPath, ['sync-server.mjs', '--port', '0', '--data', dataDir], {
+        cwd: fileURLToPath(new URL('..', import.meta.url)),
+        env: { ...process.env, SYNC_TOKEN: TOKEN },
+        stdio: ['ignore', 'pipe', 'inherit']
+    });
+
+    const url = await new Promise((resolve, reject) => {
+        let output = '';
+        server.stdout.on('data', chunk => {
+            output += chunk;
+            const match = output.match(/listening on (http:\/\/\S+)/);
+            if (match) resolve(match[1]);
+        });
+        server.on('exit', code => reject(new Error(`Sync server exited with code ${code}`)));
+    });
+    config = SyncClient.normalizeConfig({ url, id: 'test-vault-1', token: TOKEN });
+});
+
+after(async () => {
+    server?.kill();
+    await rm(dataDir, { recursive: true, force: true });
+});
+
+test('the server rejects a stale baseVersion with 409', async () => {
+    assert.equal(await SyncClient.fetchChanges(config, 0), null);
+
+    const first = await SyncClient.pushChange(config, { baseVersion: 0, header: HEADER, payload: payload(1) });
+    assert.equal(first.version, 1);
+
+    await assert.rejects(
+        SyncClient.pushChange(config, { baseVersion: 0, header: HEADER, payload: payload(2) }),
+        { status: 409, message: 'Vault has changed, pull first' }
+    );
+
+    const remote = await SyncClient.fetchChanges(config, 0);
+    assert.equal(remote.version, 1);
+    assert.deepEqual(remote.changes.map(c => c.payload), [payload(1)]);
+});
+
+test('a reset replaces the history and sends older clients everything', async () => {
+    const { version } = await SyncClient.fetchChanges(config, 0);
+    await SyncClient.pushChange(config, { baseVersion: version, header: HEADER, payload: payload(2) });
+    const reset = await SyncClient.pushChange(config, {
+        baseVersion: version + 1, header: HEADER, payload: payload('snapshot'), reset: true
+    });
+
+    const behind = await SyncClient.fetchChanges(config, version);
+    assert.equal(behind.reset, true);
+    assert.deepEqual(behind.changes.map(c => c.version), [reset.version]);
+
+    const current = await SyncClient.fetchChanges(config, reset.version);
+    assert.equal(current.reset, false);
+    assert.deepEqual(current.changes, []);
+});
+
+test('the server requires the bearer token', async () => {
+    await assert.rejects(
+        SyncClient.fetchChanges({ ...config, token: 'test-tokem' }, 0),
+        { status: 401, message: 'Unauthorized' }
+    );
+    await assert.rejects(
+        SyncClient.fetchChanges({ ...config, token: '' }, 0),
+        { status: 401 }
+    );
+});
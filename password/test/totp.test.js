@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { webcrypto } from 'node:crypto';
+
+import { TotpManager } from '../js/totp.js';
+
+globalThis.crypto ??= webcrypto;
+
+// RFC 4648 base32, as authenticator secrets are written
+function base32(text) {
+    const bits = [...new TextEncoder().encode(text)].map(byte => byte.toString(2).padStart(8, '0')).join('');
+    return bits.match(/.{1,5}/g).map(chunk => TotpManager.BASE32_ALPHABET[parseInt(chunk.padEnd(5, '0'), 2)]).join('');
+}
+
+// RFC 6238 appendix B: the seed is the ASCII digits repeated to the hash size
+const SEEDS = {
+    SHA1: base32('12345678901234567890'),
+    SHA256: base32('12345678901234567890123456789012'),
+    SHA512: base32('1234567890123456789012345678901234567890123456789012345678901234')
+};
+
+const VECTORS = [
+    [59, { SHA1: '94287082', SHA256: '46119246', SHA512: '90693936' }],
+    [1111111109, { SHA1: '07081804', SHA256: '68084774', SHA512: '25091201' }],
+    [1111111111, { SHA1: '14050471', SHA256: '67062674', SHA512: '99943326' }],
+    [1234567890, { SHA1: '89005924', SHA256: '91819424', SHA512: '93441116' }],
+    [2000000000, { SHA1: '69279037', SHA256: '90698825', SHA512: '38618901' }],
+    [20000000000, { SHA1: '65353130', SHA256: '77737706', SHA512: '47863826' }]
+];
+
+test('codes match the RFC 6238 test vectors', async () => {
+    for (const [seconds, expected] of VECTORS) {
+        for (const [algorithm, code] of Object.entries(expected)) {
+            const config = { secret: SEEDS[algorithm], algorithm, digits: 8, period: 30 };
+            assert.equal(await TotpManager.generate(config, seconds * 1000), code, `${algorithm} at ${seconds}s`);
+        }
+    }
+});
+
+test('otpauth URIs set the algorithm, digits and period', async () => {
+    const uri = `otpauth://totp/ACME%20Co:alice@example.com?secret=${SEEDS.SHA256}&algorithm=SHA256&digits=8&period=30`;
+    const { secret, ...options } = TotpManager.parse(uri);
+
+    assert.equal(secret, SEEDS.SHA256);
+    assert.deepEqual(options, { algorithm: 'SHA256', digits: 8, period: 30, issuer: 'ACME Co', account: 'alice@example.com' });
+    assert.equal(await TotpManager.generate(uri, 59 * 1000), '46119246');
+    assert.equal(TotpManager.secondsRemaining(uri, 59 * 1000), 1);
+});
+
+test('invalid secrets and parameters are rejected', () => {
+    assert.throws(() => TotpManager.parse(''), /TOTP secret is empty/);
+    assert.throws(() => TotpManager.parse('not base32!'), /must be base32/);
+    assert.throws(() => TotpManager.parse(`otpauth://hotp/x?secret=${SEEDS.SHA1}`), /Only time-based/);
+    assert.throws(() => TotpManager.parse(`otpauth://totp/x?secret=${SEEDS.SHA1}&algorithm=MD5`), /Unsupported TOTP algorithm/);
+    assert.throws(() => TotpManager.parse(`otpauth://totp/x?secret=${SEEDS.SHA1}&digits=4`), /6 to 8 digits/);
+});